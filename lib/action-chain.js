@@ -19,23 +19,113 @@
 // ---------------------------------------------------------------------------
 
 /**
+ * A state wait may watch any object (e.g. a power meter after switching a
+ * plug) and compare with an operator: "power > 50", "between 20..25", or
+ * "changes" (any new value).  With `ackOnly`, only acknowledged values count,
+ * so the unacknowledged echo of our own command is not taken as confirmation.
+ *
  * @typedef {Object} WaitCondition
  * @property {'delay'|'state'}  type     - Wait type.
  * @property {number}           [ms]     - Milliseconds to wait (type=delay).
  * @property {string}           [objectId] - Object to watch (type=state).
- * @property {any}              [value]  - Expected value (type=state).
+ * @property {WaitOperator}     [operator] - Comparison with `value` (type=state, default '==').
+ * @property {any}              [value]  - Expected value (type=state); `"min..max"` for 'between', unused for 'changes'.
+ * @property {boolean}          [ackOnly] - Only acknowledged values count (type=state).
  * @property {number}           [timeout] - Max wait time in ms for state watch (default 30000).
  */
 
+/** @typedef {'=='|'!='|'>'|'<'|'>='|'<='|'between'|'changes'} WaitOperator */
+
+/**
+ * What happens when a step still fails after its retries:
+ * `abort` (default) stops the chain, `continue` goes on with the next step,
+ * `runChain:<slotId>` runs the chain of another slot and then stops.
+ *
+ * @typedef {'abort'|'continue'|string} StepErrorPolicy
+ */
+
 /**
+ * @typedef {Object} StepCondition
+ * @property {string} objectId  - State to check.
+ * @property {'=='|'!='|'>'|'<'|'>='|'<='|'between'} [operator] - Comparison (default '==').
+ * @property {any}    value     - Value to compare with.
+ */
+
+/**
+ * Values are converted to the `common.type` of the target object when
+ * written and may be templates (`{{out.volume + 10}}`, see the expression
+ * module), evaluated when the step writes.
+ *
  * @typedef {Object} ActionChainStep
- * @property {string}          objectId      - ioBroker object ID to write to.
+ * @property {string}          objectId      - ioBroker object ID to write to (empty: branch-only step).
  * @property {any}             value         - Value to write.
  * @property {WaitCondition}   [waitBefore]  - Wait condition BEFORE setting this step's value.
+ * @property {number}          [retries]     - Additional attempts after a failure (default 0).
+ * @property {number}          [retryDelayMs] - Delay before the first retry, doubled for each further one (default 1000).
+ * @property {StepErrorPolicy} [onError]     - Policy when the step still fails (default 'abort').
+ * @property {string}          [label]       - Name of the step, target of `goto` / `elseGoto`.
+ * @property {StepCondition}   [condition]   - Write only if the condition holds.
+ * @property {string}          [elseGoto]    - Label to continue at when the condition does not hold.
+ * @property {string}          [goto]        - Label to continue at after the step was written.
+ * @property {string}          [parallel]    - Parallel group id; consecutive steps with the same id run concurrently.
+ * @property {string}          [include]     - Id of a library chain to run after the step's write (not when its condition skips it).
  */
 
 /** @typedef {ActionChainStep[]} ActionChain */
 
+/**
+ * One step of a run as recorded in the execution trace.
+ *
+ * @typedef {Object} StepTrace
+ * @property {number}  index      - Position of the step in its chain (0-based).
+ * @property {string}  [chain]    - Compensating chain (slot id) or included chain (`library:<id>`) the step belongs to.
+ * @property {string}  [label]    - Label of the step.
+ * @property {string}  [include]  - Library chain the step includes.
+ * @property {string}  objectId   - Object written ('' for a branch-only step).
+ * @property {any}     value      - Value written (templates evaluated once the step writes).
+ * @property {'none'|'delay'|'state'} waitType - Wait before the write.
+ * @property {number}  startedAt  - Timestamp (ms) when the step started.
+ * @property {number}  [endedAt]  - Timestamp (ms) when the step ended.
+ * @property {'running'|'written'|'skipped'|'failed'|'aborted'} outcome
+ * @property {number}  attempts   - Number of attempts (> 1 after retries).
+ * @property {string}  [error]    - Error message of a failed or aborted step.
+ */
+
+/**
+ * Execution trace of one chain run (`executor.trace`).
+ *
+ * @typedef {Object} ChainTrace
+ * @property {number}  startedAt  - Timestamp (ms) when the run started.
+ * @property {number}  [endedAt]  - Timestamp (ms) when the run ended.
+ * @property {'running'|'success'|'failed'|'aborted'} outcome
+ * @property {string}  [error]    - Error that ended the run.
+ * @property {StepTrace[]} steps  - Steps in execution order (jumps may repeat a step).
+ */
+
+/**
+ * @typedef {Object} ExecuteOptions
+ * @property {(slotId: string) => ActionChain|null|undefined} [resolveChain] - Look up the chain of a slot (for `runChain:<slotId>`).
+ * @property {(id: string) => Promise<ActionChain|null|undefined>} [resolveInclude] - Look up a library chain (for `include` steps).
+ * @property {(path: string) => Promise<any>} [resolveVariable] - Value of a template variable (`config.x`, `out.x`, `in.x`);
+ *                                                              throws for unknown ones.
+ * @property {(objectId: string) => Promise<() => Promise<void>>} [subscribeState] - Subscribe to the object of a state
+ *           wait; resolves with the function releasing the subscription (default: subscribe and unsubscribe directly).
+ */
+
+/** Default timeout of a state wait in milliseconds. */
+const DEFAULT_STATE_TIMEOUT_MS = 30000;
+
+/** Default delay before the first retry of a failed step in milliseconds. */
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+/** Prefix of the `onError` policy that runs a compensating chain. */
+const RUN_CHAIN_PREFIX = 'runChain:';
+
+/** Maximum number of jumps per chain run (protects against endless loops). */
+const MAX_JUMPS = 1000;
+
+const { hasTemplate, parseTemplate, renderTemplate } = require('./expression');
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
@@ -54,23 +144,192 @@ function looseEquals(actual, expected) {
     return strActual === strExpected;
 }
 
+/**
+ * Compare a state value with an expected value.  Equality is loose (see
+ * `looseEquals`), ordering operators compare numerically, `between` expects
+ * `"min..max"` (or `[min, max]`) and includes both ends.
+ *
+ * @param {any} actual
+ * @param {string} operator - '==' | '!=' | '>' | '<' | '>=' | '<=' | 'between'
+ * @param {any} expected
+ * @returns {boolean}
+ */
+function compareValues(actual, operator, expected) {
+    switch (operator) {
+        case '==': return looseEquals(actual, expected);
+        case '!=': return !looseEquals(actual, expected);
+        case 'between': {
+            const range = Array.isArray(expected) ? expected : String(expected).split('..');
+            if (range.length !== 2) return false;
+            const [min, max] = range.map(Number).sort((x, y) => x - y);
+            return compareValues(actual, '>=', min) && compareValues(actual, '<=', max);
+        }
+    }
+    const a = Number(actual);
+    const e = Number(expected);
+    if (actual === null || actual === undefined || actual === '' || !Number.isFinite(a) || !Number.isFinite(e)) {
+        return false;
+    }
+    switch (operator) {
+        case '>':  return a > e;
+        case '<':  return a < e;
+        case '>=': return a >= e;
+        case '<=': return a <= e;
+        default:   return false;
+    }
+}
+
+/**
+ * Convert a value (typically text from the admin table or a template result)
+ * to the `common.type` of the object it is written to.  Values that cannot
+ * be converted are returned unchanged.
+ *
+ * @param {any} value
+ * @param {string} [type] - `common.type` of the target object.
+ * @returns {any}
+ */
+function coerceValue(value, type) {
+    if (value === null || value === undefined) return value;
+    switch (type) {
+        case 'number':
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+            return value;
+        case 'boolean': {
+            if (typeof value === 'number') return value !== 0;
+            const text = String(value).trim().toLowerCase();
+            if (['true', '1', 'on'].includes(text)) return true;
+            if (['false', '0', 'off'].includes(text)) return false;
+            return value;
+        }
+        case 'string':
+            if (typeof value === 'object') return JSON.stringify(value);
+            return String(value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Human-readable description of a state wait for log and error messages.
+ *
+ * @param {WaitCondition} condition
+ * @returns {string}
+ */
+function describeWait(condition) {
+    const operator = condition.operator || '==';
+    const ack = condition.ackOnly ? ' (ack)' : '';
+    if (operator === 'changes') return `${condition.objectId} to change${ack}`;
+    return `${condition.objectId} ${operator} ${condition.value}${ack}`;
+}
+
+/**
+ * Map the labels of a chain to step indices and check all jump targets.
+ *
+ * @param {ActionChain} chain
+ * @returns {Map<string, number>}
+ * @throws {Error} On duplicate labels or unknown jump targets.
+ */
+function indexLabels(chain) {
+    const labels = new Map();
+    chain.forEach((step, i) => {
+        if (!step.label) return;
+        if (labels.has(step.label)) throw new Error(`Duplicate chain label "${step.label}"`);
+        labels.set(step.label, i);
+    });
+    for (const step of chain) {
+        for (const target of [step.goto, step.elseGoto]) {
+            if (target && !labels.has(target)) throw new Error(`Unknown chain label "${target}"`);
+        }
+        if (step.parallel && (step.goto || step.elseGoto)) {
+            throw new Error(`Jumps are not allowed in parallel block "${step.parallel}"`);
+        }
+    }
+    return labels;
+}
+
+/**
+ * @param {ActionChain} chain
+ * @param {number} start - Index of the first member of a parallel block.
+ * @returns {number} Index after the last member of the block.
+ */
+function parallelBlockEnd(chain, start) {
+    let end = start + 1;
+    while (end < chain.length && chain[end].parallel === chain[start].parallel) end++;
+    return end;
+}
+
 // ---------------------------------------------------------------------------
 // ActionChainExecutor
 // ---------------------------------------------------------------------------
 
+/**
+ * Runs one chain at a time, step by step.
+ *
+ * Error handling per step: a failed write or state-wait timeout is retried
+ * `retries` times (delay doubling from `retryDelayMs`); if it still fails, the
+ * step's `onError` policy decides whether the chain aborts (default),
+ * continues with the next step, or runs a compensating chain
+ * (`runChain:<slotId>`) before aborting.
+ *
+ * Branching: a step with a `condition` is only written when the condition
+ * holds (checked after its wait); otherwise it is skipped, or the chain jumps
+ * to the step labelled `elseGoto`.  After a written step, `goto` jumps to a
+ * labelled step.  Together they form if/else:
+ *
+ *     step  label    condition       elseGoto  write        goto
+ *     1              mode == movie   bright    lights = 10  done
+ *     2     bright                             lights = 80
+ *     3     done                               beamer = on
+ *
+ * Parallel blocks: consecutive steps with the same `parallel` group id start
+ * together; the block finishes when every member has finished.  Each member
+ * keeps its own wait, condition and retries (jumps are not allowed inside a
+ * block).  `abort()` cancels all running members.
+ *
+ * A step with `include` runs a chain of the instance-wide chain library after
+ * its write, looked up through `resolveInclude` when the step runs.
+ *
+ * Every run records a trace in `trace`, which the adapter keeps as the chain
+ * slot's run history.
+ */
 class ActionChainExecutor {
     constructor() {
         /** @type {boolean} */
         this._aborted = false;
 
-        /** @type {ReturnType<typeof setTimeout>|null} */
-        this._timer = null;
+        /**
+         * Cancel functions of the running waits (several while a parallel block runs).
+         * @type {Set<() => void>}
+         */
+        this._cancels = new Set();
+
+        /**
+         * Watchers of the running state waits, fed by `onStateChange`.
+         * @type {Set<{ objectId: string, handler: (state: ioBroker.State|null) => void }>}
+         */
+        this._watchers = new Set();
 
-        /** @type {(() => void)|null} */
-        this._unsubscribe = null;
+        /**
+         * Trace of the current (or last) run.
+         * @type {ChainTrace|null}
+         */
+        this.trace = null;
 
-        /** @type {(() => void)|null} */
-        this._rejectCurrent = null;
+        /** @type {ExecuteOptions['resolveVariable']|null} */
+        this._resolveVariable = null;
+
+        /** @type {ExecuteOptions['resolveInclude']|null} */
+        this._resolveInclude = null;
+
+        /** @type {ExecuteOptions['subscribeState']|null} */
+        this._subscribeState = null;
+
+        /**
+         * Target objects of the current run (for type coercion).
+         * @type {Map<string, Promise<ioBroker.Object|null>>}
+         */
+        this._objects = new Map();
     }
 
     /**
@@ -79,60 +338,365 @@ class ActionChainExecutor {
      * @param {ioBroker.Adapter} adapter - The adapter instance (for setForeignStateAsync, subscribeForeignStatesAsync).
      * @param {ActionChain} chain - The chain steps to execute.
      * @param {ioBroker.Logger} log - Logger instance.
+     * @param {ExecuteOptions} [options]
      * @returns {Promise<void>} Resolves when all steps complete, rejects on error or abort.
      */
-    async execute(adapter, chain, log) {
+    async execute(adapter, chain, log, options = {}) {
+        this.trace = { startedAt: Date.now(), outcome: 'running', steps: [] };
+
         if (!chain || chain.length === 0) {
+            this._finishTrace('success');
             return;
         }
 
-        this._aborted = false;
+        this._resolveVariable = options.resolveVariable || null;
+        this._resolveInclude = options.resolveInclude || null;
+        this._subscribeState = options.subscribeState || null;
+
+        try {
+            await this._runSteps(adapter, chain, log, options.resolveChain || null);
+        } catch (err) {
+            this._finishTrace(this._aborted ? 'aborted' : 'failed', err);
+            throw err;
+        }
+        this._finishTrace('success');
+
+        log.debug(`Action chain completed (${chain.length} steps)`);
+    }
 
-        for (let i = 0; i < chain.length; i++) {
+    /**
+     * @param {ChainTrace['outcome']} outcome
+     * @param {Error} [err]
+     */
+    _finishTrace(outcome, err) {
+        this.trace.outcome = outcome;
+        this.trace.endedAt = Date.now();
+        if (err) this.trace.error = err.message;
+    }
+
+    /**
+     * Run the steps of a chain, applying each step's `onError` policy.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {ActionChain} chain
+     * @param {ioBroker.Logger} log
+     * @param {ExecuteOptions['resolveChain']|null} resolveChain - `null` inside a compensating chain (no nesting).
+     * @param {string} [chainName] - Compensating or included chain (for the trace).
+     * @param {string[]} [includes] - Library chains being included (cycle detection).
+     * @returns {Promise<void>}
+     */
+    async _runSteps(adapter, chain, log, resolveChain, chainName, includes = []) {
+        const labels = indexLabels(chain);
+        let jumps = 0;
+
+        for (let i = 0; i < chain.length;) {
             if (this._aborted) {
                 log.debug('Action chain aborted');
                 throw new Error('Action chain aborted');
             }
 
             const step = chain[i];
+            const stepName = `Chain step ${i + 1}/${chain.length}`;
 
-            // Wait before (steps 2+)
-            if (step.waitBefore) {
-                log.debug(`Chain step ${i + 1}/${chain.length}: waiting (${step.waitBefore.type})`);
-                await this._wait(adapter, step.waitBefore, log);
+            if (step.parallel) {
+                const end = parallelBlockEnd(chain, i);
+                await this._runParallel(adapter, chain, i, end, log, resolveChain, chainName, includes);
+                i = end;
+                continue;
             }
 
-            if (this._aborted) {
-                throw new Error('Action chain aborted');
+            let written;
+            try {
+                written = await this._runStep(adapter, step, stepName, log, this._traceStep(step, i, chainName), resolveChain, includes);
+            } catch (err) {
+                await this._handleStepError(adapter, step, stepName, err, log, resolveChain);
+                i++;
+                continue;
             }
 
-            // Execute the step
-            log.debug(`Chain step ${i + 1}/${chain.length}: setting ${step.objectId} = ${step.value}`);
-            await adapter.setForeignStateAsync(step.objectId, step.value, false);
+            const target = written ? step.goto : step.elseGoto;
+            if (!target) {
+                i++;
+                continue;
+            }
+            if (++jumps > MAX_JUMPS) {
+                throw new Error(`Action chain exceeded ${MAX_JUMPS} jumps`);
+            }
+            log.debug(`${stepName}: jumping to "${target}"`);
+            i = /** @type {number} */ (labels.get(target));
         }
+    }
 
-        log.debug(`Action chain completed (${chain.length} steps)`);
+    /**
+     * Run the members of a parallel block concurrently and wait for all of
+     * them.  Failures are handled in step order once every member has settled.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {ActionChain} chain
+     * @param {number} start - Index of the first member.
+     * @param {number} end - Index after the last member.
+     * @param {ioBroker.Logger} log
+     * @param {ExecuteOptions['resolveChain']|null} resolveChain
+     * @param {string} [chainName]
+     * @param {string[]} [includes]
+     * @returns {Promise<void>}
+     */
+    async _runParallel(adapter, chain, start, end, log, resolveChain, chainName, includes = []) {
+        const members = chain.slice(start, end);
+        const names = members.map((_, k) => `Chain step ${start + k + 1}/${chain.length}`);
+        log.debug(`Chain steps ${start + 1}-${end}/${chain.length}: running in parallel ("${members[0].parallel}")`);
+
+        const results = await Promise.allSettled(members.map((step, k) =>
+            this._runStep(adapter, step, names[k], log, this._traceStep(step, start + k, chainName), resolveChain, includes)));
+
+        if (this._aborted) {
+            throw new Error('Action chain aborted');
+        }
+        for (let k = 0; k < members.length; k++) {
+            const result = results[k];
+            if (result.status === 'rejected') {
+                await this._handleStepError(adapter, members[k], names[k], result.reason, log, resolveChain);
+            }
+        }
     }
 
     /**
-     * Abort a running chain execution.
+     * Apply the `onError` policy of a step that failed after its retries:
+     * returns for `continue`, throws otherwise (after running the
+     * compensating chain for `runChain:<slotId>`).
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {ActionChainStep} step
+     * @param {string} stepName
+     * @param {Error} err
+     * @param {ioBroker.Logger} log
+     * @param {ExecuteOptions['resolveChain']|null} resolveChain
+     * @returns {Promise<void>}
      */
-    abort() {
-        this._aborted = true;
+    async _handleStepError(adapter, step, stepName, err, log, resolveChain) {
+        if (this._aborted) throw err;
+
+        const policy = String(step.onError || 'abort');
+        if (policy === 'continue') {
+            log.warn(`${stepName} failed, continuing: ${err.message}`);
+            return;
+        }
+        if (policy.startsWith(RUN_CHAIN_PREFIX)) {
+            await this._compensate(adapter, policy.slice(RUN_CHAIN_PREFIX.length), resolveChain, stepName, err, log);
+        }
+        throw err;
+    }
+
+    /**
+     * Add a step to the trace of the current run.
+     *
+     * @param {ActionChainStep} step
+     * @param {number} index
+     * @param {string} [chainName]
+     * @returns {StepTrace}
+     */
+    _traceStep(step, index, chainName) {
+        /** @type {StepTrace} */
+        const entry = {
+            index,
+            objectId: step.objectId || '',
+            value: step.value,
+            waitType: step.waitBefore?.type || 'none',
+            startedAt: Date.now(),
+            outcome: 'running',
+            attempts: 0,
+        };
+        if (chainName) entry.chain = chainName;
+        if (step.label) entry.label = step.label;
+        if (step.include) entry.include = step.include;
+        this.trace?.steps.push(entry);
+        return entry;
+    }
+
+    /**
+     * Run a single step (wait, check condition, write or include), retrying
+     * the part that failed, and record the result in its trace entry.  An
+     * included chain is not retried as a whole; its steps have their own
+     * retries.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {ActionChainStep} step
+     * @param {string} stepName - Step name for log messages.
+     * @param {ioBroker.Logger} log
+     * @param {StepTrace} entry - Trace entry of the step.
+     * @param {ExecuteOptions['resolveChain']|null} [resolveChain]
+     * @param {string[]} [includes]
+     * @returns {Promise<boolean>} `false` if the step was skipped by its condition.
+     */
+    async _runStep(adapter, step, stepName, log, entry, resolveChain = null, includes = []) {
+        try {
+            const written = await this._attemptStep(adapter, step, stepName, log, entry);
+            if (written && step.include) {
+                await this._runInclude(adapter, step.include, stepName, log, resolveChain, includes);
+            }
+            entry.outcome = written ? 'written' : 'skipped';
+            return written;
+        } catch (err) {
+            entry.outcome = this._aborted ? 'aborted' : 'failed';
+            entry.error = err.message;
+            throw err;
+        } finally {
+            entry.endedAt = Date.now();
+        }
+    }
+
+    /**
+     * Run a library chain in place of an include step.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {string} id - Library chain id.
+     * @param {string} stepName
+     * @param {ioBroker.Logger} log
+     * @param {ExecuteOptions['resolveChain']|null} resolveChain
+     * @param {string[]} includes - Library chains already being included.
+     * @returns {Promise<void>}
+     */
+    async _runInclude(adapter, id, stepName, log, resolveChain, includes) {
+        if (includes.includes(id)) {
+            throw new Error(`Library chain "${id}" includes itself`);
+        }
+        const chain = this._resolveInclude ? await this._resolveInclude(id) : null;
+        if (!Array.isArray(chain)) {
+            throw new Error(`Library chain "${id}" not found`);
+        }
+        log.debug(`${stepName}: running library chain "${id}" (${chain.length} steps)`);
+        await this._runSteps(adapter, chain, log, resolveChain, `library:${id}`, [...includes, id]);
+    }
+
+    /**
+     * @param {ioBroker.Adapter} adapter
+     * @param {ActionChainStep} step
+     * @param {string} stepName
+     * @param {ioBroker.Logger} log
+     * @param {StepTrace} entry
+     * @returns {Promise<boolean>}
+     */
+    async _attemptStep(adapter, step, stepName, log, entry) {
+        const retries = Math.max(0, Math.floor(Number(step.retries) || 0));
+        const retryDelayMs = Number(step.retryDelayMs) > 0 ? Number(step.retryDelayMs) : DEFAULT_RETRY_DELAY_MS;
+        let waited = !step.waitBefore;
+
+        for (let attempt = 0; ; attempt++) {
+            entry.attempts = attempt + 1;
+            try {
+                // Wait before (steps 2+)
+                if (!waited) {
+                    log.debug(`${stepName}: waiting (${step.waitBefore.type})`);
+                    await this._wait(adapter, step.waitBefore, log);
+                    waited = true;
+                }
+
+                if (this._aborted) {
+                    throw new Error('Action chain aborted');
+                }
 
-        if (this._timer) {
-            clearTimeout(this._timer);
-            this._timer = null;
+                if (step.condition && !(await this._checkCondition(adapter, step.condition))) {
+                    log.debug(`${stepName}: condition ${step.condition.objectId} ${step.condition.operator || '=='} ${step.condition.value} not met, skipping`);
+                    return false;
+                }
+
+                // Execute the step
+                if (step.objectId) {
+                    const value = await this._stepValue(adapter, step);
+                    entry.value = value;
+                    log.debug(`${stepName}: setting ${step.objectId} = ${value}`);
+                    await adapter.setForeignStateAsync(step.objectId, value, false);
+                }
+                return true;
+            } catch (err) {
+                if (this._aborted || attempt >= retries) throw err;
+
+                const delay = retryDelayMs * 2 ** attempt;
+                log.warn(`${stepName} failed (attempt ${attempt + 1}/${retries + 1}): ${err.message} — retrying in ${delay}ms`);
+                await this._delay(delay);
+            }
         }
+    }
 
-        if (this._unsubscribe) {
-            this._unsubscribe();
-            this._unsubscribe = null;
+    /**
+     * The value a step writes: its template evaluated, converted to the
+     * target object's `common.type`.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {ActionChainStep} step
+     * @returns {Promise<any>}
+     */
+    async _stepValue(adapter, step) {
+        let value = step.value;
+        if (hasTemplate(value)) {
+            const resolveVariable = this._resolveVariable || (async (path) => {
+                throw new Error(`Unknown variable "${path}"`);
+            });
+            try {
+                value = await renderTemplate(value, resolveVariable);
+            } catch (e) {
+                throw new Error(`Template "${step.value}": ${e.message}`);
+            }
         }
 
-        if (this._rejectCurrent) {
-            this._rejectCurrent();
-            this._rejectCurrent = null;
+        if (!this._objects.has(step.objectId)) {
+            this._objects.set(step.objectId, adapter.getForeignObjectAsync(step.objectId).catch(() => null));
+        }
+        const obj = await this._objects.get(step.objectId);
+        return coerceValue(value, obj?.common?.type);
+    }
+
+    /**
+     * @param {ioBroker.Adapter} adapter
+     * @param {StepCondition} condition
+     * @returns {Promise<boolean>}
+     */
+    async _checkCondition(adapter, condition) {
+        const state = await adapter.getForeignStateAsync(condition.objectId);
+        return compareValues(state?.val, condition.operator || '==', condition.value);
+    }
+
+    /**
+     * Run the compensating chain of a failed step.  Its own failures are
+     * logged; the original error is rethrown by the caller.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {string} slotId
+     * @param {ExecuteOptions['resolveChain']|null} resolveChain
+     * @param {string} stepName - Name of the failed step.
+     * @param {Error} err - Error of the failed step.
+     * @param {ioBroker.Logger} log
+     * @returns {Promise<void>}
+     */
+    async _compensate(adapter, slotId, resolveChain, stepName, err, log) {
+        const compensation = resolveChain ? resolveChain(slotId) : null;
+        if (!Array.isArray(compensation) || compensation.length === 0) {
+            log.warn(`${stepName} failed: ${err.message} — chain "${slotId}" not available, aborting`);
+            return;
+        }
+
+        log.warn(`${stepName} failed: ${err.message} — running chain "${slotId}"`);
+        try {
+            await this._runSteps(adapter, compensation, log, null, slotId);
+        } catch (e) {
+            if (this._aborted) throw e;
+            log.error(`Compensating chain "${slotId}" failed: ${e.message}`);
+        }
+    }
+
+    /** @returns {boolean} Whether `abort()` was called. */
+    get aborted() {
+        return this._aborted;
+    }
+
+    /**
+     * Abort a running chain execution.
+     */
+    abort() {
+        this._aborted = true;
+
+        for (const cancel of Array.from(this._cancels)) {
+            cancel();
         }
     }
 
@@ -148,9 +712,9 @@ class ActionChainExecutor {
             log.debug(`Waiting ${ms}ms (delay)`);
             await this._delay(ms);
         } else if (condition.type === 'state') {
-            const timeout = condition.timeout || 30000;
-            log.debug(`Waiting for ${condition.objectId} = ${condition.value} (timeout: ${timeout}ms)`);
-            await this._waitForState(adapter, condition.objectId, condition.value, timeout, log);
+            const timeout = condition.timeout || DEFAULT_STATE_TIMEOUT_MS;
+            log.debug(`Waiting for ${describeWait(condition)} (timeout: ${timeout}ms)`);
+            await this._waitForState(adapter, condition, timeout, log);
         } else {
             log.warn(`Unknown wait condition type: ${condition.type}`);
         }
@@ -162,80 +726,120 @@ class ActionChainExecutor {
      */
     _delay(ms) {
         return new Promise((resolve, reject) => {
-            this._rejectCurrent = () => reject(new Error('Action chain aborted'));
-            this._timer = setTimeout(() => {
-                this._timer = null;
-                this._rejectCurrent = null;
+            const cancel = () => {
+                clearTimeout(timer);
+                this._cancels.delete(cancel);
+                reject(new Error('Action chain aborted'));
+            };
+            const timer = setTimeout(() => {
+                this._cancels.delete(cancel);
                 resolve();
             }, ms);
+            this._cancels.add(cancel);
         });
     }
 
     /**
-     * Wait for a foreign state to reach an expected value.
+     * Subscribe to the object of a state wait.
      *
      * @param {ioBroker.Adapter} adapter
      * @param {string} objectId
-     * @param {any} expectedValue
+     * @returns {Promise<() => Promise<void>>} Releases the subscription.
+     */
+    async _subscribe(adapter, objectId) {
+        if (this._subscribeState) return this._subscribeState(objectId);
+        await adapter.subscribeForeignStatesAsync(objectId);
+        return () => adapter.unsubscribeForeignStatesAsync(objectId);
+    }
+
+    /**
+     * Wait for a foreign state to satisfy a state wait condition.  The
+     * watched object is subscribed for the duration of the wait and released
+     * when it is met, times out or is aborted.
+     *
+     * @param {ioBroker.Adapter} adapter
+     * @param {WaitCondition} condition - State wait (objectId, operator, value, ackOnly).
      * @param {number} timeoutMs
      * @param {ioBroker.Logger} log
      * @returns {Promise<void>}
      */
-    _waitForState(adapter, objectId, expectedValue, timeoutMs, log) {
+    _waitForState(adapter, condition, timeoutMs, log) {
+        const { objectId } = condition;
+        const operator = condition.operator || '==';
+        const description = describeWait(condition);
+
         return new Promise((resolve, reject) => {
             let settled = false;
+            /** @type {ReturnType<typeof setTimeout>|null} */
+            let timer = null;
+            /** Value when the wait started (operator 'changes'). */
+            let initialValue;
+            /** @type {(() => Promise<void>)|null} */
+            let release = null;
 
-            const cleanup = () => {
-                if (this._timer) {
-                    clearTimeout(this._timer);
-                    this._timer = null;
-                }
-                this._unsubscribe = null;
-                this._rejectCurrent = null;
+            /** @param {ioBroker.State|null|undefined} state */
+            const matches = (state) => {
+                if (!state || (condition.ackOnly && !state.ack)) return false;
+                if (operator === 'changes') return !looseEquals(state.val, initialValue);
+                return compareValues(state.val, operator, condition.value);
+            };
+
+            const watcher = {
+                objectId,
+                handler: (state) => {
+                    if (matches(state)) {
+                        log.debug(`State ${objectId} reached ${description} (${state?.val})`);
+                        settle(null);
+                    }
+                },
             };
 
             const settle = (err) => {
                 if (settled) return;
                 settled = true;
-                cleanup();
+                if (timer) clearTimeout(timer);
+                this._watchers.delete(watcher);
+                this._cancels.delete(cancel);
+                releaseSubscription();
                 if (err) reject(err);
                 else resolve();
             };
 
-            this._rejectCurrent = () => settle(new Error('Action chain aborted'));
+            const releaseSubscription = () => {
+                if (!release) return;
+                const done = release;
+                release = null;
+                done().catch((e) => log.warn(`Cannot unsubscribe from ${objectId}: ${e}`));
+            };
+
+            const cancel = () => settle(new Error('Action chain aborted'));
+            this._cancels.add(cancel);
 
-            // Check current value first
-            adapter.getForeignStateAsync(objectId).then((currentState) => {
+            // Subscribe first so no change between reading and watching is missed,
+            // then check the current value ('changes' only needs it as reference)
+            this._subscribe(adapter, objectId).then((unsubscribe) => {
+                release = unsubscribe;
+                // Settled (aborted) while subscribing
+                if (settled) releaseSubscription();
+                return adapter.getForeignStateAsync(objectId);
+            }).then((currentState) => {
                 if (settled) return;
 
-                if (currentState && looseEquals(currentState.val, expectedValue)) {
-                    log.debug(`State ${objectId} already at expected value ${expectedValue}`);
+                if (operator === 'changes') {
+                    initialValue = currentState?.val;
+                } else if (matches(currentState)) {
+                    log.debug(`State ${objectId} already at ${description}`);
                     settle(null);
                     return;
                 }
 
-                // Set up a state change listener via adapter's built-in event
-                // We use a wrapper that the adapter's onStateChange can call
-                const handler = (id, state) => {
-                    if (id === objectId && state && looseEquals(state.val, expectedValue)) {
-                        log.debug(`State ${objectId} reached expected value ${expectedValue}`);
-                        settle(null);
-                    }
-                };
-
-                // Store handler on the executor so it can be called from outside
-                this._stateHandler = handler;
-                this._stateHandlerObjectId = objectId;
-
-                this._unsubscribe = () => {
-                    this._stateHandler = null;
-                    this._stateHandlerObjectId = null;
-                };
+                // Listen for changes routed in by the adapter's onStateChange
+                this._watchers.add(watcher);
 
                 // Timeout
-                this._timer = setTimeout(() => {
-                    log.warn(`Timeout waiting for ${objectId} = ${expectedValue} after ${timeoutMs}ms`);
-                    settle(new Error(`Timeout waiting for ${objectId} to reach ${expectedValue}`));
+                timer = setTimeout(() => {
+                    log.warn(`Timeout waiting for ${description} after ${timeoutMs}ms`);
+                    settle(new Error(`Timeout waiting for ${description}`));
                 }, timeoutMs);
             }).catch((err) => {
                 settle(err);
@@ -250,46 +854,283 @@ class ActionChainExecutor {
      * @param {ioBroker.State|null} state - The new state.
      */
     onStateChange(id, state) {
-        if (this._stateHandler && id === this._stateHandlerObjectId) {
-            this._stateHandler(id, state);
+        for (const watcher of Array.from(this._watchers)) {
+            if (watcher.objectId === id) {
+                watcher.handler(state);
+            }
         }
     }
 }
 
+// ---------------------------------------------------------------------------
+// Simulation
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} SimulationIssue
+ * @property {'error'|'warning'} level
+ * @property {number}  [index]  - Step position (0-based); missing for chain-level issues.
+ * @property {string}  [chain]  - Slot of the compensating chain the step belongs to.
+ * @property {string}  message
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {SimulationIssue[]} issues
+ * @property {number} durationMs    - Expected duration: all delays, state waits satisfied at once.
+ * @property {number} maxDurationMs - Duration if every state wait runs into its timeout.
+ */
+
+/**
+ * Check whether a chain value can be written to an object of the given
+ * `common.type` (after `coerceValue`).
+ *
+ * @param {any} value
+ * @param {string} [type] - `common.type` of the target object.
+ * @returns {string|null} Problem description, `null` if the value fits.
+ */
+function checkValueType(value, type) {
+    if (value === null || value === undefined) return null;
+    const coerced = coerceValue(value, type);
+    switch (type) {
+        case 'number':
+            return typeof coerced === 'number' ? null : `value "${value}" is not a number`;
+        case 'boolean':
+            return typeof coerced === 'boolean' ? null : `value "${value}" is not a boolean`;
+        default:
+            return null;
+    }
+}
+
 /**
- * Create and execute an action chain.
+ * Check a chain without writing anything: every referenced object must
+ * exist, written values must fit the target's `common.type`, jump targets
+ * and compensating chains must be valid.  Also estimates the duration
+ * (parallel blocks count with their longest member; jumps and retries are
+ * not followed).
  *
  * @param {ioBroker.Adapter} adapter
  * @param {ActionChain} chain
- * @param {ioBroker.Logger} log
- * @returns {Promise<ActionChainExecutor>} The executor (can be used to abort).
+ * @param {ExecuteOptions} [options]
+ * @returns {Promise<SimulationResult>}
  */
-async function executeChain(adapter, chain, log) {
-    const executor = new ActionChainExecutor();
-    // Don't await — return executor immediately so caller can abort
-    // The execution runs in background
-    const promise = executor.execute(adapter, chain, log);
-    executor._promise = promise;
-    return executor;
+async function simulateChain(adapter, chain, options = {}) {
+    /** @type {SimulationResult} */
+    const result = { issues: [], durationMs: 0, maxDurationMs: 0 };
+    await simulateSteps(adapter, chain || [], options, result, undefined, []);
+    return result;
 }
 
 /**
- * Create and execute an action chain, awaiting completion.
- *
  * @param {ioBroker.Adapter} adapter
  * @param {ActionChain} chain
- * @param {ioBroker.Logger} log
+ * @param {ExecuteOptions} options - `resolveChain` is unset inside a compensating chain.
+ * @param {SimulationResult} result - Collects issues and the durations of `chain`.
+ * @param {string|undefined} chainName
+ * @param {string[]} includes - Library chains being included (cycle detection).
  * @returns {Promise<void>}
  */
-async function executeChainAndWait(adapter, chain, log) {
-    const executor = new ActionChainExecutor();
-    await executor.execute(adapter, chain, log);
-    return executor;
+async function simulateSteps(adapter, chain, options, result, chainName, includes) {
+    const issue = (level, index, message) => {
+        /** @type {SimulationIssue} */
+        const entry = { level, message };
+        if (index !== undefined) entry.index = index;
+        if (chainName) entry.chain = chainName;
+        result.issues.push(entry);
+    };
+
+    try {
+        indexLabels(chain);
+    } catch (e) {
+        issue('error', undefined, e.message);
+    }
+
+    /** @type {Map<string, ioBroker.Object|null>} */
+    const objects = new Map();
+    const getObject = async (id) => {
+        if (!objects.has(id)) {
+            objects.set(id, await adapter.getForeignObjectAsync(id).catch(() => null) || null);
+        }
+        return objects.get(id);
+    };
+
+    for (let i = 0; i < chain.length;) {
+        const end = chain[i].parallel ? parallelBlockEnd(chain, i) : i + 1;
+        let expected = 0;
+        let max = 0;
+
+        for (let k = i; k < end; k++) {
+            const step = chain[k];
+
+            if (step.objectId) {
+                const obj = await getObject(step.objectId);
+                if (!obj) {
+                    issue('error', k, `object ${step.objectId} does not exist`);
+                } else {
+                    if (hasTemplate(step.value)) {
+                        // Evaluated at run time; only the syntax can be checked
+                        try {
+                            parseTemplate(step.value);
+                        } catch (e) {
+                            issue('error', k, `${step.objectId}: invalid template: ${e.message}`);
+                        }
+                    } else {
+                        const mismatch = checkValueType(step.value, obj.common?.type);
+                        if (mismatch) issue('error', k, `${step.objectId}: ${mismatch}`);
+                    }
+                }
+            }
+            for (const id of [step.waitBefore?.type === 'state' ? step.waitBefore.objectId : '', step.condition?.objectId]) {
+                if (id && !(await getObject(id))) {
+                    issue('error', k, `object ${id} does not exist`);
+                }
+            }
+
+            const policy = String(step.onError || 'abort');
+            if (policy.startsWith(RUN_CHAIN_PREFIX)) {
+                const slotId = policy.slice(RUN_CHAIN_PREFIX.length);
+                const compensation = options.resolveChain ? options.resolveChain(slotId) : null;
+                if (!Array.isArray(compensation) || compensation.length === 0) {
+                    issue('error', k, `compensating chain "${slotId}" is not available`);
+                } else {
+                    const sub = { issues: result.issues, durationMs: 0, maxDurationMs: 0 };
+                    await simulateSteps(adapter, compensation, { ...options, resolveChain: null }, sub, slotId, includes);
+                }
+            }
+
+            const wait = step.waitBefore;
+            const delay = wait?.type === 'delay' ? Number(wait.ms) || 0 : 0;
+            const timeout = wait?.type === 'state' ? Number(wait.timeout) || DEFAULT_STATE_TIMEOUT_MS : 0;
+            let included = { durationMs: 0, maxDurationMs: 0 };
+
+            if (step.include) {
+                const library = options.resolveInclude ? await options.resolveInclude(step.include) : null;
+                if (includes.includes(step.include)) {
+                    issue('error', k, `library chain "${step.include}" includes itself`);
+                } else if (!Array.isArray(library)) {
+                    issue('error', k, `library chain "${step.include}" not found`);
+                } else {
+                    const sub = { issues: result.issues, durationMs: 0, maxDurationMs: 0 };
+                    await simulateSteps(adapter, library, options, sub, `library:${step.include}`, [...includes, step.include]);
+                    included = sub;
+                }
+            }
+
+            expected = Math.max(expected, delay + included.durationMs);
+            max = Math.max(max, delay + timeout + included.maxDurationMs);
+        }
+
+        result.durationMs += expected;
+        result.maxDurationMs += max;
+        i = end;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Scheduling
+// ---------------------------------------------------------------------------
+
+/**
+ * What happens when a chain starts while another run with the same key is
+ * running (or queued): `abortPrevious` aborts the other runs, `queue` starts
+ * after them, `dropIfBusy` does not start the new run.
+ *
+ * @typedef {'abortPrevious'|'queue'|'dropIfBusy'} ChainPolicy
+ */
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {ChainPolicy} [policy] - Without a policy the run is independent of all others.
+ * @property {string}      [key]    - Runs with the same key are subject to the policy (default 'default').
+ */
+
+/**
+ * Handle of a started (or queued, or dropped) chain run.
+ *
+ * @typedef {Object} ChainHandle
+ * @property {ActionChainExecutor} executor - Executor of the run (trace, state routing).
+ * @property {Promise<void>} promise  - Resolves when the run completed (at once for a dropped run),
+ *                                      rejects when it failed or was aborted.
+ * @property {() => void}    abort    - Abort the run; a queued run will not start.
+ * @property {boolean}       dropped  - The run was not started (policy `dropIfBusy`).
+ */
+
+/**
+ * Applies the start policies to the chain runs of one device.  Runs start
+ * without being awaited; the returned handle carries the run's promise and
+ * `abort()`.
+ */
+class ChainScheduler {
+    constructor() {
+        /**
+         * Running and queued runs per key, in start order.
+         * @type {Map<string, ChainHandle[]>}
+         */
+        this._lanes = new Map();
+    }
+
+    /**
+     * Start a run according to its policy.  Returns immediately.
+     *
+     * @param {(executor: ActionChainExecutor) => Promise<void>} run - Executes the chain with the given executor.
+     * @param {ScheduleOptions} [options]
+     * @returns {ChainHandle}
+     */
+    schedule(run, options = {}) {
+        const executor = new ActionChainExecutor();
+        const key = options.key || 'default';
+        /** @type {ChainHandle[]|null} */
+        const lane = options.policy ? this._lanes.get(key) || [] : null;
+        const busy = !!lane && lane.length > 0;
+
+        if (busy && options.policy === 'dropIfBusy') {
+            return { executor, promise: Promise.resolve(), abort() {}, dropped: true };
+        }
+        if (busy && options.policy === 'abortPrevious') {
+            for (const other of lane) other.abort();
+        }
+
+        // Queued runs start once every run ahead of them has settled
+        const ahead = busy && options.policy === 'queue'
+            ? Promise.allSettled(lane.map((other) => other.promise))
+            : Promise.resolve();
+        const promise = ahead.then(() => {
+            if (executor.aborted) throw new Error('Action chain aborted');
+            return run(executor);
+        });
+
+        /** @type {ChainHandle} */
+        const handle = { executor, promise, abort: () => executor.abort(), dropped: false };
+        if (lane) {
+            lane.push(handle);
+            this._lanes.set(key, lane);
+            const remove = () => {
+                lane.splice(lane.indexOf(handle), 1);
+                if (lane.length === 0 && this._lanes.get(key) === lane) this._lanes.delete(key);
+            };
+            promise.then(remove, remove);
+        }
+        return handle;
+    }
+
+    /**
+     * @param {string} [key]
+     * @returns {boolean} Whether a run with the key is running or queued.
+     */
+    isBusy(key = 'default') {
+        return (this._lanes.get(key)?.length || 0) > 0;
+    }
 }
 
 module.exports = {
     ActionChainExecutor,
-    executeChain,
-    executeChainAndWait,
+    DEFAULT_STATE_TIMEOUT_MS,
+    DEFAULT_RETRY_DELAY_MS,
+    RUN_CHAIN_PREFIX,
+    ChainScheduler,
+    checkValueType,
+    coerceValue,
+    compareValues,
     looseEquals,
+    simulateChain,
 };
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Instance-wide library of named action chains.
+ *
+ * Sequences used by several devices ("all lights off") are stored once in
+ * the library instead of being copied into every device's `native.chains`.
+ * A chain slot references a library chain with an include step
+ * (`{ include: '<id>' }`), which may also appear between other steps.  The
+ * include is resolved when the step runs, so editing a library chain changes
+ * every device that uses it without restarting them.
+ *
+ * All chains are kept in the `native.chains` of one folder object
+ * (`{namespace}.library`), keyed by id.
+ *
+ * @module chain-library
+ */
+
+/** Id of the library object relative to the adapter namespace. */
+const LIBRARY_OBJECT_ID = 'library';
+
+/** Allowed library chain ids. */
+const LIBRARY_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @typedef {Object} LibraryChain
+ * @property {string} name - Display name.
+ * @property {import('./action-chain').ActionChain} steps
+ */
+
+class ChainLibrary {
+    /**
+     * @param {ioBroker.Adapter} adapter - Adapter instance (own namespace object access).
+     */
+    constructor(adapter) {
+        this._adapter = adapter;
+    }
+
+    /**
+     * @returns {Promise<Array<LibraryChain & { id: string }>>} All chains, sorted by name.
+     */
+    async list() {
+        const chains = await this._read();
+        return Object.entries(chains)
+            .map(([id, entry]) => ({ id, ...entry }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<LibraryChain|null>}
+     */
+    async get(id) {
+        const chains = await this._read();
+        return Object.prototype.hasOwnProperty.call(chains, id) ? chains[id] : null;
+    }
+
+    /**
+     * Create or replace a chain.
+     *
+     * @param {string} id - Letters, digits, `_` and `-`.
+     * @param {LibraryChain} entry
+     * @returns {Promise<void>}
+     */
+    async save(id, entry) {
+        if (!LIBRARY_ID_RE.test(id)) {
+            throw new Error(`Invalid library chain id "${id}" (allowed: letters, digits, _ and -)`);
+        }
+        const chains = await this._read();
+        chains[id] = { name: entry.name || id, steps: entry.steps || [] };
+        await this._write(chains);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} `false` if the chain did not exist.
+     */
+    async delete(id) {
+        const chains = await this._read();
+        if (!Object.prototype.hasOwnProperty.call(chains, id)) return false;
+        delete chains[id];
+        await this._write(chains);
+        return true;
+    }
+
+    /**
+     * @returns {Promise<Record<string, LibraryChain>>}
+     */
+    async _read() {
+        const obj = await this._adapter.getObjectAsync(LIBRARY_OBJECT_ID);
+        const chains = obj?.native?.chains;
+        return chains && typeof chains === 'object' ? { ...chains } : {};
+    }
+
+    /**
+     * @param {Record<string, LibraryChain>} chains
+     * @returns {Promise<void>}
+     */
+    async _write(chains) {
+        await this._adapter.setObjectAsync(LIBRARY_OBJECT_ID, {
+            type: 'folder',
+            common: { name: 'Action chain library' },
+            native: { chains },
+        });
+    }
+}
+
+module.exports = {
+    ChainLibrary,
+    LIBRARY_ID_RE,
+    LIBRARY_OBJECT_ID,
+};
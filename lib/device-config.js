@@ -0,0 +1,535 @@
+'use strict';
+
+/**
+ * Stored device configurations.
+ *
+ * A virtual device is a `device` object in the adapter namespace whose
+ * `native` holds its `StoredDeviceConfig`.  This module validates such
+ * configs against their plugin and creates and removes the device objects
+ * (including the room enum membership and the device's states), for the
+ * Device Manager as well as for the message API.
+ *
+ * Validation has two levels: `validateDeviceConfig` checks the config itself
+ * (structure, required inputs, setting ranges and the plugin's
+ * `validateConfig` hook); `checkDeviceObjects` additionally looks up the
+ * referenced objects (mapped inputs against the slot filters, chain steps
+ * through the chain simulation).
+ *
+ * Configs carry the `configVersion` of the plugin that saved them (missing
+ * means 1).  `migrateDeviceConfig` brings older configs up to the plugin's
+ * current version through its `migrateConfig` hook.  Configs saved by older
+ * adapter versions may also hold settings the plugin no longer declares or
+ * checkboxes stored as strings; `repairStoredConfig` tidies those before a
+ * device starts, so they do not count as misconfiguration.
+ *
+ * @module device-config
+ */
+
+const { simulateChain } = require('./action-chain');
+
+/** Allowed device ids (one object id segment). */
+const DEVICE_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+/** Ids of adapter objects beside the devices (chain library, instance info). */
+const RESERVED_DEVICE_IDS = new Set(['library', 'info']);
+
+/**
+ * @param {any} id
+ * @returns {string|null} Why `id` cannot be used as a device id, or `null` if it can.
+ */
+function checkDeviceId(id) {
+    if (typeof id !== 'string' || !DEVICE_ID_RE.test(id)) return 'deviceId: letters, digits, _ and - only';
+    if (RESERVED_DEVICE_IDS.has(id)) return `deviceId: "${id}" is reserved`;
+    return null;
+}
+
+/**
+ * @param {string} pluginId
+ * @returns {string} A new, practically unique device id for the plugin.
+ */
+function newDeviceId(pluginId) {
+    return `${pluginId}-${Date.now().toString(36)}`;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a config value against its JSONConfig schema item.
+ *
+ * @param {string} key
+ * @param {any} value
+ * @param {Record<string, any>} schema
+ * @returns {string|null} Error message, or `null` if the value fits.
+ */
+function checkConfigValue(key, value, schema) {
+    if (value === undefined || value === null || value === '') return null;
+
+    switch (schema.type) {
+        case 'number': {
+            const num = typeof value === 'number' ? value : Number(value);
+            if (typeof value === 'boolean' || !Number.isFinite(num)) {
+                return `config.${key}: "${value}" is not a number`;
+            }
+            if (typeof schema.min === 'number' && num < schema.min) {
+                return `config.${key}: ${num} is below the minimum ${schema.min}`;
+            }
+            if (typeof schema.max === 'number' && num > schema.max) {
+                return `config.${key}: ${num} is above the maximum ${schema.max}`;
+            }
+            return null;
+        }
+        case 'checkbox':
+            return typeof value === 'boolean' ? null : `config.${key}: expected true or false`;
+        case 'select': {
+            const options = Array.isArray(schema.options) ? schema.options : [];
+            const allowed = options.map((option) => (isPlainObject(option) ? option.value : option));
+            return allowed.length === 0 || allowed.includes(value)
+                ? null
+                : `config.${key}: "${value}" is not one of the options`;
+        }
+        case 'table':
+            return Array.isArray(value) ? null : `config.${key}: expected a list of rows`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check the structure of a stored device config against its plugin: known
+ * input slots and config keys, required inputs, value types and ranges, and
+ * chain slots.  If those are fine, the plugin's `validateConfig` hook runs
+ * for cross-field rules.  Object ids are not looked up.
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {any} native - Config to check (typically from a message or a file).
+ * @returns {string[]} Error messages; empty if the config is valid.
+ */
+function validateDeviceConfig(plugin, native) {
+    if (!isPlainObject(native)) return ['Device config must be an object'];
+
+    /** @type {string[]} */
+    const errors = [];
+
+    if (native.pluginId !== plugin.id) {
+        errors.push(`pluginId: expected "${plugin.id}"`);
+    }
+    if (typeof native.deviceName !== 'string' || !native.deviceName.trim()) {
+        errors.push('deviceName: required');
+    }
+    if (native.room !== undefined && typeof native.room !== 'string') {
+        errors.push('room: expected an enum.rooms.* id');
+    }
+    if (native.configVersion !== undefined && native.configVersion !== pluginConfigVersion(plugin)) {
+        errors.push(`configVersion: expected ${pluginConfigVersion(plugin)}`);
+    }
+
+    const inputs = native.inputs ?? {};
+    if (!isPlainObject(inputs)) {
+        errors.push('inputs: expected an object of slot id → object id');
+    } else {
+        const slotIds = new Set(plugin.inputSlots.map((slot) => slot.id));
+        for (const [slotId, objectId] of Object.entries(inputs)) {
+            if (!slotIds.has(slotId)) {
+                errors.push(`inputs.${slotId}: unknown input slot`);
+            } else if (typeof objectId !== 'string') {
+                errors.push(`inputs.${slotId}: expected an object id`);
+            }
+        }
+        for (const slot of plugin.inputSlots) {
+            if (slot.required && !inputs[slot.id]) {
+                errors.push(`inputs.${slot.id}: required`);
+            }
+        }
+    }
+
+    const config = native.config ?? {};
+    if (!isPlainObject(config)) {
+        errors.push('config: expected an object');
+    } else {
+        for (const [key, value] of Object.entries(config)) {
+            const schema = plugin.configSchema[key];
+            if (!schema) {
+                errors.push(`config.${key}: unknown setting`);
+                continue;
+            }
+            const error = checkConfigValue(key, value, schema);
+            if (error) errors.push(error);
+        }
+    }
+
+    const chains = native.chains ?? {};
+    if (!isPlainObject(chains)) {
+        errors.push('chains: expected an object of slot id → steps');
+    } else {
+        for (const [slotId, chain] of Object.entries(chains)) {
+            if (!plugin.actionChainSlots?.[slotId]) {
+                errors.push(`chains.${slotId}: unknown chain slot`);
+            } else if (!Array.isArray(chain) || !chain.every((step) => isPlainObject(step) && typeof (step.objectId ?? '') === 'string')) {
+                errors.push(`chains.${slotId}: expected a list of steps with objectId and value`);
+            }
+        }
+    }
+
+    if (errors.length === 0 && typeof plugin.validateConfig === 'function') {
+        try {
+            const merged = { ...plugin.configDefaults, ...config };
+            errors.push(...(plugin.validateConfig(merged, { ...inputs }) || []).map(String));
+        } catch (e) {
+            errors.push(`Plugin check failed: ${e.message || e}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * @param {string|string[]|undefined} accepted
+ * @param {any} actual
+ * @param {boolean} [prefix] - Accept values starting with `<accepted>.` (roles).
+ * @returns {boolean}
+ */
+function matchesFilter(accepted, actual, prefix = false) {
+    if (accepted === undefined) return true;
+    const list = Array.isArray(accepted) ? accepted : [accepted];
+    return list.some((a) => actual === a || (prefix && typeof actual === 'string' && actual.startsWith(`${a}.`)));
+}
+
+/**
+ * Look up the objects a (structurally valid) config references: every
+ * mapped input must exist and match its slot's filter (object type,
+ * `common.type`, role and unit); every chain must pass the chain simulation
+ * (objects exist, values fit their types, labels, compensating and library
+ * chains).
+ *
+ * @param {ioBroker.Adapter} adapter
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @param {import('./action-chain').ExecuteOptions['resolveInclude']} [resolveInclude] - Library chain lookup.
+ * @returns {Promise<string[]>} Error messages; empty if everything was found.
+ */
+async function checkDeviceObjects(adapter, plugin, native, resolveInclude) {
+    /** @type {string[]} */
+    const errors = [];
+
+    for (const slot of plugin.inputSlots) {
+        const objectId = native.inputs?.[slot.id];
+        if (!objectId) continue;
+
+        const obj = await adapter.getForeignObjectAsync(objectId).catch(() => null);
+        if (!obj) {
+            errors.push(`inputs.${slot.id}: object ${objectId} does not exist`);
+            continue;
+        }
+        const filter = slot.filter || {};
+        const common = filter.common || {};
+        if (filter.type && obj.type !== filter.type) {
+            errors.push(`inputs.${slot.id}: ${objectId} is a ${obj.type}, expected a ${filter.type}`);
+        }
+        if (!matchesFilter(common.type, obj.common?.type)) {
+            errors.push(`inputs.${slot.id}: ${objectId} has type ${obj.common?.type}, expected ${[].concat(common.type).join(' or ')}`);
+        }
+        if (!matchesFilter(common.role, obj.common?.role, true)) {
+            errors.push(`inputs.${slot.id}: ${objectId} has role ${obj.common?.role}, expected ${[].concat(common.role).join(' or ')}`);
+        }
+        if (!matchesFilter(common.unit, obj.common?.unit)) {
+            errors.push(`inputs.${slot.id}: ${objectId} has unit ${obj.common?.unit || '(none)'}, expected ${[].concat(common.unit).join(' or ')}`);
+        }
+    }
+
+    const chains = native.chains || {};
+    for (const [slotId, chain] of Object.entries(chains)) {
+        if (!Array.isArray(chain) || chain.length === 0) continue;
+        const result = await simulateChain(adapter, chain, {
+            resolveChain: (id) => chains[id] || null,
+            resolveInclude,
+        });
+        for (const issue of result.issues) {
+            if (issue.level !== 'error') continue;
+            const where = [issue.chain, issue.index !== undefined ? `step ${issue.index + 1}` : '']
+                .filter(Boolean).join(' ');
+            errors.push(`chains.${slotId}: ${where ? `${where}: ` : ''}${issue.message}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Complete a (validated) config: unset settings get the plugin defaults.
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @returns {import('./plugin-interface').StoredDeviceConfig}
+ */
+function normalizeDeviceConfig(plugin, native) {
+    /** @type {Record<string, any>} */
+    const config = {};
+    for (const key of Object.keys(plugin.configSchema)) {
+        config[key] = native.config?.[key] !== undefined ? native.config[key] : plugin.configDefaults[key];
+    }
+    return {
+        pluginId: plugin.id,
+        configVersion: pluginConfigVersion(plugin),
+        deviceName: native.deviceName.trim(),
+        room: native.room || '',
+        inputs: { ...native.inputs },
+        config,
+        chains: { ...native.chains },
+    };
+}
+
+/**
+ * Tidy a stored config before it is validated and started: settings the
+ * plugin does not declare are dropped and checkbox values stored as
+ * `"true"`/`"false"` strings (by older form code) become booleans.
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @returns {{ native: import('./plugin-interface').StoredDeviceConfig, changes: string[] }}
+ *          `native` is the given object itself when nothing had to be changed.
+ */
+function repairStoredConfig(plugin, native) {
+    if (!isPlainObject(native.config)) return { native, changes: [] };
+
+    /** @type {Record<string, any>} */
+    const config = {};
+    for (const [key, value] of Object.entries(native.config)) {
+        const schema = plugin.configSchema[key];
+        if (!schema) continue;
+        config[key] = schema.type === 'checkbox' && (value === 'true' || value === 'false') ? value === 'true' : value;
+    }
+
+    const repaired = { ...native, config };
+    const changes = describeConfigChanges(native, repaired);
+    return changes.length > 0 ? { native: repaired, changes } : { native, changes };
+}
+
+/**
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @returns {number} The config version the plugin currently saves (1 if it declares none).
+ */
+function pluginConfigVersion(plugin) {
+    return Number.isInteger(plugin.configVersion) && plugin.configVersion > 1 ? plugin.configVersion : 1;
+}
+
+/**
+ * @param {any} value
+ * @returns {string} Short text for a changed value in the migration log.
+ */
+function describeValue(value) {
+    const text = JSON.stringify(value);
+    return text === undefined ? String(value) : (text.length > 40 ? `${text.slice(0, 37)}...` : text);
+}
+
+/**
+ * List the differences between two versions of a stored config: settings,
+ * inputs and other top-level fields one by one, chains per slot.
+ *
+ * @param {Record<string, any>} before
+ * @param {Record<string, any>} after
+ * @returns {string[]} E.g. `config.scheduleMonStart: "" → "08:00"`.
+ */
+function describeConfigChanges(before, after) {
+    /** @type {string[]} */
+    const changes = [];
+    /**
+     * @param {string} prefix
+     * @param {Record<string, any>} a
+     * @param {Record<string, any>} b
+     * @param {boolean} detailed - Show the values (not for chains).
+     */
+    const compare = (prefix, a, b, detailed) => {
+        for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            if (!(key in b)) {
+                changes.push(`${prefix}${key}: removed${detailed ? ` (was ${describeValue(a[key])})` : ''}`);
+            } else if (!(key in a)) {
+                changes.push(`${prefix}${key}: added${detailed ? ` (${describeValue(b[key])})` : ''}`);
+            } else if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+                changes.push(`${prefix}${key}: ${detailed ? `${describeValue(a[key])} → ${describeValue(b[key])}` : 'changed'}`);
+            }
+        }
+    };
+
+    const nested = ['configVersion', 'inputs', 'config', 'chains'];
+    /** @param {Record<string, any>} native */
+    const topLevel = (native) => Object.fromEntries(Object.entries(native).filter(([key]) => !nested.includes(key)));
+
+    compare('', topLevel(before), topLevel(after), true);
+    compare('inputs.', before.inputs || {}, after.inputs || {}, true);
+    compare('config.', before.config || {}, after.config || {}, true);
+    compare('chains.', before.chains || {}, after.chains || {}, false);
+    return changes;
+}
+
+/**
+ * Bring a stored config up to the plugin's current `configVersion` by
+ * calling its `migrateConfig(fromVersion, native)` once per version step.
+ * The hook gets a copy it may modify and returns the config of the next
+ * version.
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @returns {{ native: import('./plugin-interface').StoredDeviceConfig, from: number, to: number, changes: string[] }}
+ *          `native` is the given object itself when no migration was pending.
+ * @throws {Error} If the config is newer than the plugin or a migration fails.
+ */
+function migrateDeviceConfig(plugin, native) {
+    const to = pluginConfigVersion(plugin);
+    const from = native.configVersion === undefined ? 1 : native.configVersion;
+    if (!Number.isInteger(from) || from < 1) {
+        throw new Error(`Invalid config version ${JSON.stringify(from)}`);
+    }
+    if (from > to) {
+        throw new Error(`Config version ${from} is newer than the plugin supports (${to})`);
+    }
+    if (from === to) return { native, from, to, changes: [] };
+    if (typeof plugin.migrateConfig !== 'function') {
+        throw new Error(`Plugin "${plugin.id}" cannot migrate config version ${from}`);
+    }
+
+    let current = JSON.parse(JSON.stringify(native));
+    for (let version = from; version < to; version++) {
+        let next;
+        try {
+            next = plugin.migrateConfig(version, current);
+        } catch (e) {
+            throw new Error(`Migration from config version ${version} failed: ${e.message || e}`);
+        }
+        if (!isPlainObject(next)) {
+            throw new Error(`Migration from config version ${version} returned no config`);
+        }
+        current = next;
+    }
+
+    const upgraded = { ...current, configVersion: to };
+    return { native: upgraded, from, to, changes: describeConfigChanges(native, upgraded) };
+}
+
+/**
+ * Create the device object and add it to its room.
+ *
+ * @param {ioBroker.Adapter} adapter
+ * @param {string} deviceId
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @returns {Promise<void>}
+ */
+async function createDeviceObject(adapter, deviceId, native) {
+    await adapter.setObjectAsync(deviceId, {
+        type: 'device',
+        common: {
+            name: native.deviceName,
+        },
+        native,
+    });
+
+    if (native.room) {
+        await assignRoom(adapter, `${adapter.namespace}.${deviceId}`, native.room);
+    }
+}
+
+/**
+ * Remove a device: its room membership, all its states and the device
+ * object itself.  Missing objects are ignored.
+ *
+ * @param {ioBroker.Adapter} adapter
+ * @param {string} deviceId
+ * @returns {Promise<void>}
+ */
+async function deleteDeviceObjects(adapter, deviceId) {
+    // Remove from room enum if assigned
+    const obj = await adapter.getObjectAsync(deviceId);
+    if (obj?.native?.room) {
+        await removeFromRoom(adapter, `${adapter.namespace}.${deviceId}`, obj.native.room);
+    }
+
+    // Delete all output states
+    const states = await adapter.getStatesAsync(`${deviceId}.*`);
+    for (const stateId of Object.keys(states || {})) {
+        const relativeId = stateId.replace(`${adapter.namespace}.`, '');
+        try {
+            await adapter.delObjectAsync(relativeId);
+        } catch {
+            // ignore errors for already-deleted states
+        }
+    }
+
+    // Delete the device object itself
+    try {
+        await adapter.delObjectAsync(deviceId, { recursive: true });
+    } catch {
+        // ignore
+    }
+}
+
+/**
+ * Add an object to a room enum.
+ *
+ * @param {ioBroker.Adapter} adapter
+ * @param {string} objectId - full object ID
+ * @param {string} roomId - enum.rooms.* ID (e.g. "enum.rooms.living_room")
+ * @returns {Promise<void>}
+ */
+async function assignRoom(adapter, objectId, roomId) {
+    try {
+        const roomObj = await adapter.getForeignObjectAsync(roomId);
+        if (!roomObj) return;
+        const members = roomObj.common?.members || [];
+        if (!members.includes(objectId)) {
+            members.push(objectId);
+            await adapter.extendForeignObjectAsync(roomId, {
+                common: { members },
+            });
+        }
+    } catch (e) {
+        adapter.log.warn(`Could not assign room ${roomId}: ${e}`);
+    }
+}
+
+/**
+ * Remove an object from a room enum.
+ *
+ * @param {ioBroker.Adapter} adapter
+ * @param {string} objectId - full object ID
+ * @param {string} roomId - enum.rooms.* ID
+ * @returns {Promise<void>}
+ */
+async function removeFromRoom(adapter, objectId, roomId) {
+    try {
+        const roomObj = await adapter.getForeignObjectAsync(roomId);
+        if (!roomObj) return;
+        const members = roomObj.common?.members || [];
+        const idx = members.indexOf(objectId);
+        if (idx >= 0) {
+            members.splice(idx, 1);
+            await adapter.extendForeignObjectAsync(roomId, {
+                common: { members },
+            });
+        }
+    } catch (e) {
+        adapter.log.warn(`Could not remove from room ${roomId}: ${e}`);
+    }
+}
+
+module.exports = {
+    DEVICE_ID_RE,
+    RESERVED_DEVICE_IDS,
+    assignRoom,
+    checkDeviceId,
+    checkDeviceObjects,
+    createDeviceObject,
+    deleteDeviceObjects,
+    describeConfigChanges,
+    migrateDeviceConfig,
+    newDeviceId,
+    normalizeDeviceConfig,
+    pluginConfigVersion,
+    removeFromRoom,
+    repairStoredConfig,
+    validateDeviceConfig,
+};
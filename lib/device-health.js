@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * Per-device health states.
+ *
+ * Whether a device actually works is not visible from its config alone: an
+ * input object may have been deleted, a sensor may never have reported, or
+ * the plugin may throw on every input change.  The adapter owns one
+ * `DeviceHealth` per device and reports these events to it; it publishes
+ * them below `{deviceId}.info`:
+ *
+ * - `status`          — `misconfigured`, `error`, `disabled` or `running` (first match wins)
+ * - `lastError`       — text of the latest problem (kept across restarts)
+ * - `lastInputUpdate` — timestamp of the latest input value
+ * - `inputsMissing`   — mapped inputs whose object was deleted or that never had a value
+ * - `pluginErrors`    — failed plugin callbacks per hook since the device started
+ *
+ * A device is `misconfigured` when its config does not validate or a mapped
+ * input object is deleted, and in `error` when `onInit` failed or the latest
+ * call of another hook threw (the next successful call clears it).
+ *
+ * @module device-health
+ */
+
+/** Values of `info.status`. */
+const HEALTH_STATUSES = ['running', 'error', 'disabled', 'misconfigured'];
+
+/**
+ * @typedef {Object} MissingInput
+ * @property {string} input    - Input slot id.
+ * @property {string} objectId - Mapped object id.
+ * @property {'deleted'|'never updated'} reason
+ */
+
+class DeviceHealth {
+    /**
+     * @param {ioBroker.Adapter} adapter - Adapter instance (own namespace object and state access).
+     * @param {string} deviceId
+     */
+    constructor(adapter, deviceId) {
+        this._adapter = adapter;
+        this._deviceId = deviceId;
+
+        /** @type {string[]} Config validation errors. */
+        this._problems = [];
+
+        /** @type {Map<string, MissingInput>} */
+        this._missing = new Map();
+
+        /** @type {Set<string>} Hooks whose latest call failed. */
+        this._failing = new Set();
+
+        /** @type {Record<string, number>} */
+        this._errorCounts = {};
+
+        /** @type {boolean} */
+        this._enabled = true;
+
+        /** @type {string} */
+        this._lastError = '';
+
+        /** @type {number|null} */
+        this._lastInputUpdate = null;
+
+        /** @type {Map<string, any>} Values last written per state, to skip unchanged writes. */
+        this._written = new Map();
+    }
+
+    /** @returns {'running'|'error'|'disabled'|'misconfigured'} */
+    get status() {
+        if (this._problems.length > 0 || [...this._missing.values()].some((m) => m.reason === 'deleted')) {
+            return 'misconfigured';
+        }
+        if (this._failing.size > 0) return 'error';
+        return this._enabled ? 'running' : 'disabled';
+    }
+
+    /**
+     * Create the `info` states and restore the last error.
+     *
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const base = `${this._deviceId}.info`;
+        await this._adapter.setObjectNotExistsAsync(base, {
+            type: 'channel',
+            common: { name: 'Device health' },
+            native: {},
+        });
+
+        /** @type {Array<[string, Record<string, any>]>} */
+        const definitions = [
+            ['status', {
+                name: 'Status', type: 'string', role: 'info.status',
+                states: Object.fromEntries(HEALTH_STATUSES.map((s) => [s, s])),
+            }],
+            ['lastError', { name: 'Last error', type: 'string', role: 'text' }],
+            ['lastInputUpdate', { name: 'Last input update', type: 'number', role: 'value.time' }],
+            ['inputsMissing', { name: 'Missing inputs', type: 'json', role: 'json' }],
+            ['pluginErrors', { name: 'Plugin errors per hook', type: 'json', role: 'json' }],
+        ];
+        for (const [id, common] of definitions) {
+            await this._adapter.setObjectNotExistsAsync(`${base}.${id}`, {
+                type: 'state',
+                common: { ...common, read: true, write: false },
+                native: {},
+            });
+        }
+
+        const lastError = await this._adapter.getStateAsync(`${base}.lastError`);
+        if (typeof lastError?.val === 'string') {
+            this._lastError = lastError.val;
+            this._written.set('lastError', lastError.val);
+        }
+    }
+
+    /**
+     * @param {string[]} problems - Config validation errors (empty when valid).
+     * @returns {Promise<void>}
+     */
+    async setConfigProblems(problems) {
+        this._problems = [...problems];
+        if (problems.length > 0) {
+            this._lastError = `Invalid config: ${problems.join('; ')}`;
+        }
+        await this._publish();
+    }
+
+    /**
+     * @param {boolean} enabled - Value of the device's `enabled` output.
+     * @returns {Promise<void>}
+     */
+    async setEnabled(enabled) {
+        this._enabled = enabled;
+        await this._publish();
+    }
+
+    /**
+     * Record a value of an input; clears a "never updated" entry.
+     *
+     * @param {string} inputId
+     * @param {number} [ts] - Timestamp of the value (default: now).
+     * @returns {Promise<void>}
+     */
+    async inputUpdated(inputId, ts = Date.now()) {
+        this._lastInputUpdate = Math.max(this._lastInputUpdate ?? 0, ts);
+        if (this._missing.get(inputId)?.reason === 'never updated') {
+            this._missing.delete(inputId);
+        }
+        await this._publish();
+    }
+
+    /**
+     * @param {string} inputId
+     * @param {string} objectId
+     * @param {'deleted'|'never updated'} reason
+     * @returns {Promise<void>}
+     */
+    async inputMissing(inputId, objectId, reason) {
+        this._missing.set(inputId, { input: inputId, objectId, reason });
+        if (reason === 'deleted') {
+            this._lastError = `Input "${inputId}": object ${objectId} was deleted`;
+        }
+        await this._publish();
+    }
+
+    /**
+     * @param {string} inputId
+     * @returns {Promise<void>}
+     */
+    async inputPresent(inputId) {
+        this._missing.delete(inputId);
+        await this._publish();
+    }
+
+    /**
+     * @param {string} hook - Plugin callback that threw (e.g. `onInputChange`).
+     * @param {any} error
+     * @returns {Promise<void>}
+     */
+    async pluginFailed(hook, error) {
+        this._failing.add(hook);
+        this._errorCounts[hook] = (this._errorCounts[hook] || 0) + 1;
+        this._lastError = `${hook}: ${error?.message || error}`;
+        await this._publish();
+    }
+
+    /**
+     * A successful call clears the error of the hook (except `onInit`, whose
+     * failure lasts until the device restarts).
+     *
+     * @param {string} hook
+     * @returns {Promise<void>}
+     */
+    async pluginSucceeded(hook) {
+        if (hook === 'onInit' || !this._failing.delete(hook)) return;
+        await this._publish();
+    }
+
+    /**
+     * Write the states whose value changed.
+     *
+     * @returns {Promise<void>}
+     */
+    async _publish() {
+        const values = {
+            status: this.status,
+            lastError: this._lastError,
+            lastInputUpdate: this._lastInputUpdate,
+            inputsMissing: JSON.stringify([...this._missing.values()]),
+            pluginErrors: JSON.stringify(this._errorCounts),
+        };
+        for (const [id, value] of Object.entries(values)) {
+            if (this._written.has(id) && this._written.get(id) === value) continue;
+            this._written.set(id, value);
+            try {
+                await this._adapter.setStateAsync(`${this._deviceId}.info.${id}`, value, true);
+            } catch (e) {
+                this._adapter.log.warn(`Cannot write ${this._deviceId}.info.${id}: ${e}`);
+            }
+        }
+    }
+}
+
+/**
+ * @typedef {Object} HealthSnapshot
+ * @property {'running'|'error'|'disabled'|'misconfigured'|null} status - `null` if the device never started.
+ * @property {string}                 lastError
+ * @property {number|null}            lastInputUpdate
+ * @property {MissingInput[]}         inputsMissing
+ * @property {Record<string, number>} pluginErrors
+ */
+
+/**
+ * Read the published health states of a device (running or not).
+ *
+ * @param {ioBroker.Adapter} adapter
+ * @param {string} deviceId
+ * @returns {Promise<HealthSnapshot>}
+ */
+async function readHealth(adapter, deviceId) {
+    /** @param {string} id */
+    const read = async (id) => (await adapter.getStateAsync(`${deviceId}.info.${id}`))?.val ?? null;
+    /** @param {any} value @param {any} fallback */
+    const parse = (value, fallback) => {
+        try {
+            return typeof value === 'string' && value ? JSON.parse(value) : fallback;
+        } catch {
+            return fallback;
+        }
+    };
+
+    const status = await read('status');
+    return {
+        status: HEALTH_STATUSES.includes(status) ? status : null,
+        lastError: String(await read('lastError') ?? ''),
+        lastInputUpdate: await read('lastInputUpdate'),
+        inputsMissing: parse(await read('inputsMissing'), []),
+        pluginErrors: parse(await read('pluginErrors'), {}),
+    };
+}
+
+module.exports = {
+    DeviceHealth,
+    HEALTH_STATUSES,
+    readHealth,
+};
@@ -12,7 +12,32 @@
  */
 
 const { DeviceManagement, ACTIONS } = require('@iobroker/dm-utils');
-const { getAllPlugins, getPlugin } = require('./plugin-registry');
+const { getAllPlugins, getPlugin, getPluginSource } = require('./plugin-registry');
+const { readHealth } = require('./device-health');
+const {
+    assignRoom,
+    checkDeviceObjects,
+    createDeviceObject,
+    deleteDeviceObjects,
+    newDeviceId,
+    pluginConfigVersion,
+    removeFromRoom,
+    validateDeviceConfig,
+} = require('./device-config');
+const {
+    buildExport,
+    includedLibraryChains,
+    parseExport,
+    planImport,
+    remapChain,
+    remapDeviceConfig,
+} = require('./device-transfer');
+const {
+    DEFAULT_STATE_TIMEOUT_MS,
+    DEFAULT_RETRY_DELAY_MS,
+    RUN_CHAIN_PREFIX,
+    simulateChain,
+} = require('./action-chain');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -77,9 +102,10 @@ function buildObjectIdPicker(slot) {
  *
  * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
  * @param {Record<string, any>} [existingValues]
+ * @param {Array<{ id: string, name: string }>} [library] - Chains of the chain library.
  * @returns {{ schema: object, data: Record<string, any> }}
  */
-function buildDeviceForm(plugin, existingValues) {
+function buildDeviceForm(plugin, existingValues, library = []) {
     /** @type {Record<string, any>} */
     const items = {};
     /** @type {Record<string, any>} */
@@ -134,10 +160,23 @@ function buildDeviceForm(plugin, existingValues) {
             text: { en: 'Action Chains', de: 'Schalt-Ketten' },
             size: 4,
         };
+        const libraryOptions = libraryChainOptions(library);
 
         for (const [slotId, slot] of Object.entries(plugin.actionChainSlots)) {
             const chainKey = `chain_${slotId}`;
 
+            // A failed step may run one of the other chains to compensate
+            const onErrorOptions = [
+                { label: { en: 'Abort chain', de: 'Kette abbrechen' }, value: 'abort' },
+                { label: { en: 'Continue', de: 'Fortfahren' }, value: 'continue' },
+                ...Object.entries(plugin.actionChainSlots)
+                    .filter(([otherId]) => otherId !== slotId)
+                    .map(([otherId, other]) => ({
+                        label: { en: `Run ${t(other.name)}`, de: `${t(other.name)} ausführen` },
+                        value: `${RUN_CHAIN_PREFIX}${otherId}`,
+                    })),
+            ];
+
             items[`_chainLabel_${slotId}`] = {
                 type: 'staticText',
                 text: slot.name,
@@ -153,63 +192,31 @@ function buildDeviceForm(plugin, existingValues) {
                 };
             }
 
-            items[chainKey] = {
-                type: 'table',
-                items: [
-                    {
-                        type: 'text',
-                        attr: 'objectId',
-                        title: { en: 'Object ID', de: 'Objekt ID' },
-                        width: '30%',
-                        filter: false,
-                        sort: false,
-                    },
-                    {
-                        type: 'text',
-                        attr: 'value',
-                        title: { en: 'Value', de: 'Wert' },
-                        width: '15%',
-                        filter: false,
-                        sort: false,
-                    },
-                    {
-                        type: 'select',
-                        attr: 'waitType',
-                        title: { en: 'Wait type', de: 'Wartetyp' },
-                        width: '15%',
-                        filter: false,
-                        sort: false,
-                        options: [
-                            { label: { en: 'None', de: 'Keine' }, value: 'none' },
-                            { label: { en: 'Delay (ms)', de: 'Wartezeit (ms)' }, value: 'delay' },
-                            { label: { en: 'Wait for state', de: 'Auf Zustand warten' }, value: 'state' },
-                        ],
-                        default: 'none',
-                    },
-                    {
-                        type: 'number',
-                        attr: 'waitMs',
-                        title: { en: 'Wait (ms)', de: 'Wartezeit (ms)' },
-                        width: '15%',
-                        filter: false,
-                        sort: false,
-                        default: 0,
-                    },
-                    {
-                        type: 'text',
-                        attr: 'waitValue',
-                        title: { en: 'Wait for value', de: 'Warte auf Wert' },
-                        width: '25%',
-                        filter: false,
-                        sort: false,
-                    },
+            items[`chainRef_${slotId}`] = {
+                type: 'select',
+                label: { en: 'Steps', de: 'Schritte' },
+                options: [
+                    { label: { en: 'Own steps', de: 'Eigene Schritte' }, value: '' },
+                    ...libraryOptions.filter((option) => option.value),
                 ],
-                noDelete: false,
+                help: {
+                    en: 'Use a chain from the library instead of own steps',
+                    de: 'Eine Kette aus der Bibliothek statt eigener Schritte verwenden',
+                },
+                newLine: true,
+            };
+
+            items[chainKey] = {
+                ...buildChainEditor(onErrorOptions, libraryOptions),
+                hidden: `!!data.chainRef_${slotId}`,
             };
 
             if (!data[chainKey]) {
                 data[chainKey] = [];
             }
+            if (!data[`chainRef_${slotId}`]) {
+                data[`chainRef_${slotId}`] = '';
+            }
         }
     }
 
@@ -221,6 +228,273 @@ function buildDeviceForm(plugin, existingValues) {
     return { schema: formSchema, data };
 }
 
+/**
+ * JSONConfig editor for the steps of one action chain (device chain slots
+ * and library chains).  Every step is an expandable panel titled by its
+ * object id: target and value first, then the wait, the condition and
+ * jumps, and the error handling.  Wait and retry details only show when
+ * they apply.
+ *
+ * @param {Array<{ label: any, value: string }>} onErrorOptions
+ * @param {Array<{ label: any, value: string }>} libraryOptions - Include targets, led by "none".
+ * @returns {object}
+ */
+function buildChainEditor(onErrorOptions, libraryOptions) {
+    return {
+        type: 'accordion',
+        titleAttr: 'objectId',
+        items: [
+            // Target
+            {
+                type: 'text',
+                attr: 'objectId',
+                label: { en: 'Object ID', de: 'Objekt ID' },
+                sm: 6,
+            },
+            {
+                type: 'text',
+                attr: 'value',
+                label: { en: 'Value', de: 'Wert' },
+                help: {
+                    en: 'Fixed value or template, e.g. {{config.volumeDefault + 10}}, {{out.volume}}, {{in.mode}}',
+                    de: 'Fester Wert oder Vorlage, z. B. {{config.volumeDefault + 10}}, {{out.volume}}, {{in.mode}}',
+                },
+                sm: 3,
+            },
+            {
+                type: 'text',
+                attr: 'label',
+                label: { en: 'Label', de: 'Marke' },
+                help: { en: 'Target of "go to"', de: 'Ziel von "gehe zu"' },
+                sm: 3,
+            },
+            {
+                type: 'select',
+                attr: 'include',
+                label: { en: 'Include', de: 'Einbinden' },
+                help: {
+                    en: 'Run a chain from the library after this step',
+                    de: 'Nach diesem Schritt eine Kette aus der Bibliothek ausführen',
+                },
+                options: libraryOptions,
+                default: '',
+                sm: 6,
+                newLine: true,
+            },
+            {
+                type: 'text',
+                attr: 'parallel',
+                label: { en: 'Parallel group', de: 'Parallel-Gruppe' },
+                help: {
+                    en: 'Consecutive steps with the same group name start together',
+                    de: 'Aufeinanderfolgende Schritte mit gleichem Gruppennamen starten gemeinsam',
+                },
+                sm: 6,
+            },
+
+            // Wait before the step
+            {
+                type: 'select',
+                attr: 'waitType',
+                label: { en: 'Wait before', de: 'Vorher warten' },
+                options: [
+                    { label: { en: 'None', de: 'Keine' }, value: 'none' },
+                    { label: { en: 'Delay (ms)', de: 'Wartezeit (ms)' }, value: 'delay' },
+                    { label: { en: 'Wait for state', de: 'Auf Zustand warten' }, value: 'state' },
+                ],
+                default: 'none',
+                sm: 3,
+                newLine: true,
+            },
+            {
+                type: 'number',
+                attr: 'waitMs',
+                label: { en: 'Wait (ms)', de: 'Wartezeit (ms)' },
+                default: 0,
+                hidden: 'data.waitType !== "delay"',
+                sm: 3,
+            },
+            {
+                type: 'text',
+                attr: 'waitObjectId',
+                label: { en: 'Wait for object', de: 'Warte auf Objekt' },
+                help: { en: 'Empty = the object of this step', de: 'Leer = Objekt dieses Schritts' },
+                hidden: 'data.waitType !== "state"',
+                sm: 5,
+            },
+            {
+                type: 'select',
+                attr: 'waitOperator',
+                label: { en: 'Operator', de: 'Operator' },
+                options: WAIT_OPERATORS,
+                default: '==',
+                hidden: 'data.waitType !== "state"',
+                sm: 2,
+            },
+            {
+                type: 'text',
+                attr: 'waitValue',
+                label: { en: 'Wait for value', de: 'Warte auf Wert' },
+                help: { en: 'For "between": min..max', de: 'Für "zwischen": min..max' },
+                hidden: 'data.waitType !== "state"',
+                sm: 2,
+            },
+            {
+                type: 'checkbox',
+                attr: 'waitAckOnly',
+                label: { en: 'Ack only', de: 'Nur ack' },
+                help: {
+                    en: 'Only device-confirmed (acknowledged) values count',
+                    de: 'Nur vom Gerät bestätigte (ack) Werte zählen',
+                },
+                default: false,
+                hidden: 'data.waitType !== "state"',
+                sm: 3,
+                newLine: true,
+            },
+            {
+                type: 'number',
+                attr: 'waitTimeoutMs',
+                label: { en: 'Wait timeout (ms)', de: 'Warte-Timeout (ms)' },
+                help: { en: `0 = default (${DEFAULT_STATE_TIMEOUT_MS} ms)`, de: `0 = Standard (${DEFAULT_STATE_TIMEOUT_MS} ms)` },
+                default: 0,
+                hidden: 'data.waitType !== "state"',
+                sm: 3,
+            },
+
+            // Condition and jumps
+            {
+                type: 'text',
+                attr: 'ifObjectId',
+                label: { en: 'Only if object', de: 'Nur wenn Objekt' },
+                help: { en: 'Skip the step unless this state matches', de: 'Schritt überspringen, wenn dieser Zustand nicht passt' },
+                sm: 5,
+                newLine: true,
+            },
+            {
+                type: 'select',
+                attr: 'ifOperator',
+                label: { en: 'Operator', de: 'Operator' },
+                options: STEP_CONDITION_OPERATORS,
+                default: '==',
+                sm: 2,
+            },
+            {
+                type: 'text',
+                attr: 'ifValue',
+                label: { en: 'If value', de: 'Wenn Wert' },
+                sm: 2,
+            },
+            {
+                type: 'text',
+                attr: 'elseGoto',
+                label: { en: 'Else go to', de: 'Sonst gehe zu' },
+                help: { en: 'Label to continue at when the condition is not met', de: 'Marke, bei der es weitergeht, wenn die Bedingung nicht erfüllt ist' },
+                sm: 3,
+            },
+            {
+                type: 'text',
+                attr: 'goto',
+                label: { en: 'Then go to', de: 'Dann gehe zu' },
+                help: { en: 'Label to continue at after this step', de: 'Marke, bei der es nach diesem Schritt weitergeht' },
+                sm: 3,
+                newLine: true,
+            },
+
+            // Error handling
+            {
+                type: 'number',
+                attr: 'retries',
+                label: { en: 'Retries', de: 'Wiederholungen' },
+                min: 0,
+                default: 0,
+                sm: 3,
+                newLine: true,
+            },
+            {
+                type: 'number',
+                attr: 'retryDelayMs',
+                label: { en: 'Retry delay (ms)', de: 'Wiederholungspause (ms)' },
+                help: { en: 'Doubled for each further retry', de: 'Verdoppelt sich mit jeder weiteren Wiederholung' },
+                default: DEFAULT_RETRY_DELAY_MS,
+                hidden: '!(data.retries > 0)',
+                sm: 3,
+            },
+            {
+                type: 'select',
+                attr: 'onError',
+                label: { en: 'On error', de: 'Bei Fehler' },
+                options: onErrorOptions,
+                default: 'abort',
+                sm: 3,
+            },
+        ],
+        noDelete: false,
+    };
+}
+
+/**
+ * Select options for the library chains, led by a "none" entry.
+ *
+ * @param {Array<{ id: string, name: string }>} library
+ * @returns {Array<{ label: any, value: string }>}
+ */
+function libraryChainOptions(library) {
+    return [
+        { label: { en: 'None', de: 'Keine' }, value: '' },
+        ...library.map((entry) => ({ label: entry.name, value: entry.id })),
+    ];
+}
+
+/** Comparison operators of a step condition (chain editor). */
+const STEP_CONDITION_OPERATORS = [
+    { label: '==', value: '==' },
+    { label: '!=', value: '!=' },
+    { label: '>', value: '>' },
+    { label: '<', value: '<' },
+    { label: '>=', value: '>=' },
+    { label: '<=', value: '<=' },
+    { label: 'between', value: 'between' },
+];
+
+/** Comparison operators of a state wait (chain editor). */
+const WAIT_OPERATORS = [
+    ...STEP_CONDITION_OPERATORS,
+    { label: 'changes', value: 'changes' },
+];
+
+/**
+ * Convert a stored action chain into rows of the chain editor (inverse of the
+ * chain part of `parseFormData`).
+ *
+ * @param {import('./plugin-interface').ActionChain} chain
+ * @returns {Record<string, any>[]}
+ */
+function chainToRows(chain) {
+    return chain.map((step) => ({
+        label: step.label || '',
+        objectId: step.objectId || '',
+        value: step.value ?? '',
+        waitType: step.waitBefore?.type || 'none',
+        waitMs: step.waitBefore?.ms || 0,
+        waitValue: step.waitBefore?.value ?? '',
+        waitObjectId: step.waitBefore?.objectId && step.waitBefore.objectId !== step.objectId ? step.waitBefore.objectId : '',
+        waitOperator: step.waitBefore?.operator || '==',
+        waitAckOnly: !!step.waitBefore?.ackOnly,
+        waitTimeoutMs: step.waitBefore?.timeout || 0,
+        retries: step.retries || 0,
+        retryDelayMs: step.retryDelayMs || DEFAULT_RETRY_DELAY_MS,
+        onError: step.onError || 'abort',
+        ifObjectId: step.condition?.objectId || '',
+        ifOperator: step.condition?.operator || '==',
+        ifValue: step.condition?.value ?? '',
+        elseGoto: step.elseGoto || '',
+        goto: step.goto || '',
+        parallel: step.parallel || '',
+        include: step.include || '',
+    }));
+}
+
 /**
  * Extract input mappings and config values from the flat form data returned
  * by `context.showForm()`.
@@ -247,32 +521,18 @@ function parseFormData(plugin, formData) {
         config[key] = v !== undefined ? v : plugin.configDefaults[key];
     }
 
-    // Parse action chain data from table rows
+    // Parse action chain data from the chain editor rows
     /** @type {Record<string, import('./plugin-interface').ActionChainStep[]>} */
     const chains = {};
     if (plugin.actionChainSlots) {
         for (const slotId of Object.keys(plugin.actionChainSlots)) {
+            const ref = formData[`chainRef_${slotId}`];
             const rows = formData[`chain_${slotId}`];
-            if (Array.isArray(rows) && rows.length > 0) {
-                chains[slotId] = rows
-                    .filter((row) => row.objectId) // Skip empty rows
-                    .map((row) => {
-                        /** @type {import('./plugin-interface').ActionChainStep} */
-                        const step = {
-                            objectId: String(row.objectId),
-                            value: row.value,
-                        };
-                        if (row.waitType === 'delay' && row.waitMs > 0) {
-                            step.waitBefore = { type: 'delay', ms: Number(row.waitMs) };
-                        } else if (row.waitType === 'state' && row.waitValue !== undefined && row.waitValue !== '') {
-                            step.waitBefore = {
-                                type: 'state',
-                                objectId: String(row.objectId),
-                                value: row.waitValue,
-                            };
-                        }
-                        return step;
-                    });
+            if (ref) {
+                // The slot runs a library chain, resolved when it executes
+                chains[slotId] = [{ objectId: '', value: '', include: String(ref) }];
+            } else if (Array.isArray(rows) && rows.length > 0) {
+                chains[slotId] = rowsToChain(rows);
             }
         }
     }
@@ -280,6 +540,263 @@ function parseFormData(plugin, formData) {
     return { inputs, config, chains };
 }
 
+/**
+ * Convert chain editor rows into an action chain (inverse of `chainToRows`).
+ *
+ * @param {Record<string, any>[]} rows
+ * @returns {import('./plugin-interface').ActionChain}
+ */
+function rowsToChain(rows) {
+    return rows
+        .filter((row) => row.objectId || row.ifObjectId || row.goto || row.include) // Skip empty rows, keep branch-only and include steps
+        .map((row) => {
+            /** @type {import('./plugin-interface').ActionChainStep} */
+            const step = {
+                objectId: row.objectId ? String(row.objectId) : '',
+                value: row.value,
+            };
+            if (row.label) {
+                step.label = String(row.label).trim();
+            }
+            if (row.waitType === 'delay' && row.waitMs > 0) {
+                step.waitBefore = { type: 'delay', ms: Number(row.waitMs) };
+            } else if (row.waitType === 'state' && (row.waitOperator === 'changes' ||
+                (row.waitValue !== undefined && row.waitValue !== ''))) {
+                step.waitBefore = {
+                    type: 'state',
+                    objectId: String(row.waitObjectId || row.objectId),
+                    value: row.waitValue,
+                };
+                if (row.waitOperator && row.waitOperator !== '==') {
+                    step.waitBefore.operator = row.waitOperator;
+                }
+                if (row.waitAckOnly) {
+                    step.waitBefore.ackOnly = true;
+                }
+                if (Number(row.waitTimeoutMs) > 0) {
+                    step.waitBefore.timeout = Number(row.waitTimeoutMs);
+                }
+            }
+            if (Number(row.retries) > 0) {
+                step.retries = Math.floor(Number(row.retries));
+                if (Number(row.retryDelayMs) > 0 && Number(row.retryDelayMs) !== DEFAULT_RETRY_DELAY_MS) {
+                    step.retryDelayMs = Number(row.retryDelayMs);
+                }
+            }
+            if (row.onError && row.onError !== 'abort') {
+                step.onError = String(row.onError);
+            }
+            if (row.ifObjectId) {
+                step.condition = {
+                    objectId: String(row.ifObjectId),
+                    operator: row.ifOperator || '==',
+                    value: row.ifValue ?? '',
+                };
+                if (row.elseGoto) {
+                    step.elseGoto = String(row.elseGoto).trim();
+                }
+            }
+            if (row.goto) {
+                step.goto = String(row.goto).trim();
+            }
+            if (row.parallel) {
+                step.parallel = String(row.parallel).trim();
+            }
+            if (row.include) {
+                step.include = String(row.include);
+            }
+            return step;
+        });
+}
+
+/**
+ * Form data of `buildDeviceForm` for a stored config (inverse of `parseFormData`).
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @returns {Record<string, any>}
+ */
+function deviceFormValues(plugin, native) {
+    /** @type {Record<string, any>} */
+    const data = {};
+    for (const slot of plugin.inputSlots) {
+        data[`input_${slot.id}`] = native.inputs?.[slot.id] || '';
+    }
+    for (const [key, defaultVal] of Object.entries(plugin.configDefaults)) {
+        data[`cfg_${key}`] = native.config?.[key] ?? defaultVal;
+    }
+
+    // Action chains: a library reference or the steps
+    if (plugin.actionChainSlots && native.chains) {
+        for (const slotId of Object.keys(plugin.actionChainSlots)) {
+            const chain = native.chains[slotId];
+            if (libraryReference(chain)) {
+                data[`chainRef_${slotId}`] = libraryReference(chain);
+            } else if (Array.isArray(chain)) {
+                data[`chain_${slotId}`] = chainToRows(chain);
+            }
+        }
+    }
+    return data;
+}
+
+/**
+ * @param {import('./plugin-interface').ActionChain|undefined} chain
+ * @returns {string} Id of the library chain when the chain only references one, else `''`.
+ */
+function libraryReference(chain) {
+    if (!Array.isArray(chain) || chain.length !== 1) return '';
+    const { include, objectId, value, ...rest } = chain[0];
+    return include && !objectId && Object.keys(rest).length === 0 ? include : '';
+}
+
+/**
+ * Make a validation message readable in the device form: the leading
+ * `inputs.<slot>`, `config.<key>` or `chains.<slot>` path becomes the name
+ * of the input, setting or chain.
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {string} message
+ * @returns {string}
+ */
+function formatValidationError(plugin, message) {
+    const match = /^(inputs|config|chains)\.([^:]+): (.*)$/s.exec(message);
+    if (!match) return message;
+    const [, kind, key, text] = match;
+
+    let name;
+    if (kind === 'inputs') {
+        name = plugin.inputSlots.find((slot) => slot.id === key)?.name;
+    } else if (kind === 'config') {
+        name = /** @type {any} */ (plugin.configSchema[key])?.label;
+    } else {
+        name = plugin.actionChainSlots?.[key]?.name;
+    }
+    return `${name ? t(name) : key}: ${text}`;
+}
+
+/** Icons of chain and step outcomes in the device details. */
+const OUTCOME_ICONS = {
+    running: '⏳',
+    success: '✅',
+    written: '✅',
+    skipped: '⏭️',
+    failed: '❌',
+    aborted: '⏹️',
+};
+
+/**
+ * Render the trace of a chain run as text lines (summary first, then one
+ * line per step).
+ *
+ * @param {import('./action-chain').ChainTrace} trace
+ * @returns {string[]}
+ */
+function chainTraceLines(trace) {
+    const started = new Date(trace.startedAt).toLocaleString();
+    const duration = trace.endedAt ? ` (${formatDuration(trace.endedAt - trace.startedAt)})` : '';
+    const lines = [`${OUTCOME_ICONS[trace.outcome] || ''} ${trace.outcome} — ${started}${duration}`];
+    if (trace.error) {
+        lines.push(trace.error);
+    }
+    for (const step of trace.steps || []) {
+        const name = `${step.chain ? `${step.chain} ` : ''}#${step.index + 1}${step.label ? ` ${step.label}` : ''}`;
+        const write = step.include ? `library chain ${step.include}` : step.objectId ? `${step.objectId} = ${step.value}` : '—';
+        const wait = step.waitType !== 'none' ? `, wait: ${step.waitType}` : '';
+        const attempts = step.attempts > 1 ? `, ${step.attempts} attempts` : '';
+        const error = step.error ? ` — ${step.error}` : '';
+        lines.push(`${OUTCOME_ICONS[step.outcome] || ''} ${name}: ${write}${wait}${attempts}${error}`);
+    }
+    return lines;
+}
+
+/** Icons and labels of the device health statuses. */
+const HEALTH_LABELS = {
+    running: { icon: '✅', text: { en: 'running', de: 'läuft' } },
+    disabled: { icon: '⏸️', text: { en: 'disabled', de: 'deaktiviert' } },
+    error: { icon: '❌', text: { en: 'error', de: 'Fehler' } },
+    misconfigured: { icon: '⚠️', text: { en: 'misconfigured', de: 'fehlkonfiguriert' } },
+};
+
+/**
+ * Device list status from the health states.  Devices that never started
+ * fall back to checking that all required inputs are mapped.
+ *
+ * @param {import('./device-health').HealthSnapshot} health
+ * @param {boolean} allMapped
+ * @returns {string|object} dm-utils `DeviceStatus`.
+ */
+function deviceStatus(health, allMapped) {
+    switch (health.status) {
+        case 'running':
+        case 'disabled':
+            return 'connected';
+        case 'error':
+            return { connection: 'connected', warning: health.lastError || true };
+        case 'misconfigured':
+            return { connection: 'disconnected', warning: health.lastError || true };
+        default:
+            return allMapped ? 'connected' : 'disconnected';
+    }
+}
+
+/**
+ * Render the health states as text lines for the device details.
+ *
+ * @param {import('./device-health').HealthSnapshot} health
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @returns {string[]}
+ */
+function healthLines(health, plugin) {
+    const label = HEALTH_LABELS[health.status];
+    const lines = [`<b>Status:</b> ${label ? `${label.icon} ${t(label.text)}` : t({ en: 'not started', de: 'nicht gestartet' })}`];
+    if (health.lastError) {
+        lines.push(`<b>${t({ en: 'Last error', de: 'Letzter Fehler' })}:</b> ${health.lastError}`);
+    }
+    const lastUpdate = health.lastInputUpdate ? new Date(health.lastInputUpdate).toLocaleString() : '—';
+    lines.push(`<b>${t({ en: 'Last input update', de: 'Letzte Eingangsänderung' })}:</b> ${lastUpdate}`);
+    for (const missing of health.inputsMissing) {
+        const slot = plugin.inputSlots.find((s) => s.id === missing.input);
+        const reason = missing.reason === 'deleted'
+            ? t({ en: 'object deleted', de: 'Objekt gelöscht' })
+            : t({ en: 'never updated', de: 'noch nie aktualisiert' });
+        lines.push(`⚠️ ${slot ? t(slot.name) : missing.input} (${missing.objectId}): ${reason}`);
+    }
+    const errors = Object.entries(health.pluginErrors).map(([hook, count]) => `${hook} ${count}×`);
+    if (errors.length > 0) {
+        lines.push(`<b>${t({ en: 'Plugin errors', de: 'Plugin-Fehler' })}:</b> ${errors.join(', ')}`);
+    }
+    return lines;
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} Duration in seconds, e.g. "12.5 s".
+ */
+function formatDuration(ms) {
+    return `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Render the result of a chain simulation as text lines.
+ *
+ * @param {import('./action-chain').SimulationResult} result
+ * @returns {string[]}
+ */
+function simulationLines(result) {
+    const errors = result.issues.filter((i) => i.level === 'error').length;
+    const lines = [
+        errors > 0 ? `❌ ${errors} error(s) — the chain would fail` : '✅ All objects exist',
+        `Expected duration: ${formatDuration(result.durationMs)}` +
+            (result.maxDurationMs > result.durationMs ? ` (up to ${formatDuration(result.maxDurationMs)} if state waits time out)` : ''),
+    ];
+    for (const issue of result.issues) {
+        const where = issue.index !== undefined ? `${issue.chain ? `${issue.chain} ` : ''}#${issue.index + 1}: ` : '';
+        lines.push(`${issue.level === 'error' ? '❌' : '⚠️'} ${where}${issue.message}`);
+    }
+    return lines;
+}
+
 // ---------------------------------------------------------------------------
 // DeviceManagement implementation
 // ---------------------------------------------------------------------------
@@ -301,6 +818,27 @@ class VirtualDevicesManagement extends DeviceManagement {
                     description: { en: 'Add virtual device', de: 'Virtuelles Gerät hinzufügen' },
                     handler: (context) => this.addDevice(context),
                 },
+                {
+                    id: 'chain-library',
+                    icon: 'edit',
+                    title: { en: 'Chain library', de: 'Kettenbibliothek' },
+                    description: { en: 'Edit action chains shared by all devices', de: 'Von allen Geräten genutzte Schalt-Ketten bearbeiten' },
+                    handler: (context) => this.manageLibrary(context),
+                },
+                {
+                    id: 'export-devices',
+                    icon: 'download',
+                    title: { en: 'Export devices', de: 'Geräte exportieren' },
+                    description: { en: 'Export device configurations as JSON', de: 'Gerätekonfigurationen als JSON exportieren' },
+                    handler: (context) => this.exportDevices(context),
+                },
+                {
+                    id: 'import-devices',
+                    icon: 'upload',
+                    title: { en: 'Import devices', de: 'Geräte importieren' },
+                    description: { en: 'Import device configurations from JSON', de: 'Gerätekonfigurationen aus JSON importieren' },
+                    handler: (context) => this.importDevices(context),
+                },
             ],
         };
     }
@@ -330,7 +868,7 @@ class VirtualDevicesManagement extends DeviceManagement {
             const plugin = getPlugin(native.pluginId);
             const deviceId = row.id.replace(`${this.adapter.namespace}.`, '');
 
-            // Determine status: all required inputs mapped?
+            // Fallback status for devices without health states: all required inputs mapped?
             let allMapped = true;
             if (plugin) {
                 for (const slot of plugin.inputSlots) {
@@ -358,7 +896,7 @@ class VirtualDevicesManagement extends DeviceManagement {
             devices.push({
                 id: deviceId,
                 name: native.deviceName || deviceId,
-                status: allMapped ? 'connected' : 'disconnected',
+                status: deviceStatus(await readHealth(/** @type {any} */ (this.adapter), deviceId), allMapped),
                 enabled: enabledVal,
                 hasDetails: true,
                 actions: [
@@ -378,6 +916,20 @@ class VirtualDevicesManagement extends DeviceManagement {
                         handler: (devId, context) =>
                             this.editDevice(devId, context),
                     },
+                    ...(plugin ? [{
+                        id: 'duplicate',
+                        icon: 'copy',
+                        description: { en: 'Duplicate device', de: 'Gerät duplizieren' },
+                        handler: (devId, context) =>
+                            this.duplicateDevice(devId, context),
+                    }] : []),
+                    ...(plugin?.actionChainSlots && Object.keys(plugin.actionChainSlots).length > 0 ? [{
+                        id: 'runChain',
+                        icon: 'forward',
+                        description: { en: 'Run chain…', de: 'Kette ausführen…' },
+                        handler: (devId, context) =>
+                            this.runChain(devId, context),
+                    }] : []),
                     {
                         id: 'delete',
                         icon: 'delete',
@@ -409,10 +961,21 @@ class VirtualDevicesManagement extends DeviceManagement {
 
         /** @type {Record<string, any>} */
         const items = {
+            _healthHeader: {
+                type: 'header',
+                text: { en: 'Health', de: 'Zustand' },
+                size: 4,
+            },
+            _health: {
+                type: 'staticText',
+                text: healthLines(await readHealth(/** @type {any} */ (this.adapter), id), plugin).join('<br>'),
+                newLine: true,
+            },
             _header: {
                 type: 'header',
                 text: { en: 'Current Values', de: 'Aktuelle Werte' },
                 size: 4,
+                newLine: true,
             },
         };
 
@@ -440,6 +1003,32 @@ class VirtualDevicesManagement extends DeviceManagement {
             };
         }
 
+        // Last run of each action chain slot
+        const slots = Object.entries(plugin.actionChainSlots || {});
+        if (slots.length > 0) {
+            items._chainsHeader = {
+                type: 'header',
+                text: { en: 'Last Chain Runs', de: 'Letzte Kettenausführungen' },
+                size: 4,
+                newLine: true,
+            };
+        }
+        for (const [slotId, slot] of slots) {
+            const state = await this.adapter.getStateAsync(`${this.adapter.namespace}.${id}.chains.${slotId}.lastRun`);
+            let history = [];
+            try {
+                history = typeof state?.val === 'string' && state.val ? JSON.parse(state.val) : [];
+            } catch {
+                // invalid history is shown as "never run"
+            }
+            const last = Array.isArray(history) ? history[0] : null;
+            items[`chain_run_${slotId}`] = {
+                type: 'staticText',
+                text: `<b>${t(slot.name)}:</b> ${last ? chainTraceLines(last).join('<br>') : t({ en: 'never run', de: 'noch nie ausgeführt' })}`,
+                newLine: true,
+            };
+        }
+
         return {
             id,
             schema: {
@@ -484,10 +1073,14 @@ class VirtualDevicesManagement extends DeviceManagement {
             return { refresh: false };
         }
 
-        const typeOptions = plugins.map((p) => ({
-            value: p.id,
-            label: p.name,
-        }));
+        // External plugins are listed alongside the built-ins, tagged with their origin
+        const typeOptions = plugins.map((p) => {
+            const source = getPluginSource(p.id);
+            return {
+                value: p.id,
+                label: source && source !== 'built-in' ? `${t(p.name)} (${source})` : p.name,
+            };
+        });
 
         const step1Schema = {
             type: 'panel',
@@ -539,24 +1132,23 @@ class VirtualDevicesManagement extends DeviceManagement {
         if (!plugin) return { refresh: false };
 
         // -- Step 2: Configure inputs + settings ----------------------------
-        const { schema, data } = buildDeviceForm(plugin);
+        const { schema, data } = buildDeviceForm(plugin, undefined, await this.adapter.chainLibrary.list());
 
-        const step2Result = await context.showForm(schema, {
-            data,
-            title: { en: 'Configure device', de: 'Gerät konfigurieren' },
-        });
+        const step2 = await this._showDeviceForm(context, plugin, schema, data,
+            { en: 'Configure device', de: 'Gerät konfigurieren' }, { deviceName });
 
-        if (!step2Result) return { refresh: false };
+        if (!step2) return { refresh: false };
 
-        const parsed = parseFormData(plugin, step2Result);
+        const { parsed } = step2;
 
         // Generate a unique device id
-        const deviceId = `${selectedPluginId}-${Date.now().toString(36)}`;
+        const deviceId = newDeviceId(selectedPluginId);
 
         // Persist device config as a channel object
         /** @type {import('./plugin-interface').StoredDeviceConfig} */
         const storedConfig = {
             pluginId: selectedPluginId,
+            configVersion: pluginConfigVersion(plugin),
             deviceName,
             room: selectedRoom,
             inputs: parsed.inputs,
@@ -564,18 +1156,8 @@ class VirtualDevicesManagement extends DeviceManagement {
             chains: parsed.chains,
         };
 
-        await this.adapter.setObjectAsync(deviceId, {
-            type: 'device',
-            common: {
-                name: deviceName,
-            },
-            native: storedConfig,
-        });
-
-        // Assign device to room enum
-        if (selectedRoom) {
-            await this._assignRoom(`${this.adapter.namespace}.${deviceId}`, selectedRoom);
-        }
+        // Create the device object and assign it to its room
+        await createDeviceObject(/** @type {any} */ (this.adapter), deviceId, storedConfig);
 
         // Notify main adapter to initialise the new device
         await this.adapter.sendToAsync(this.adapter.namespace, 'deviceAdded', { deviceId });
@@ -600,33 +1182,10 @@ class VirtualDevicesManagement extends DeviceManagement {
         if (!plugin) return { refresh: false };
 
         // Pre-fill form data from stored config
-        /** @type {Record<string, any>} */
-        const existingData = {};
-        for (const slot of plugin.inputSlots) {
-            existingData[`input_${slot.id}`] = native.inputs?.[slot.id] || '';
-        }
-        for (const [key, defaultVal] of Object.entries(plugin.configDefaults)) {
-            existingData[`cfg_${key}`] = native.config?.[key] ?? defaultVal;
-        }
+        const existingData = deviceFormValues(plugin, native);
         existingData._room = native.room || '';
 
-        // Pre-fill action chain data
-        if (plugin.actionChainSlots && native.chains) {
-            for (const slotId of Object.keys(plugin.actionChainSlots)) {
-                const chain = native.chains[slotId];
-                if (Array.isArray(chain)) {
-                    existingData[`chain_${slotId}`] = chain.map((step) => ({
-                        objectId: step.objectId || '',
-                        value: step.value ?? '',
-                        waitType: step.waitBefore?.type || 'none',
-                        waitMs: step.waitBefore?.ms || 0,
-                        waitValue: step.waitBefore?.value ?? '',
-                    }));
-                }
-            }
-        }
-
-        const { schema } = buildDeviceForm(plugin, existingData);
+        const { schema } = buildDeviceForm(plugin, existingData, await this.adapter.chainLibrary.list());
 
         // Add room picker to the form
         schema.items = {
@@ -643,14 +1202,12 @@ class VirtualDevicesManagement extends DeviceManagement {
             ...schema.items,
         };
 
-        const result = await context.showForm(schema, {
-            data: existingData,
-            title: { en: 'Edit device', de: 'Gerät bearbeiten' },
-        });
+        const edited = await this._showDeviceForm(context, plugin, schema, existingData,
+            { en: 'Edit device', de: 'Gerät bearbeiten' }, native);
 
-        if (!result) return { refresh: false };
+        if (!edited) return { refresh: false };
 
-        const parsed = parseFormData(plugin, result);
+        const { result, parsed } = edited;
 
         const newRoom = String(result._room || '').trim();
 
@@ -658,6 +1215,7 @@ class VirtualDevicesManagement extends DeviceManagement {
         /** @type {import('./plugin-interface').StoredDeviceConfig} */
         const updatedConfig = {
             ...native,
+            configVersion: pluginConfigVersion(plugin),
             room: newRoom,
             inputs: parsed.inputs,
             config: parsed.config,
@@ -672,10 +1230,10 @@ class VirtualDevicesManagement extends DeviceManagement {
         const fullObjId = `${this.adapter.namespace}.${deviceId}`;
         // Remove from old room if changed
         if (native.room && native.room !== newRoom) {
-            await this._removeFromRoom(fullObjId, native.room);
+            await removeFromRoom(/** @type {any} */ (this.adapter), fullObjId, native.room);
         }
         if (newRoom && newRoom !== native.room) {
-            await this._assignRoom(fullObjId, newRoom);
+            await assignRoom(/** @type {any} */ (this.adapter), fullObjId, newRoom);
         }
 
         // Notify main adapter to re-initialise the device
@@ -685,95 +1243,541 @@ class VirtualDevicesManagement extends DeviceManagement {
     }
 
     /**
-     * Confirm deletion, remove the device config object and all output states.
+     * Show a device form until its values pass validation: the config
+     * itself (`validateDeviceConfig`, including the plugin's hook) and the
+     * objects it references (`checkDeviceObjects`).  Failures re-show the
+     * form with the user's values and the messages on top.
      *
-     * @param {string} deviceId
+     * @param {object} context - ActionContext from dm-utils
+     * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+     * @param {{ items: Record<string, any> }} schema - From `buildDeviceForm`.
+     * @param {Record<string, any>} data
+     * @param {Record<string, string>} title
+     * @param {{ deviceName: string }} device - The device being configured (name for validation).
+     * @returns {Promise<{ result: Record<string, any>, parsed: ReturnType<typeof parseFormData> }|null>}
+     *          `null` if the form was cancelled.
+     */
+    async _showDeviceForm(context, plugin, schema, data, title, device) {
+        /** @type {string[]} */
+        let errors = [];
+        let values = data;
+
+        for (;;) {
+            const items = errors.length === 0 ? schema.items : {
+                _validationHeader: {
+                    type: 'header',
+                    text: { en: 'Please correct the following', de: 'Bitte korrigieren' },
+                    size: 5,
+                },
+                _validationErrors: {
+                    type: 'staticText',
+                    text: errors.map((e) => `• ${formatValidationError(plugin, e)}`).join('\n'),
+                    style: { color: '#d32f2f', whiteSpace: 'pre-line' },
+                },
+                ...schema.items,
+            };
+
+            const result = await context.showForm({ ...schema, items }, { data: values, title });
+            if (!result) return null;
+
+            const parsed = parseFormData(plugin, result);
+            /** @type {import('./plugin-interface').StoredDeviceConfig} */
+            const native = {
+                pluginId: plugin.id,
+                deviceName: device.deviceName,
+                inputs: parsed.inputs,
+                config: parsed.config,
+                chains: parsed.chains,
+            };
+            errors = validateDeviceConfig(plugin, native);
+            if (errors.length === 0) {
+                errors = await checkDeviceObjects(/** @type {any} */ (this.adapter), plugin, native,
+                    async (id) => (await this.adapter.chainLibrary.get(id))?.steps || null);
+            }
+            if (errors.length === 0) return { result, parsed };
+
+            values = result;
+        }
+    }
+
+    /**
+     * Create a copy of a device: pick a name, room and optional object id
+     * prefix replacements, then adjust the copied settings in the device form.
+     *
+     * @param {string} deviceId - Source device.
      * @param {object} context - ActionContext from dm-utils
      * @returns {Promise<{ refresh: boolean }>}
      */
-    async deleteDevice(deviceId, context) {
-        const confirmed = await context.showConfirmation({
-            en: 'Are you sure you want to delete this device? All associated states will be removed.',
-            de: 'Sind Sie sicher, dass Sie dieses Gerät löschen möchten? Alle zugehörigen Datenpunkte werden entfernt.',
+    async duplicateDevice(deviceId, context) {
+        const obj = await this.adapter.getObjectAsync(deviceId);
+        if (!obj) return { refresh: false };
+
+        /** @type {import('./plugin-interface').StoredDeviceConfig} */
+        const source = obj.native;
+        const plugin = getPlugin(source.pluginId);
+        if (!plugin) return { refresh: false };
+
+        // -- Step 1: Name, room and object id replacements -------------------
+        const step1Result = await context.showForm({
+            type: 'panel',
+            items: {
+                deviceName: {
+                    type: 'text',
+                    label: { en: 'Device name', de: 'Gerätename' },
+                    maxLength: 64,
+                },
+                room: {
+                    type: 'room',
+                    label: { en: 'Room', de: 'Raum' },
+                    allowDeactivate: true,
+                },
+                _replaceHeader: {
+                    type: 'header',
+                    text: { en: 'Replace object id prefixes (optional)', de: 'Objekt-ID-Präfixe ersetzen (optional)' },
+                    size: 5,
+                },
+                replacements: {
+                    type: 'table',
+                    items: [
+                        { type: 'text', attr: 'from', title: { en: 'Find (e.g. zigbee.0.bath)', de: 'Suchen (z. B. zigbee.0.bad)' }, width: '50%', filter: false, sort: false },
+                        { type: 'text', attr: 'to', title: { en: 'Replace with (e.g. zigbee.0.guest_bath)', de: 'Ersetzen durch (z. B. zigbee.0.gaestebad)' }, width: '50%', filter: false, sort: false },
+                    ],
+                    noDelete: false,
+                },
+            },
+        }, {
+            data: { deviceName: `${source.deviceName} (copy)`, room: source.room || '', replacements: [] },
+            title: { en: 'Duplicate device', de: 'Gerät duplizieren' },
         });
+        if (!step1Result) return { refresh: false };
 
-        if (!confirmed) return { refresh: false };
+        const deviceName = String(step1Result.deviceName || '').trim();
+        const room = String(step1Result.room || '').trim();
+        if (!deviceName) return { refresh: false };
+
+        const replacements = (Array.isArray(step1Result.replacements) ? step1Result.replacements : [])
+            .map((row) => ({ from: String(row.from || '').trim(), to: String(row.to || '').trim() }))
+            .filter((m) => m.from);
+        const copy = remapDeviceConfig(plugin, source, replacements);
+
+        // -- Step 2: Device form pre-filled from the copy --------------------
+        const { schema, data } = buildDeviceForm(plugin, deviceFormValues(plugin, copy), await this.adapter.chainLibrary.list());
+
+        const step2 = await this._showDeviceForm(context, plugin, schema, data,
+            { en: `Configure copy of ${source.deviceName}`, de: `Kopie von ${source.deviceName} konfigurieren` }, { deviceName });
+        if (!step2) return { refresh: false };
 
-        // Remove from room enum if assigned
-        const objId = `${this.adapter.namespace}.${deviceId}`;
+        const { parsed } = step2;
+        const newId = newDeviceId(plugin.id);
+
+        /** @type {import('./plugin-interface').StoredDeviceConfig} */
+        const storedConfig = {
+            pluginId: plugin.id,
+            configVersion: pluginConfigVersion(plugin),
+            deviceName,
+            room,
+            inputs: parsed.inputs,
+            config: parsed.config,
+            chains: parsed.chains,
+        };
+        await createDeviceObject(/** @type {any} */ (this.adapter), newId, storedConfig);
+
+        // Notify main adapter to initialise the new device
+        await this.adapter.sendToAsync(this.adapter.namespace, 'deviceAdded', { deviceId: newId });
+
+        return { refresh: true };
+    }
+
+    /**
+     * Run or simulate one of the device's configured action chains.
+     * Simulation checks objects and value types and estimates the duration
+     * without writing anything.
+     *
+     * @param {string} deviceId
+     * @param {object} context - ActionContext from dm-utils
+     * @returns {Promise<{ refresh: boolean }>}
+     */
+    async runChain(deviceId, context) {
         const obj = await this.adapter.getObjectAsync(deviceId);
-        if (obj?.native?.room) {
-            await this._removeFromRoom(objId, obj.native.room);
+        if (!obj) return { refresh: false };
+
+        /** @type {import('./plugin-interface').StoredDeviceConfig} */
+        const native = obj.native;
+        const plugin = getPlugin(native.pluginId);
+        if (!plugin?.actionChainSlots) return { refresh: false };
+
+        const slotOptions = Object.entries(plugin.actionChainSlots).map(([slotId, slot]) => ({
+            value: slotId,
+            label: `${t(slot.name)} (${native.chains?.[slotId]?.length || 0} steps)`,
+        }));
+
+        const result = await context.showForm({
+            type: 'panel',
+            items: {
+                slotId: {
+                    type: 'select',
+                    label: { en: 'Chain', de: 'Kette' },
+                    options: slotOptions,
+                    noTranslation: true,
+                },
+                mode: {
+                    type: 'select',
+                    label: { en: 'Mode', de: 'Modus' },
+                    options: [
+                        { value: 'simulate', label: { en: 'Simulate (check only, nothing is written)', de: 'Simulieren (nur prüfen, nichts wird geschrieben)' } },
+                        { value: 'run', label: { en: 'Run (writes the values)', de: 'Ausführen (schreibt die Werte)' } },
+                    ],
+                    newLine: true,
+                },
+            },
+        }, {
+            data: { slotId: slotOptions[0]?.value, mode: 'simulate' },
+            title: { en: 'Run chain', de: 'Kette ausführen' },
+        });
+
+        if (!result?.slotId) return { refresh: false };
+
+        const slotId = String(result.slotId);
+        const chain = native.chains?.[slotId];
+        if (!Array.isArray(chain) || chain.length === 0) {
+            await context.showMessage({ en: 'This chain has no steps.', de: 'Diese Kette hat keine Schritte.' });
+            return { refresh: false };
         }
 
-        // Delete all output states
-        const states = await this.adapter.getStatesAsync(`${deviceId}.*`);
-        for (const stateId of Object.keys(states)) {
-            const relativeId = stateId.replace(`${this.adapter.namespace}.`, '');
-            try {
-                await this.adapter.delObjectAsync(relativeId);
-            } catch {
-                // ignore errors for already-deleted states
-            }
+        if (result.mode !== 'run') {
+            const simulation = await simulateChain(/** @type {any} */ (this.adapter), chain, {
+                resolveChain: (id) => native.chains?.[id] || null,
+                resolveInclude: async (id) => (await this.adapter.chainLibrary.get(id))?.steps || null,
+            });
+            await context.showMessage(simulationLines(simulation).join('\n'));
+            return { refresh: false };
+        }
+
+        const response = await this.adapter.sendToAsync(this.adapter.namespace, 'runChain', { deviceId, slotId });
+        if (response?.error) {
+            await context.showMessage(`❌ ${response.error}`);
+        } else {
+            await context.showMessage({
+                en: `Chain started. Its trace appears in the device details and in chains.${slotId}.lastRun when the run has finished.`,
+                de: `Kette gestartet. Der Ablauf erscheint nach dem Lauf in den Gerätedetails und in chains.${slotId}.lastRun.`,
+            });
+        }
+        return { refresh: true };
+    }
+
+    /**
+     * Create, edit or delete a chain of the instance-wide chain library.
+     * Devices include library chains by id, so a saved change applies to all
+     * of them the next time the chain runs.
+     *
+     * @param {object} context - ActionContext from dm-utils
+     * @returns {Promise<{ refresh: boolean }>}
+     */
+    async manageLibrary(context) {
+        const library = this.adapter.chainLibrary;
+        const chains = await library.list();
+
+        const pick = await context.showForm({
+            type: 'panel',
+            items: {
+                chainId: {
+                    type: 'select',
+                    label: { en: 'Library chain', de: 'Bibliothekskette' },
+                    options: [
+                        { value: '', label: { en: 'New chain…', de: 'Neue Kette…' } },
+                        ...chains.map((entry) => ({ value: entry.id, label: `${entry.name} (${entry.id}, ${entry.steps.length} steps)` })),
+                    ],
+                },
+                action: {
+                    type: 'select',
+                    label: { en: 'Action', de: 'Aktion' },
+                    options: [
+                        { value: 'edit', label: { en: 'Create / edit', de: 'Anlegen / bearbeiten' } },
+                        { value: 'delete', label: { en: 'Delete', de: 'Löschen' } },
+                    ],
+                    hidden: '!data.chainId',
+                    newLine: true,
+                },
+            },
+        }, {
+            data: { chainId: '', action: 'edit' },
+            title: { en: 'Chain library', de: 'Kettenbibliothek' },
+        });
+        if (!pick) return { refresh: false };
+
+        const existingId = String(pick.chainId || '');
+        const existing = existingId ? await library.get(existingId) : null;
+
+        if (existing && pick.action === 'delete') {
+            const users = await this._libraryUsers(existingId);
+            const confirmed = await context.showConfirmation(users.length ? {
+                en: `Delete "${existing.name}"? It is still used by: ${users.join(', ')}. Their include steps will fail.`,
+                de: `"${existing.name}" löschen? Die Kette wird noch verwendet von: ${users.join(', ')}. Deren Einbindungen schlagen dann fehl.`,
+            } : {
+                en: `Delete "${existing.name}"?`,
+                de: `"${existing.name}" löschen?`,
+            });
+            if (confirmed) await library.delete(existingId);
+            return { refresh: false };
         }
 
-        // Delete the device object itself
+        const libraryOptions = libraryChainOptions(chains.filter((entry) => entry.id !== existingId));
+        const result = await context.showForm({
+            type: 'panel',
+            items: {
+                id: {
+                    type: 'text',
+                    label: { en: 'Id', de: 'Id' },
+                    help: { en: 'Letters, digits, _ and -', de: 'Buchstaben, Ziffern, _ und -' },
+                    disabled: existingId ? 'true' : 'false',
+                },
+                name: {
+                    type: 'text',
+                    label: { en: 'Name', de: 'Name' },
+                },
+                steps: {
+                    ...buildChainEditor([
+                        { label: { en: 'Abort chain', de: 'Kette abbrechen' }, value: 'abort' },
+                        { label: { en: 'Continue', de: 'Fortfahren' }, value: 'continue' },
+                    ], libraryOptions),
+                    newLine: true,
+                },
+            },
+        }, {
+            data: {
+                id: existingId,
+                name: existing?.name || '',
+                steps: existing ? chainToRows(existing.steps) : [],
+            },
+            title: { en: 'Edit library chain', de: 'Bibliothekskette bearbeiten' },
+        });
+        if (!result) return { refresh: false };
+
+        const id = existingId || String(result.id || '').trim();
         try {
-            await this.adapter.delObjectAsync(deviceId);
-        } catch {
-            // ignore
+            await library.save(id, {
+                name: String(result.name || '').trim() || id,
+                steps: rowsToChain(Array.isArray(result.steps) ? result.steps : []),
+            });
+        } catch (e) {
+            await context.showMessage(`❌ ${e.message}`);
         }
+        return { refresh: false };
+    }
 
-        // Notify main adapter
-        await this.adapter.sendToAsync(this.adapter.namespace, 'deviceDeleted', { deviceId });
+    /**
+     * @param {string} libraryId
+     * @returns {Promise<string[]>} Names of the devices with a step including the library chain.
+     */
+    async _libraryUsers(libraryId) {
+        return (await this._storedDevices())
+            .filter(({ native }) => includedLibraryChains(native).includes(libraryId))
+            .map(({ deviceId, native }) => native.deviceName || deviceId);
+    }
 
-        return { refresh: true };
+    /**
+     * @returns {Promise<Array<{ deviceId: string, native: import('./plugin-interface').StoredDeviceConfig }>>}
+     *          All stored device configs.
+     */
+    async _storedDevices() {
+        const objs = await this.adapter.getObjectViewAsync('system', 'device', {
+            startkey: `${this.adapter.namespace}.`,
+            endkey: `${this.adapter.namespace}.\u9999`,
+        });
+        return (objs?.rows || [])
+            .filter((row) => row.value?.native?.pluginId)
+            .map((row) => ({ deviceId: row.id.replace(`${this.adapter.namespace}.`, ''), native: row.value.native }));
     }
-    // ======================================================================
-    // Room enum helpers
-    // ======================================================================
 
     /**
-     * Add an object to a room enum.
-     * @param {string} objectId - full object ID
-     * @param {string} roomId - enum.rooms.* ID (e.g. "enum.rooms.living_room")
+     * Export the configs of selected (or all) devices, together with the
+     * library chains they include, as a JSON document to copy.
+     *
+     * @param {object} context - ActionContext from dm-utils
+     * @returns {Promise<{ refresh: boolean }>}
      */
-    async _assignRoom(objectId, roomId) {
-        try {
-            const roomObj = await this.adapter.getForeignObjectAsync(roomId);
-            if (!roomObj) return;
-            const members = roomObj.common?.members || [];
-            if (!members.includes(objectId)) {
-                members.push(objectId);
-                await this.adapter.extendForeignObjectAsync(roomId, {
-                    common: { members },
-                });
+    async exportDevices(context) {
+        const devices = await this._storedDevices();
+        if (devices.length === 0) {
+            await context.showMessage({ en: 'There are no devices to export.', de: 'Es gibt keine Geräte zum Exportieren.' });
+            return { refresh: false };
+        }
+
+        /** @type {Record<string, any>} */
+        const items = {
+            all: {
+                type: 'checkbox',
+                label: { en: 'All devices', de: 'Alle Geräte' },
+            },
+        };
+        devices.forEach(({ deviceId, native }, i) => {
+            items[`device_${i}`] = {
+                type: 'checkbox',
+                label: `${native.deviceName} (${deviceId})`,
+                hidden: 'data.all',
+                newLine: true,
+            };
+        });
+
+        const selection = await context.showForm({ type: 'panel', items }, {
+            data: { all: true },
+            title: { en: 'Export devices', de: 'Geräte exportieren' },
+        });
+        if (!selection) return { refresh: false };
+
+        const selected = devices.filter((_, i) => selection.all || selection[`device_${i}`]);
+        if (selected.length === 0) return { refresh: false };
+
+        /** @type {Record<string, import('./chain-library').LibraryChain>} */
+        const library = {};
+        for (const { native } of selected) {
+            for (const id of includedLibraryChains(native)) {
+                const entry = await this.adapter.chainLibrary.get(id);
+                if (entry) library[id] = entry;
             }
-        } catch (e) {
-            this.adapter.log.warn(`Could not assign room ${roomId}: ${e}`);
         }
+
+        await context.showForm({
+            type: 'panel',
+            items: {
+                json: {
+                    type: 'text',
+                    label: { en: `${selected.length} device(s) — copy this text`, de: `${selected.length} Gerät(e) — diesen Text kopieren` },
+                    minRows: 20,
+                    readOnly: true,
+                },
+            },
+        }, {
+            data: { json: JSON.stringify(buildExport(selected, library), null, 2) },
+            title: { en: 'Export devices', de: 'Geräte exportieren' },
+        });
+        return { refresh: false };
     }
 
     /**
-     * Remove an object from a room enum.
-     * @param {string} objectId - full object ID
-     * @param {string} roomId - enum.rooms.* ID
+     * Import devices from an export document: object ids are remapped,
+     * every device is validated against its plugin and existing ids are
+     * handled by the chosen conflict strategy.  Shows a summary to confirm
+     * before anything is written.
+     *
+     * @param {object} context - ActionContext from dm-utils
+     * @returns {Promise<{ refresh: boolean }>}
      */
-    async _removeFromRoom(objectId, roomId) {
+    async importDevices(context) {
+        const input = await context.showForm({
+            type: 'panel',
+            items: {
+                json: {
+                    type: 'text',
+                    label: { en: 'Exported JSON', de: 'Exportiertes JSON' },
+                    minRows: 12,
+                },
+                strategy: {
+                    type: 'select',
+                    label: { en: 'If a device id exists', de: 'Wenn eine Geräte-ID existiert' },
+                    options: [
+                        { value: 'skip', label: { en: 'Skip the device', de: 'Gerät überspringen' } },
+                        { value: 'overwrite', label: { en: 'Overwrite the existing device', de: 'Vorhandenes Gerät überschreiben' } },
+                        { value: 'rename', label: { en: 'Import under a new id', de: 'Unter neuer ID importieren' } },
+                    ],
+                    newLine: true,
+                },
+                _mappingsHeader: {
+                    type: 'header',
+                    text: { en: 'Replace object id prefixes', de: 'Objekt-ID-Präfixe ersetzen' },
+                    size: 5,
+                },
+                mappings: {
+                    type: 'table',
+                    items: [
+                        { type: 'text', attr: 'from', title: { en: 'From (e.g. zigbee.0)', de: 'Von (z. B. zigbee.0)' }, width: '50%', filter: false, sort: false },
+                        { type: 'text', attr: 'to', title: { en: 'To (e.g. zigbee.1)', de: 'Nach (z. B. zigbee.1)' }, width: '50%', filter: false, sort: false },
+                    ],
+                    noDelete: false,
+                },
+            },
+        }, {
+            data: { json: '', strategy: 'skip', mappings: [] },
+            title: { en: 'Import devices', de: 'Geräte importieren' },
+        });
+        if (!input?.json) return { refresh: false };
+
+        let doc;
         try {
-            const roomObj = await this.adapter.getForeignObjectAsync(roomId);
-            if (!roomObj) return;
-            const members = roomObj.common?.members || [];
-            const idx = members.indexOf(objectId);
-            if (idx >= 0) {
-                members.splice(idx, 1);
-                await this.adapter.extendForeignObjectAsync(roomId, {
-                    common: { members },
-                });
-            }
+            doc = parseExport(String(input.json));
         } catch (e) {
-            this.adapter.log.warn(`Could not remove from room ${roomId}: ${e}`);
+            await context.showMessage(`❌ ${e.message}`);
+            return { refresh: false };
         }
+
+        const mappings = (Array.isArray(input.mappings) ? input.mappings : [])
+            .map((row) => ({ from: String(row.from || '').trim(), to: String(row.to || '').trim() }))
+            .filter((m) => m.from);
+        const existing = await this._storedDevices();
+        const plan = planImport(doc, {
+            resolvePlugin: getPlugin,
+            existingIds: new Set(existing.map((d) => d.deviceId)),
+            strategy: input.strategy || 'skip',
+            mappings,
+        });
+
+        const lines = [
+            ...plan.devices.map((d) => `${d.replaces ? '♻️ overwrite' : '➕ create'} ${d.deviceId} — ${d.native.deviceName}` +
+                (d.deviceId !== d.sourceId ? ` (from ${d.sourceId})` : '')),
+            ...plan.skipped.map((d) => `⏭️ skip ${d.deviceId}: ${d.reason}`),
+            ...plan.invalid.map((d) => `❌ ${d.deviceId}: ${d.errors.join('; ')}`),
+        ];
+        if (plan.devices.length === 0) {
+            await context.showMessage(['Nothing to import.', ...lines].join('\n'));
+            return { refresh: false };
+        }
+        const confirmed = await context.showConfirmation(
+            [`Import ${plan.devices.length} device(s)?`, ...lines].join('\n'));
+        if (!confirmed) return { refresh: false };
+
+        // Library chains the devices include, unless the id is taken here
+        for (const [id, entry] of Object.entries(doc.library || {})) {
+            if (!Array.isArray(entry?.steps) || await this.adapter.chainLibrary.get(id)) continue;
+            await this.adapter.chainLibrary.save(id, { name: entry.name, steps: remapChain(entry.steps, mappings) });
+        }
+
+        const previousRooms = new Map(existing.map((d) => [d.deviceId, d.native.room]));
+        for (const { deviceId, native, replaces } of plan.devices) {
+            const oldRoom = previousRooms.get(deviceId);
+            if (replaces && oldRoom && oldRoom !== native.room) {
+                await removeFromRoom(/** @type {any} */ (this.adapter), `${this.adapter.namespace}.${deviceId}`, oldRoom);
+            }
+            await createDeviceObject(/** @type {any} */ (this.adapter), deviceId, native);
+            await this.adapter.sendToAsync(this.adapter.namespace, replaces ? 'deviceUpdated' : 'deviceAdded', { deviceId });
+        }
+
+        await context.showMessage(`✅ ${plan.devices.length} device(s) imported` +
+            (plan.skipped.length + plan.invalid.length ? `, ${plan.skipped.length + plan.invalid.length} not imported` : ''));
+        return { refresh: true };
+    }
+
+    /**
+     * Confirm deletion, remove the device config object and all output states.
+     *
+     * @param {string} deviceId
+     * @param {object} context - ActionContext from dm-utils
+     * @returns {Promise<{ refresh: boolean }>}
+     */
+    async deleteDevice(deviceId, context) {
+        const confirmed = await context.showConfirmation({
+            en: 'Are you sure you want to delete this device? All associated states will be removed.',
+            de: 'Sind Sie sicher, dass Sie dieses Gerät löschen möchten? Alle zugehörigen Datenpunkte werden entfernt.',
+        });
+
+        if (!confirmed) return { refresh: false };
+
+        // Remove room membership, states and the device object
+        await deleteDeviceObjects(/** @type {any} */ (this.adapter), deviceId);
+
+        // Notify main adapter
+        await this.adapter.sendToAsync(this.adapter.namespace, 'deviceDeleted', { deviceId });
+
+        return { refresh: true };
     }
 }
 
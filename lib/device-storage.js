@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Persistent per-device key/value storage for plugins.
+ *
+ * Plugins keep their runtime data (timestamps, pending timers, state machine
+ * positions) in memory.  `DeviceStorage` lets them persist the parts that must
+ * survive an adapter restart.  The data is kept as a JSON object in a hidden
+ * state below the device (`{deviceId}.storage`), loaded once before `onInit`
+ * and written back debounced, so frequent `set()` calls cost a single write.
+ *
+ * Values must be JSON-serialisable.
+ *
+ * @module device-storage
+ */
+
+/** Default debounce delay for writes in milliseconds. */
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+class DeviceStorage {
+    /**
+     * @param {ioBroker.Adapter} adapter - Adapter instance (own namespace state access).
+     * @param {string} stateId - Id of the storage state relative to the adapter namespace.
+     * @param {number} [debounceMs] - Delay before pending changes are written.
+     */
+    constructor(adapter, stateId, debounceMs = DEFAULT_DEBOUNCE_MS) {
+        this._adapter = adapter;
+        this._stateId = stateId;
+        this._debounceMs = debounceMs;
+
+        /** @type {Record<string, any>} */
+        this._data = {};
+
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this._timer = null;
+
+        /** @type {boolean} */
+        this._dirty = false;
+    }
+
+    /**
+     * Create the storage state if needed and read the persisted data.
+     * Invalid JSON is discarded (logged as warning).
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        await this._adapter.setObjectNotExistsAsync(this._stateId, {
+            type: 'state',
+            common: {
+                name: 'Plugin runtime storage',
+                type: 'json',
+                role: 'json',
+                read: true,
+                write: false,
+                expert: true,
+            },
+            native: {},
+        });
+
+        const state = await this._adapter.getStateAsync(this._stateId);
+        this._data = {};
+        if (typeof state?.val === 'string' && state.val) {
+            try {
+                const parsed = JSON.parse(state.val);
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    this._data = parsed;
+                }
+            } catch (e) {
+                this._adapter.log.warn(`Discarding invalid plugin storage in ${this._stateId}: ${e}`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} [defaultValue]
+     * @returns {any} The stored value, or `defaultValue` if the key is not set.
+     */
+    get(key, defaultValue) {
+        return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : defaultValue;
+    }
+
+    /**
+     * Store a value.  Setting `undefined` removes the key.  Objects are
+     * stored by reference, so mutating them and calling `set()` again persists
+     * the change.
+     *
+     * @param {string} key
+     * @param {any} value
+     */
+    set(key, value) {
+        if (value === undefined) {
+            this.delete(key);
+            return;
+        }
+        // Unchanged primitives do not cause a write
+        if (this._data[key] === value && (value === null || typeof value !== 'object')) return;
+        this._data[key] = value;
+        this._schedule();
+    }
+
+    /**
+     * @param {string} key
+     */
+    delete(key) {
+        if (!Object.prototype.hasOwnProperty.call(this._data, key)) return;
+        delete this._data[key];
+        this._schedule();
+    }
+
+    /**
+     * Write pending changes immediately.
+     *
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (!this._dirty) return;
+        this._dirty = false;
+        await this._adapter.setStateAsync(this._stateId, JSON.stringify(this._data), true);
+    }
+
+    /** Schedule a debounced write. */
+    _schedule() {
+        this._dirty = true;
+        if (this._timer) return;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.flush().catch((e) => this._adapter.log.error(`Cannot write plugin storage ${this._stateId}: ${e}`));
+        }, this._debounceMs);
+    }
+}
+
+module.exports = {
+    DeviceStorage,
+    DEFAULT_DEBOUNCE_MS,
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Per-device timer management.
+ *
+ * Plugins schedule their timeouts and intervals through the plugin context
+ * (`ctx.setTimeout`, `ctx.setInterval`, `ctx.clearTimer`) instead of the
+ * global timer functions.  The adapter owns one `DeviceTimers` per running
+ * device and disposes it when the device stops, so a plugin that forgets to
+ * clean up can neither leak timers nor run callbacks on a destroyed context.
+ *
+ * Callback errors (thrown or rejected) are logged, never propagated.
+ *
+ * @module device-timers
+ */
+
+/** @typedef {number} TimerHandle */
+
+class DeviceTimers {
+    /**
+     * @param {ioBroker.Logger} log - Logger used for callback errors.
+     * @param {string} [label] - Prefix for log messages (e.g. the device id).
+     */
+    constructor(log, label = '') {
+        this._log = log;
+        this._label = label;
+
+        /** @type {Map<TimerHandle, { timer: ReturnType<typeof setTimeout>, interval: boolean }>} */
+        this._timers = new Map();
+
+        /** @type {TimerHandle} */
+        this._nextHandle = 1;
+
+        /** @type {boolean} */
+        this._disposed = false;
+    }
+
+    /** @returns {number} Number of pending timers. */
+    get size() {
+        return this._timers.size;
+    }
+
+    /**
+     * Run a callback once after `ms` milliseconds.
+     *
+     * @param {() => any} callback - May return a promise.
+     * @param {number} ms
+     * @returns {TimerHandle|null} Handle for `clearTimer`, or `null` after dispose.
+     */
+    setTimeout(callback, ms) {
+        if (this._disposed) return null;
+        const handle = this._nextHandle++;
+        const timer = setTimeout(() => {
+            this._timers.delete(handle);
+            this._run(callback);
+        }, Math.max(0, Number(ms) || 0));
+        this._timers.set(handle, { timer, interval: false });
+        return handle;
+    }
+
+    /**
+     * Run a callback every `ms` milliseconds.
+     *
+     * @param {() => any} callback - May return a promise.
+     * @param {number} ms
+     * @returns {TimerHandle|null} Handle for `clearTimer`, or `null` after dispose.
+     */
+    setInterval(callback, ms) {
+        if (this._disposed) return null;
+        const handle = this._nextHandle++;
+        const timer = setInterval(() => this._run(callback), Math.max(1, Number(ms) || 0));
+        this._timers.set(handle, { timer, interval: true });
+        return handle;
+    }
+
+    /**
+     * Cancel a timeout or interval.  Unknown handles are ignored.
+     *
+     * @param {TimerHandle|null|undefined} handle
+     */
+    clearTimer(handle) {
+        if (handle === null || handle === undefined) return;
+        const entry = this._timers.get(handle);
+        if (!entry) return;
+        if (entry.interval) {
+            clearInterval(entry.timer);
+        } else {
+            clearTimeout(entry.timer);
+        }
+        this._timers.delete(handle);
+    }
+
+    /**
+     * Cancel all timers and refuse new ones.
+     */
+    dispose() {
+        this._disposed = true;
+        for (const handle of Array.from(this._timers.keys())) {
+            this.clearTimer(handle);
+        }
+    }
+
+    /**
+     * @param {() => any} callback
+     */
+    _run(callback) {
+        if (this._disposed) return;
+        const prefix = this._label ? `Timer error (device=${this._label})` : 'Timer error';
+        try {
+            const result = callback();
+            if (result && typeof result.then === 'function') {
+                result.catch((e) => this._log.error(`${prefix}: ${e}`));
+            }
+        } catch (e) {
+            this._log.error(`${prefix}: ${e}`);
+        }
+    }
+}
+
+module.exports = {
+    DeviceTimers,
+};
@@ -0,0 +1,288 @@
+'use strict';
+
+/**
+ * Export and import of virtual device configurations.
+ *
+ * An export is a versioned JSON document with the `StoredDeviceConfig` of
+ * each device (plus its id).  Importing one remaps object id prefixes (e.g.
+ * `zigbee.0` → `zigbee.1` when moving to another system), validates every
+ * device against its plugin (after migrating configs saved by an older
+ * plugin version) and resolves id conflicts with existing devices
+ * by a strategy: skip the device, overwrite the existing one, or import it
+ * under a new id.  Library chains the devices include travel along and are
+ * added on import unless the target already has a chain with that id.
+ *
+ * @module device-transfer
+ */
+
+const { checkDeviceId, migrateDeviceConfig, normalizeDeviceConfig, validateDeviceConfig } = require('./device-config');
+
+/** `format` of an export document. */
+const EXPORT_FORMAT = 'iobroker.virtual-devices';
+
+/** Current export document version (imports accept this version and older). */
+const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} ExportDocument
+ * @property {string} format    - Always `EXPORT_FORMAT`.
+ * @property {number} version   - `EXPORT_VERSION` at the time of the export.
+ * @property {string} exportedAt - ISO timestamp.
+ * @property {Array<import('./plugin-interface').StoredDeviceConfig & { deviceId: string }>} devices
+ * @property {Record<string, import('./chain-library').LibraryChain>} [library] - Library chains the devices include.
+ */
+
+/**
+ * @typedef {Object} ObjectIdMapping
+ * @property {string} from - Object id prefix to replace (e.g. `zigbee.0`).
+ * @property {string} to   - Replacement (e.g. `zigbee.1`).
+ */
+
+/** @typedef {'skip'|'overwrite'|'rename'} ConflictStrategy */
+
+/**
+ * @typedef {Object} ImportPlan
+ * @property {Array<{ deviceId: string, native: import('./plugin-interface').StoredDeviceConfig, replaces: boolean, sourceId: string }>} devices
+ *           Devices to write (`replaces`: an existing device is overwritten).
+ * @property {Array<{ deviceId: string, reason: string }>} skipped - Valid devices not imported (conflicts).
+ * @property {Array<{ deviceId: string, errors: string[] }>} invalid - Devices failing validation.
+ */
+
+/**
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @returns {string[]} Ids of the library chains the device's chains include.
+ */
+function includedLibraryChains(native) {
+    const ids = new Set();
+    for (const chain of Object.values(native.chains || {})) {
+        for (const step of Array.isArray(chain) ? chain : []) {
+            if (step.include) ids.add(step.include);
+        }
+    }
+    return [...ids];
+}
+
+/**
+ * Build an export document.
+ *
+ * @param {Array<{ deviceId: string, native: import('./plugin-interface').StoredDeviceConfig }>} devices
+ * @param {Record<string, import('./chain-library').LibraryChain>} [library] - Library chains the devices include.
+ * @returns {ExportDocument}
+ */
+function buildExport(devices, library = {}) {
+    /** @type {ExportDocument} */
+    const doc = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        devices: devices.map(({ deviceId, native }) => ({ deviceId, ...native })),
+    };
+    if (Object.keys(library).length > 0) {
+        doc.library = library;
+    }
+    return doc;
+}
+
+/**
+ * Parse and check an export document.
+ *
+ * @param {string|object} input - JSON text or the parsed document.
+ * @returns {ExportDocument}
+ * @throws {Error} If the input is not JSON or not an export of this adapter.
+ */
+function parseExport(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Not valid JSON: ${e.message}`);
+        }
+    }
+    if (!doc || typeof doc !== 'object' || /** @type {any} */ (doc).format !== EXPORT_FORMAT) {
+        throw new Error('Not a virtual-devices export');
+    }
+    const { version, devices } = /** @type {any} */ (doc);
+    if (!Number.isInteger(version) || version < 1 || version > EXPORT_VERSION) {
+        throw new Error(`Unsupported export version ${version} (supported: 1–${EXPORT_VERSION})`);
+    }
+    if (!Array.isArray(devices)) {
+        throw new Error('The export contains no device list');
+    }
+    return /** @type {ExportDocument} */ (doc);
+}
+
+/**
+ * @param {string} value
+ * @param {ObjectIdMapping[]} mappings
+ * @returns {string} The value with the first matching prefix replaced.  A
+ *          prefix matches the whole id or up to a `.`.
+ */
+function remapObjectId(value, mappings) {
+    for (const { from, to } of mappings) {
+        if (from && (value === from || value.startsWith(`${from}.`))) {
+            return to + value.slice(from.length);
+        }
+    }
+    return value;
+}
+
+/**
+ * @param {Record<string, any>} item - JSONConfig item of a setting or table column.
+ * @param {string} attr - Name of the setting or column.
+ * @returns {boolean} Whether the item holds an object id: an object id
+ *          picker, or a field named `objectId` like the chain step fields.
+ */
+function isObjectIdItem(item, attr) {
+    return item?.type === 'objectId' || attr === 'objectId';
+}
+
+/**
+ * Replace object id prefixes in a device config: inputs, chain steps
+ * (written, waited-for and condition objects) and the settings the plugin
+ * declares as object ids (e.g. the `objectId` column of a condition table).
+ * Other settings are left alone.
+ *
+ * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {import('./plugin-interface').StoredDeviceConfig} native
+ * @param {ObjectIdMapping[]} mappings
+ * @returns {import('./plugin-interface').StoredDeviceConfig} A remapped copy.
+ */
+function remapDeviceConfig(plugin, native, mappings) {
+    const active = mappings.filter((m) => m.from && m.from !== m.to);
+    if (active.length === 0) return native;
+
+    /** @param {any} value @returns {any} */
+    const remap = (value) => (typeof value === 'string' ? remapObjectId(value, active) : value);
+
+    /** @type {Record<string, any>} */
+    const config = { ...native.config };
+    for (const [key, schema] of Object.entries(plugin.configSchema || {})) {
+        const value = config[key];
+        if (isObjectIdItem(schema, key)) {
+            if (typeof value === 'string') config[key] = remap(value);
+        } else if (schema.type === 'table' && Array.isArray(value)) {
+            const columns = (schema.items || [])
+                .filter((/** @type {any} */ item) => isObjectIdItem(item, item.attr))
+                .map((/** @type {any} */ item) => item.attr);
+            if (columns.length === 0) continue;
+            config[key] = value.map((row) => {
+                if (!row || typeof row !== 'object') return row;
+                const copy = { ...row };
+                for (const column of columns) copy[column] = remap(copy[column]);
+                return copy;
+            });
+        }
+    }
+
+    return {
+        ...native,
+        inputs: Object.fromEntries(Object.entries(native.inputs || {}).map(([slotId, objectId]) => [slotId, remap(objectId)])),
+        config,
+        chains: Object.fromEntries(Object.entries(native.chains || {})
+            .map(([slotId, chain]) => [slotId, Array.isArray(chain) ? remapChain(chain, active) : chain])),
+    };
+}
+
+/**
+ * Replace object id prefixes in the written, waited-for and condition
+ * objects of a chain's steps.
+ *
+ * @param {import('./plugin-interface').ActionChain} chain
+ * @param {ObjectIdMapping[]} mappings
+ * @returns {import('./plugin-interface').ActionChain} A remapped copy.
+ */
+function remapChain(chain, mappings) {
+    return chain.map((step) => {
+        const copy = { ...step, objectId: remapObjectId(step.objectId || '', mappings) };
+        if (step.waitBefore?.objectId) {
+            copy.waitBefore = { ...step.waitBefore, objectId: remapObjectId(step.waitBefore.objectId, mappings) };
+        }
+        if (step.condition?.objectId) {
+            copy.condition = { ...step.condition, objectId: remapObjectId(step.condition.objectId, mappings) };
+        }
+        return copy;
+    });
+}
+
+/**
+ * Decide what an import does, without writing anything.
+ *
+ * @param {ExportDocument} doc - A parsed export.
+ * @param {Object} options
+ * @param {(pluginId: string) => import('./plugin-interface').VirtualDevicePlugin|undefined} options.resolvePlugin
+ * @param {Set<string>} options.existingIds - Ids of the devices that exist already.
+ * @param {ConflictStrategy} [options.strategy='skip'] - What to do when a device id exists.
+ * @param {ObjectIdMapping[]} [options.mappings]
+ * @returns {ImportPlan}
+ */
+function planImport(doc, options) {
+    const { resolvePlugin, existingIds, strategy = 'skip', mappings = [] } = options;
+    /** @type {ImportPlan} */
+    const plan = { devices: [], skipped: [], invalid: [] };
+    // Ids taken by existing devices and by devices imported before
+    const taken = new Set(existingIds);
+    const imported = new Set();
+
+    doc.devices.forEach((entry, i) => {
+        const { deviceId: sourceId, ...stored } = entry || {};
+        const label = typeof sourceId === 'string' && sourceId ? sourceId : `#${i + 1}`;
+
+        const idError = checkDeviceId(sourceId);
+        if (idError) {
+            plan.invalid.push({ deviceId: label, errors: [idError] });
+            return;
+        }
+        const plugin = typeof stored.pluginId === 'string' ? resolvePlugin(stored.pluginId) : undefined;
+        if (!plugin) {
+            plan.invalid.push({ deviceId: label, errors: [`pluginId: unknown plugin "${stored.pluginId}"`] });
+            return;
+        }
+
+        let native;
+        try {
+            native = migrateDeviceConfig(plugin, remapDeviceConfig(plugin, /** @type {any} */ (stored), mappings)).native;
+        } catch (e) {
+            plan.invalid.push({ deviceId: label, errors: [`configVersion: ${e.message}`] });
+            return;
+        }
+        const errors = validateDeviceConfig(plugin, native);
+        if (errors.length) {
+            plan.invalid.push({ deviceId: label, errors });
+            return;
+        }
+
+        let deviceId = sourceId;
+        let replaces = false;
+        if (taken.has(sourceId)) {
+            if (strategy === 'overwrite' && !imported.has(sourceId)) {
+                replaces = true;
+            } else if (strategy === 'rename' || strategy === 'overwrite') {
+                for (let n = 2; taken.has(deviceId); n++) {
+                    deviceId = `${sourceId}-${n}`;
+                }
+            } else {
+                plan.skipped.push({ deviceId: sourceId, reason: 'a device with this id exists' });
+                return;
+            }
+        }
+
+        taken.add(deviceId);
+        imported.add(deviceId);
+        plan.devices.push({ deviceId, sourceId, replaces, native: { ...native, ...normalizeDeviceConfig(plugin, native) } });
+    });
+
+    return plan;
+}
+
+module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    buildExport,
+    includedLibraryChains,
+    parseExport,
+    planImport,
+    remapChain,
+    remapDeviceConfig,
+    remapObjectId,
+};
@@ -0,0 +1,357 @@
+'use strict';
+
+/**
+ * Template expressions in action chain values.
+ *
+ * A chain value may contain `{{ … }}` placeholders, e.g. `{{out.volume}}` or
+ * `{{config.volumeDefault + 10}}`.  Expressions are parsed by a small
+ * recursive-descent parser — nothing is passed to `eval` or `Function` — and
+ * support:
+ *
+ * - numbers, 'strings' / "strings", true, false, null
+ * - variables: dotted paths (`config.x`, `out.x`, `in.x`) looked up through a
+ *   resolver supplied by the caller
+ * - `+ - * / %`, unary minus and parentheses (`+` concatenates when an
+ *   operand is not numeric)
+ * - the functions min, max, round, floor, ceil and abs
+ *
+ * A value that consists of a single placeholder evaluates to the expression's
+ * own type (number, boolean, …); placeholders inside longer text are
+ * interpolated as strings.
+ *
+ * @module expression
+ */
+
+/** Placeholders in a template. */
+const PLACEHOLDER_RE = /\{\{([\s\S]*?)\}\}/g;
+
+/** A template that is exactly one placeholder. */
+const SINGLE_PLACEHOLDER_RE = /^\s*\{\{((?:(?!\}\})[\s\S])*)\}\}\s*$/;
+
+/** @type {Record<string, (...args: number[]) => number>} */
+const FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    round: (x, digits = 0) => {
+        const factor = 10 ** digits;
+        return Math.round(x * factor) / factor;
+    },
+    floor: Math.floor,
+    ceil: Math.ceil,
+    abs: Math.abs,
+};
+
+/**
+ * @typedef {{ type: 'literal', value: any }
+ *   | { type: 'var', path: string }
+ *   | { type: 'unary', op: '-', arg: ExpressionNode }
+ *   | { type: 'binary', op: '+'|'-'|'*'|'/'|'%', left: ExpressionNode, right: ExpressionNode }
+ *   | { type: 'call', name: string, args: ExpressionNode[] }} ExpressionNode
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {'number'|'string'|'name'|'op'} type
+ * @property {any}    value
+ * @property {number} pos
+ */
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} text
+ * @returns {Token[]}
+ */
+function tokenize(text) {
+    /** @type {Token[]} */
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) {
+            i++;
+        } else if (/[0-9.]/.test(c)) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(i));
+            if (!match) throw new Error(`Invalid number at position ${i + 1}`);
+            tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+            i += match[0].length;
+        } else if (c === '"' || c === "'") {
+            let j = i + 1;
+            let value = '';
+            while (j < text.length && text[j] !== c) {
+                if (text[j] === '\\' && j + 1 < text.length) j++;
+                value += text[j++];
+            }
+            if (j >= text.length) throw new Error(`Unterminated string at position ${i + 1}`);
+            tokens.push({ type: 'string', value, pos: i });
+            i = j + 1;
+        } else if (/[A-Za-z_$]/.test(c)) {
+            const match = /^[A-Za-z_$][\w$]*(?:\.[\w$]+)*/.exec(text.slice(i));
+            tokens.push({ type: 'name', value: match[0], pos: i });
+            i += match[0].length;
+        } else if ('+-*/%(),'.includes(c)) {
+            tokens.push({ type: 'op', value: c, pos: i });
+            i++;
+        } else {
+            throw new Error(`Unexpected "${c}" at position ${i + 1}`);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse an expression (the text between `{{` and `}}`).
+ *
+ * @param {string} text
+ * @returns {ExpressionNode}
+ */
+function parseExpression(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) {
+            const token = peek();
+            throw new Error(token ? `Expected "${value}" at position ${token.pos + 1}` : `Expected "${value}" at end`);
+        }
+        pos++;
+    };
+
+    /** @returns {ExpressionNode} */
+    const additive = () => {
+        let left = multiplicative();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[pos++].value;
+            left = { type: 'binary', op, left, right: multiplicative() };
+        }
+        return left;
+    };
+
+    /** @returns {ExpressionNode} */
+    const multiplicative = () => {
+        let left = unary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[pos++].value;
+            left = { type: 'binary', op, left, right: unary() };
+        }
+        return left;
+    };
+
+    /** @returns {ExpressionNode} */
+    const unary = () => {
+        if (isOp('-')) {
+            pos++;
+            return { type: 'unary', op: '-', arg: unary() };
+        }
+        return primary();
+    };
+
+    /** @returns {ExpressionNode} */
+    const primary = () => {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of expression');
+        pos++;
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const inner = additive();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            if (token.value === 'true') return { type: 'literal', value: true };
+            if (token.value === 'false') return { type: 'literal', value: false };
+            if (token.value === 'null') return { type: 'literal', value: null };
+            if (isOp('(')) {
+                if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                    throw new Error(`Unknown function "${token.value}"`);
+                }
+                pos++;
+                /** @type {ExpressionNode[]} */
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(additive());
+                    while (isOp(',')) {
+                        pos++;
+                        args.push(additive());
+                    }
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'var', path: token.value };
+        }
+        throw new Error(`Unexpected "${token.value}" at position ${token.pos + 1}`);
+    };
+
+    if (tokens.length === 0) throw new Error('Empty expression');
+    const node = additive();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected "${tokens[pos].value}" at position ${tokens[pos].pos + 1}`);
+    }
+    return node;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {ExpressionNode} node
+ * @param {Set<string>} [paths]
+ * @returns {Set<string>} Variable paths used by the expression.
+ */
+function collectVariables(node, paths = new Set()) {
+    switch (node.type) {
+        case 'var': paths.add(node.path); break;
+        case 'unary': collectVariables(node.arg, paths); break;
+        case 'binary': collectVariables(node.left, paths); collectVariables(node.right, paths); break;
+        case 'call': node.args.forEach((arg) => collectVariables(arg, paths)); break;
+    }
+    return paths;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether the value takes part in arithmetic as a number.
+ */
+function isNumeric(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (typeof value === 'boolean') return true;
+    return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * @param {any} value
+ * @param {string} what - Description for the error message.
+ * @returns {number}
+ */
+function toNumber(value, what) {
+    if (!isNumeric(value)) throw new Error(`${what}: "${value}" is not a number`);
+    return Number(value);
+}
+
+/**
+ * Evaluate a parsed expression.
+ *
+ * @param {ExpressionNode} node
+ * @param {Map<string, any>} variables - Values of all variables the expression uses.
+ * @returns {any}
+ */
+function evaluateExpression(node, variables) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'var':
+            if (!variables.has(node.path)) throw new Error(`Unknown variable "${node.path}"`);
+            return variables.get(node.path);
+        case 'unary':
+            return -toNumber(evaluateExpression(node.arg, variables), 'Operand of -');
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map((arg, i) =>
+                toNumber(evaluateExpression(arg, variables), `Argument ${i + 1} of ${node.name}()`)));
+        case 'binary': {
+            const left = evaluateExpression(node.left, variables);
+            const right = evaluateExpression(node.right, variables);
+            if (node.op === '+' && (!isNumeric(left) || !isNumeric(right))) {
+                return `${left ?? ''}${right ?? ''}`;
+            }
+            const a = toNumber(left, `Left operand of ${node.op}`);
+            const b = toNumber(right, `Right operand of ${node.op}`);
+            switch (node.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/':
+                    if (b === 0) throw new Error('Division by zero');
+                    return a / b;
+                case '%':
+                    if (b === 0) throw new Error('Division by zero');
+                    return a % b;
+            }
+        }
+    }
+    throw new Error(`Invalid expression node "${/** @type {any} */ (node).type}"`);
+}
+
+// ---------------------------------------------------------------------------
+// Templates
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether the value is a string with `{{ … }}` placeholders.
+ */
+function hasTemplate(value) {
+    return typeof value === 'string' && value.includes('{{');
+}
+
+/**
+ * Parse all placeholders of a template (throws on syntax errors).
+ *
+ * @param {string} template
+ * @returns {{ single: ExpressionNode|null, parts: Array<string|ExpressionNode> }}
+ *          `single` is set when the template is exactly one placeholder.
+ */
+function parseTemplate(template) {
+    const whole = SINGLE_PLACEHOLDER_RE.exec(template);
+    if (whole) {
+        return { single: parseExpression(whole[1]), parts: [] };
+    }
+
+    /** @type {Array<string|ExpressionNode>} */
+    const parts = [];
+    let last = 0;
+    for (const match of template.matchAll(PLACEHOLDER_RE)) {
+        parts.push(template.slice(last, match.index));
+        parts.push(parseExpression(match[1]));
+        last = match.index + match[0].length;
+    }
+    const rest = template.slice(last);
+    if (rest.includes('{{')) throw new Error('Unterminated "{{"');
+    parts.push(rest);
+    return { single: null, parts };
+}
+
+/**
+ * Render a template.  Variables are resolved once each, before evaluation.
+ *
+ * @param {string} template
+ * @param {(path: string) => Promise<any>} resolveVariable - Throws for unknown variables.
+ * @returns {Promise<any>}
+ */
+async function renderTemplate(template, resolveVariable) {
+    const { single, parts } = parseTemplate(template);
+
+    const paths = new Set();
+    for (const part of single ? [single] : parts) {
+        if (typeof part !== 'string') collectVariables(part, paths);
+    }
+    /** @type {Map<string, any>} */
+    const variables = new Map();
+    for (const path of paths) {
+        variables.set(path, await resolveVariable(path));
+    }
+
+    if (single) return evaluateExpression(single, variables);
+    return parts.map((part) => {
+        if (typeof part === 'string') return part;
+        const value = evaluateExpression(part, variables);
+        return value === null || value === undefined ? '' : String(value);
+    }).join('');
+}
+
+module.exports = {
+    collectVariables,
+    evaluateExpression,
+    hasTemplate,
+    parseExpression,
+    parseTemplate,
+    renderTemplate,
+};
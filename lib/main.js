@@ -9,9 +9,10 @@
  *
  * ### Lifecycle
  *
- * 1. `onReady`  — load plugins, read all persisted device configs, create
+ * 1. `onReady`  — load built-in and external plugins, read all persisted device configs, create
  *    output states, initialise plugins, subscribe to inputs.
  * 2. `onStateChange` — route changes to the correct device plugin.
+ *    `onObjectChange` — track deleted and re-created input objects.
  * 3. `onMessage` — handle internal messages from the device-management layer
  *    (deviceAdded / deviceUpdated / deviceDeleted).
  * 4. `onUnload` — destroy all running devices.
@@ -21,9 +22,26 @@
 
 const utils = require('@iobroker/adapter-core');
 
+const path = require('path');
+
 const VirtualDevicesManagement = require('./device-management');
-const { loadBuiltInPlugins, getPlugin } = require('./plugin-registry');
-const { ActionChainExecutor } = require('./action-chain');
+const { loadBuiltInPlugins, loadExternalPlugins, getPlugin } = require('./plugin-registry');
+const { ChainScheduler, checkValueType, coerceValue } = require('./action-chain');
+const { ChainLibrary } = require('./chain-library');
+const {
+    checkDeviceId,
+    checkDeviceObjects,
+    createDeviceObject,
+    deleteDeviceObjects,
+    migrateDeviceConfig,
+    newDeviceId,
+    normalizeDeviceConfig,
+    repairStoredConfig,
+    validateDeviceConfig,
+} = require('./device-config');
+const { DeviceHealth, readHealth } = require('./device-health');
+const { DeviceStorage } = require('./device-storage');
+const { DeviceTimers } = require('./device-timers');
 
 // ---------------------------------------------------------------------------
 // Types (JSDoc only)
@@ -36,9 +54,17 @@ const { ActionChainExecutor } = require('./action-chain');
  * @property {import('./plugin-interface').PluginContext}        ctx    - Runtime context.
  * @property {Record<string,string>}             inputMap        - inputSlotId → objectId.
  * @property {Map<string,string>}                reverseInputMap - objectId → inputSlotId.
- * @property {Set<ActionChainExecutor>}          activeChains    - Currently running chain executors.
+ * @property {Set<import('./action-chain').ActionChainExecutor>} activeChains - Running and queued chain executors.
+ * @property {Map<string,any>}                   outputValues    - Last acknowledged value per output state id.
+ * @property {DeviceStorage}                     storage         - Persistent plugin storage (`{deviceId}.storage`).
+ * @property {DeviceTimers}                      timers          - Timeouts/intervals owned by this device.
+ * @property {DeviceHealth}                      health          - Health states (`{deviceId}.info.*`).
+ * @property {Map<string, import('./action-chain').ChainTrace[]>} chainTraces - Recent runs per chain slot, newest first.
  */
 
+/** Number of runs kept per chain slot in `{deviceId}.chains.{slotId}.lastRun`. */
+const CHAIN_TRACE_HISTORY = 10;
+
 // ---------------------------------------------------------------------------
 // Adapter class
 // ---------------------------------------------------------------------------
@@ -63,8 +89,15 @@ class VirtualDevicesAdapter extends utils.Adapter {
         /** @type {Map<string, DeviceInstance[]>} */
         this.stateSubscribers = new Map();
 
+        /** @type {Map<string, number>} Running chain state waits per watched object id. */
+        this.waitSubscriptions = new Map();
+
+        /** @type {ChainLibrary} */
+        this.chainLibrary = new ChainLibrary(this);
+
         this.on('ready', this._onReady.bind(this));
         this.on('stateChange', this._onStateChange.bind(this));
+        this.on('objectChange', this._onObjectChange.bind(this));
         this.on('message', this._onMessage.bind(this));
         this.on('unload', this._onUnload.bind(this));
     }
@@ -83,6 +116,7 @@ class VirtualDevicesAdapter extends utils.Adapter {
         // Load plugin registry
         await loadBuiltInPlugins();
         this.log.info('Built-in plugins loaded');
+        await this._loadExternalPlugins();
 
         // Subscribe to own namespace for writable output states (e.g. enabled switch)
         await this.subscribeStatesAsync('*');
@@ -100,11 +134,20 @@ class VirtualDevicesAdapter extends utils.Adapter {
     async _onUnload(callback) {
         try {
             for (const instance of this.devices.values()) {
+                instance.timers.dispose();
+                for (const executor of instance.activeChains) {
+                    executor.abort();
+                }
                 try {
                     await instance.plugin.onDestroy(instance.ctx);
                 } catch (e) {
                     this.log.error(`Error destroying device "${instance.deviceId}": ${e}`);
                 }
+                try {
+                    await instance.storage.flush();
+                } catch (e) {
+                    this.log.error(`Error saving storage of device "${instance.deviceId}": ${e}`);
+                }
             }
             this.devices.clear();
             this.stateSubscribers.clear();
@@ -133,6 +176,12 @@ class VirtualDevicesAdapter extends utils.Adapter {
             await this._handleOutputStateChange(id, state);
         }
 
+        // Acknowledged `enabled` outputs switch the health status between running and disabled
+        if (id.startsWith(this.namespace + '.') && state.ack && id.endsWith('.enabled')) {
+            const instance = this.devices.get(id.slice(this.namespace.length + 1, -'.enabled'.length));
+            if (instance) await instance.health.setEnabled(state.val !== false);
+        }
+
         // 2. Route state changes to active chain executors
         for (const instance of this.devices.values()) {
             for (const executor of instance.activeChains) {
@@ -147,20 +196,47 @@ class VirtualDevicesAdapter extends utils.Adapter {
             for (const instance of subscribers) {
                 const inputId = instance.reverseInputMap.get(fullId);
                 if (inputId) {
+                    await instance.health.inputUpdated(inputId, state.ts);
                     try {
                         await instance.plugin.onInputChange(instance.ctx, inputId, state);
+                        await instance.health.pluginSucceeded('onInputChange');
                     } catch (e) {
                         this.log.error(`Plugin error on input change (device=${instance.deviceId}, input=${inputId}): ${e}`);
+                        await instance.health.pluginFailed('onInputChange', e);
                     }
                 }
             }
         }
     }
 
+    /**
+     * Track mapped input objects: a deleted input makes the device
+     * misconfigured until the object exists again.
+     *
+     * @param {string} id
+     * @param {ioBroker.Object | null | undefined} obj
+     * @returns {Promise<void>}
+     */
+    async _onObjectChange(id, obj) {
+        for (const instance of this.stateSubscribers.get(id) || []) {
+            const inputId = instance.reverseInputMap.get(id);
+            if (!inputId || instance.inputMap[inputId] !== id) continue;
+            if (!obj) {
+                this.log.warn(`Device "${instance.deviceId}": input "${inputId}" object ${id} was deleted`);
+            }
+            await this._checkInput(instance, inputId, id);
+        }
+    }
+
     /**
      * Handle writes to output states (e.g., user toggling `enabled`).
      * This is for states within our own namespace written without ack.
      *
+     * The write is routed through the plugin's `onOutputWrite` hook, which
+     * decides whether the value is acknowledged (optionally transformed),
+     * rejected (reverted to the previous value) or already handled.  Plugins
+     * without the hook get the value acknowledged as-is.
+     *
      * @param {string} id
      * @param {ioBroker.State} state
      * @returns {Promise<void>}
@@ -171,32 +247,66 @@ class VirtualDevicesAdapter extends utils.Adapter {
         if (parts.length < 2) return;
 
         const deviceId = parts[0];
-        const stateId = parts[1];
+        const stateId = parts.slice(1).join('.');
         const instance = this.devices.get(deviceId);
         if (!instance) return;
 
         const outputDef = instance.plugin.outputStates.find((o) => o.id === stateId);
         if (!outputDef?.write) return;
 
-        // Acknowledge the state
-        await this.setStateAsync(id, state.val, true);
+        await this._routeOutputWrite(instance, stateId, state);
+    }
 
-        // Special handling per plugin logic
-        // For the dehumidifier: when enabled is set to true, reset tankFull
-        if (stateId === 'enabled' && state.val === true) {
-            const tankFullState = await this.getStateAsync(`${this.namespace}.${deviceId}.tankFull`);
-            if (tankFullState?.val === true) {
-                await this.setStateAsync(`${this.namespace}.${deviceId}.tankFull`, false, true);
-                this.log.info(`Device "${deviceId}": tank-full alarm reset by re-enabling`);
+    /**
+     * Pass a write to a writable output through the plugin and apply the
+     * outcome.
+     *
+     * @param {DeviceInstance} instance
+     * @param {string} stateId
+     * @param {ioBroker.State} state - The written (unacknowledged) state.
+     * @returns {Promise<{ action: 'ack'|'reject'|'handled', value?: any }>} `value` is the acknowledged
+     *          value, or the restored one after a rejection.
+     */
+    async _routeOutputWrite(instance, stateId, state) {
+        const deviceId = instance.deviceId;
+
+        /** @type {import('./plugin-interface').OutputWriteResult|void} */
+        let result;
+        if (typeof instance.plugin.onOutputWrite === 'function') {
+            try {
+                result = await instance.plugin.onOutputWrite(instance.ctx, stateId, state.val, state);
+                await instance.health.pluginSucceeded('onOutputWrite');
+            } catch (e) {
+                this.log.error(`Plugin error on output write (device=${deviceId}, output=${stateId}): ${e}`);
+                await instance.health.pluginFailed('onOutputWrite', e);
+                result = { action: 'reject' };
             }
         }
+
+        const action = result?.action || 'ack';
+        if (action === 'handled') return { action };
+
+        if (action === 'reject') {
+            const previous = instance.outputValues.has(stateId) ? instance.outputValues.get(stateId) : null;
+            this.log.debug(`Device "${deviceId}": write to ${stateId} rejected — reverting to ${previous}`);
+            await instance.ctx.setOutputState(stateId, previous, true);
+            return { action, value: previous };
+        }
+
+        const value = result && 'value' in result ? result.value : state.val;
+        await instance.ctx.setOutputState(stateId, value, true);
+        return { action, value };
     }
 
     // ======================================================================
-    // Internal messages
+    // Messages
     // ======================================================================
 
     /**
+     * Internal messages from the Device Manager (deviceAdded, deviceUpdated,
+     * deviceDeleted, runChain) and the public API for scripts and other
+     * adapters (see `_onApiMessage`).
+     *
      * @param {ioBroker.Message} msg
      * @returns {Promise<void>}
      */
@@ -206,6 +316,9 @@ class VirtualDevicesAdapter extends utils.Adapter {
         // dm-utils handles all dm:* messages — do NOT intercept them
         if (msg.command.startsWith('dm:')) return;
 
+        /** @type {Record<string, any>} */
+        let response = { result: 'ok' };
+
         switch (msg.command) {
             case 'deviceAdded': {
                 const { deviceId } = msg.message;
@@ -227,13 +340,284 @@ class VirtualDevicesAdapter extends utils.Adapter {
                 break;
             }
             default:
-                // dm-utils handles its own messages; we only care about ours
+                response = (await this._onApiMessage(msg)) || response;
                 break;
         }
 
         // Always respond to prevent timeouts
         if (msg.callback) {
-            this.sendTo(msg.from, msg.command, { result: 'ok' }, msg.callback);
+            this.sendTo(msg.from, msg.command, response, msg.callback);
+        }
+    }
+
+    /**
+     * Public message API.  Every command answers `{ result: 'ok', … }` or
+     * `{ error, errors? }` (`errors` lists the problems of an invalid device
+     * config).
+     *
+     * @param {ioBroker.Message} msg
+     * @returns {Promise<Record<string, any>|null>} `null` for unknown commands.
+     */
+    async _onApiMessage(msg) {
+        /** @type {Record<string, any>} */
+        const message = msg.message && typeof msg.message === 'object' ? msg.message : {};
+        if (['getDevice', 'setOutput', 'runChain', 'enable', 'disable', 'deleteDevice'].includes(msg.command) &&
+            (typeof message.deviceId !== 'string' || !message.deviceId)) {
+            return { error: 'deviceId is required' };
+        }
+
+        try {
+            switch (msg.command) {
+                case 'listDevices':
+                    return { result: 'ok', devices: await this._listDeviceSummaries() };
+                case 'getDevice':
+                    return await this._getDeviceDetails(message.deviceId);
+                case 'setOutput':
+                    return await this._setDeviceOutput(message.deviceId, message.outputId, message.value, msg.from);
+                case 'runChain':
+                    if (typeof message.slotId !== 'string' || !message.slotId) {
+                        return { error: 'slotId is required' };
+                    }
+                    this.log.info(`Starting chain "${message.slotId}" of device ${message.deviceId} manually`);
+                    return await this._runDeviceChain(message.deviceId, message.slotId);
+                case 'enable':
+                case 'disable':
+                    return await this._setDeviceOutput(message.deviceId, 'enabled', msg.command === 'enable', msg.from);
+                case 'createDevice':
+                    return await this._createDevice(message);
+                case 'deleteDevice':
+                    return await this._deleteDevice(message.deviceId);
+                default:
+                    // dm-utils handles its own messages; we only care about ours
+                    return null;
+            }
+        } catch (e) {
+            this.log.error(`Message "${msg.command}" failed: ${e}`);
+            return { error: String(e?.message || e) };
+        }
+    }
+
+    /**
+     * @returns {Promise<object[]>} One entry per stored device.
+     */
+    async _listDeviceSummaries() {
+        const objs = await this.getObjectViewAsync('system', 'device', {
+            startkey: `${this.namespace}.`,
+            endkey: `${this.namespace}.\u9999`,
+        });
+
+        const devices = [];
+        for (const row of objs?.rows || []) {
+            /** @type {import('./plugin-interface').StoredDeviceConfig|undefined} */
+            const native = row.value?.native;
+            if (!native?.pluginId) continue;
+
+            const deviceId = row.id.replace(`${this.namespace}.`, '');
+            const enabled = getPlugin(native.pluginId)?.outputStates.some((o) => o.id === 'enabled')
+                ? (await this.getStateAsync(`${deviceId}.enabled`))?.val ?? null
+                : null;
+            devices.push({
+                deviceId,
+                pluginId: native.pluginId,
+                deviceName: native.deviceName,
+                room: native.room || '',
+                running: this.devices.has(deviceId),
+                enabled,
+                status: (await readHealth(this, deviceId)).status,
+            });
+        }
+        return devices;
+    }
+
+    /**
+     * @param {string} deviceId
+     * @returns {Promise<Record<string, any>>} The stored config, run status and output values.
+     */
+    async _getDeviceDetails(deviceId) {
+        const obj = await this.getObjectAsync(deviceId);
+        if (obj?.type !== 'device' || !obj.native?.pluginId) {
+            return { error: `Device "${deviceId}" not found` };
+        }
+
+        /** @type {import('./plugin-interface').StoredDeviceConfig} */
+        const native = obj.native;
+        /** @type {Record<string, any>} */
+        const outputs = {};
+        for (const out of getPlugin(native.pluginId)?.outputStates || []) {
+            outputs[out.id] = (await this.getStateAsync(`${deviceId}.${out.id}`))?.val ?? null;
+        }
+
+        return {
+            result: 'ok',
+            device: {
+                deviceId,
+                ...native,
+                running: this.devices.has(deviceId),
+                health: await readHealth(this, deviceId),
+                outputs,
+            },
+        };
+    }
+
+    /**
+     * Write a writable output of a running device the way a user would: the
+     * plugin's `onOutputWrite` decides about the value.
+     *
+     * @param {string} deviceId
+     * @param {any} outputId
+     * @param {any} value
+     * @param {string} from - Sender of the message.
+     * @returns {Promise<Record<string, any>>}
+     */
+    async _setDeviceOutput(deviceId, outputId, value, from) {
+        if (value === undefined) {
+            return { error: 'value is required' };
+        }
+        const instance = this.devices.get(deviceId);
+        if (!instance) {
+            return { error: `Device "${deviceId}" is not running` };
+        }
+        const outputDef = instance.plugin.outputStates.find((o) => o.id === outputId);
+        if (!outputDef) {
+            return outputId === 'enabled'
+                ? { error: `Device "${deviceId}" cannot be enabled or disabled` }
+                : { error: `Unknown output "${outputId}"` };
+        }
+        if (!outputDef.write) {
+            return { error: `Output "${outputId}" is read-only` };
+        }
+
+        const problem = checkValueType(value, outputDef.type);
+        if (problem) {
+            return { error: `Output "${outputId}": ${problem}` };
+        }
+        const converted = coerceValue(value, outputDef.type);
+        if (typeof converted === 'number' &&
+            ((typeof outputDef.min === 'number' && converted < outputDef.min) ||
+            (typeof outputDef.max === 'number' && converted > outputDef.max))) {
+            return { error: `Output "${outputId}": ${converted} is outside ${outputDef.min ?? '-∞'}..${outputDef.max ?? '∞'}` };
+        }
+
+        const now = Date.now();
+        const outcome = await this._routeOutputWrite(instance, outputDef.id, {
+            val: converted, ack: false, ts: now, lc: now, from: from || `system.adapter.${this.namespace}`,
+        });
+        if (outcome.action === 'reject') {
+            return { error: `Write to "${outputId}" was rejected by the plugin`, ...outcome };
+        }
+        return { result: 'ok', ...outcome };
+    }
+
+    /**
+     * Create and start a device from a complete `StoredDeviceConfig`
+     * (`deviceId` is optional). The config is checked like a form save,
+     * including the mapped objects and the chains.
+     *
+     * @param {Record<string, any>} message
+     * @returns {Promise<Record<string, any>>}
+     */
+    async _createDevice(message) {
+        const { deviceId: requestedId, ...native } = message;
+        const plugin = typeof native.pluginId === 'string' ? getPlugin(native.pluginId) : undefined;
+        if (!plugin) {
+            return { error: `Unknown plugin "${native.pluginId}"` };
+        }
+
+        const errors = validateDeviceConfig(plugin, native);
+        if (requestedId !== undefined) {
+            const idError = checkDeviceId(requestedId);
+            if (idError) {
+                errors.unshift(idError);
+            } else if (await this.getObjectAsync(requestedId)) {
+                errors.unshift(`deviceId: "${requestedId}" already exists`);
+            }
+        }
+        if (!errors.length) {
+            errors.push(...await checkDeviceObjects(this, plugin, native,
+                async (id) => (await this.chainLibrary.get(id))?.steps || null));
+        }
+        if (errors.length) {
+            return { error: 'Invalid device config', errors };
+        }
+
+        const deviceId = requestedId || newDeviceId(plugin.id);
+        await createDeviceObject(this, deviceId, normalizeDeviceConfig(plugin, native));
+        this.log.info(`Device added: ${deviceId}`);
+        await this._startDevice(deviceId);
+        return { result: 'ok', deviceId };
+    }
+
+    /**
+     * Stop a device and remove its objects and states.
+     *
+     * @param {string} deviceId
+     * @returns {Promise<Record<string, any>>}
+     */
+    async _deleteDevice(deviceId) {
+        const obj = await this.getObjectAsync(deviceId);
+        if (obj?.type !== 'device') {
+            return { error: `Device "${deviceId}" not found` };
+        }
+        await this._stopDevice(deviceId);
+        await deleteDeviceObjects(this, deviceId);
+        this.log.info(`Device deleted: ${deviceId}`);
+        return { result: 'ok' };
+    }
+
+    /**
+     * Start a configured chain of a running device outside of the plugin
+     * logic (manual test from the Device Manager).  The call returns as soon
+     * as the chain has started; the run is recorded in the slot's history
+     * (`chains.<slot>.lastRun`) like any other.
+     *
+     * @param {string} deviceId
+     * @param {string} slotId
+     * @returns {Promise<{ result: 'ok', started: true }|{ error: string }>}
+     */
+    async _runDeviceChain(deviceId, slotId) {
+        const instance = this.devices.get(deviceId);
+        if (!instance) {
+            return { error: `Device "${deviceId}" is not running` };
+        }
+        const chain = instance.ctx.chains[slotId];
+        if (!Array.isArray(chain) || chain.length === 0) {
+            return { error: `Chain "${slotId}" is not configured` };
+        }
+
+        instance.ctx.executeChain(chain, { slot: slotId }).promise.catch((e) => {
+            this.log.warn(`Manual run of chain "${slotId}" (device=${deviceId}) failed: ${e}`);
+        });
+        return { result: 'ok', started: true };
+    }
+
+    // ======================================================================
+    // Plugins
+    // ======================================================================
+
+    /**
+     * Load third-party plugins from the configured plugin directory and from
+     * installed `iobroker.virtual-devices-plugin-*` packages.  Failures are
+     * logged per plugin and never stop the adapter.
+     *
+     * @returns {Promise<void>}
+     */
+    async _loadExternalPlugins() {
+        let directory = String(this.config.pluginDirectory || '').trim();
+        if (directory && !path.isAbsolute(directory)) {
+            directory = path.join(utils.getAbsoluteInstanceDataDir(this), directory);
+        }
+
+        const results = await loadExternalPlugins({
+            directory: directory || undefined,
+            npm: this.config.loadNpmPlugins !== false,
+        });
+
+        for (const result of results) {
+            if (result.error) {
+                this.log.error(`External plugin ${result.id ? `"${result.id}" ` : ''}from ${result.source} not loaded: ${result.error}`);
+            } else {
+                this.log.info(`External plugin "${result.id}" loaded from ${result.source}`);
+            }
         }
     }
 
@@ -279,7 +663,7 @@ class VirtualDevicesAdapter extends utils.Adapter {
         }
 
         /** @type {import('./plugin-interface').StoredDeviceConfig} */
-        const native = obj.native;
+        let native = obj.native;
         if (!native?.pluginId) {
             this.log.warn(`Device "${deviceId}" has no pluginId`);
             return;
@@ -288,14 +672,47 @@ class VirtualDevicesAdapter extends utils.Adapter {
         const plugin = getPlugin(native.pluginId);
         if (!plugin) {
             this.log.error(`Plugin "${native.pluginId}" not found for device "${deviceId}"`);
+            const health = new DeviceHealth(this, deviceId);
+            await health.init();
+            await health.setConfigProblems([`pluginId: plugin "${native.pluginId}" is not installed`]);
             return;
         }
 
+        // Upgrade a config saved by an older plugin version
+        try {
+            const migration = migrateDeviceConfig(plugin, native);
+            if (migration.native !== native) {
+                await this.setObjectAsync(deviceId, { ...obj, native: migration.native });
+                native = migration.native;
+                this.log.info(`Device "${deviceId}": config migrated from version ${migration.from} to ${migration.to}`
+                    + (migration.changes.length ? ` (${migration.changes.join('; ')})` : ' (no changes)'));
+            }
+        } catch (e) {
+            this.log.error(`Config migration failed for device "${deviceId}", starting with the stored config: ${e.message || e}`);
+        }
+
+        // Leftovers of older adapter versions are not a misconfiguration
+        const repair = repairStoredConfig(plugin, native);
+        if (repair.changes.length > 0) {
+            native = repair.native;
+            this.log.debug(`Device "${deviceId}": stored config tidied (${repair.changes.join('; ')})`);
+        }
+
         // Ensure output state objects exist
         await this._ensureOutputStates(deviceId, plugin);
 
+        // Load persisted plugin runtime data
+        const storage = new DeviceStorage(this, `${deviceId}.storage`);
+        await storage.load();
+
+        const timers = new DeviceTimers(this.log, deviceId);
+
+        const health = new DeviceHealth(this, deviceId);
+        await health.init();
+        await health.setConfigProblems(validateDeviceConfig(plugin, native));
+
         // Build plugin context
-        const ctx = this._buildContext(deviceId, native, plugin);
+        const ctx = this._buildContext(deviceId, native, plugin, storage, timers);
 
         // Build input maps
         const reverseInputMap = new Map();
@@ -313,14 +730,28 @@ class VirtualDevicesAdapter extends utils.Adapter {
             inputMap: native.inputs,
             reverseInputMap,
             activeChains: new Set(),
+            outputValues: new Map(),
+            storage,
+            timers,
+            health,
+            chainTraces: await this._loadChainTraces(deviceId, plugin),
         };
 
         this.devices.set(deviceId, instance);
 
-        // Subscribe to all mapped foreign input states
+        // Remember current output values so rejected writes can be reverted
+        for (const out of plugin.outputStates) {
+            const state = await this.getStateAsync(`${deviceId}.${out.id}`);
+            if (state && state.ack) {
+                instance.outputValues.set(out.id, state.val);
+            }
+        }
+
+        // Subscribe to all mapped foreign input states (and their objects, to notice deletions)
         for (const objectId of Object.values(native.inputs)) {
             if (!objectId) continue;
             await this.subscribeForeignStatesAsync(objectId);
+            await this.subscribeForeignObjectsAsync(objectId);
 
             const existing = this.stateSubscribers.get(objectId) || [];
             existing.push(instance);
@@ -341,11 +772,39 @@ class VirtualDevicesAdapter extends utils.Adapter {
             }
         }
 
+        // Mapped inputs that are deleted or have no value yet
+        for (const [inputId, objectId] of Object.entries(native.inputs)) {
+            if (objectId) await this._checkInput(instance, inputId, objectId);
+        }
+
         // Initialise the plugin
         try {
             await plugin.onInit(ctx);
         } catch (e) {
             this.log.error(`Plugin init failed for device "${deviceId}": ${e}`);
+            await health.pluginFailed('onInit', e);
+        }
+        if (plugin.outputStates.some((o) => o.id === 'enabled')) {
+            await health.setEnabled((await this.getStateAsync(`${deviceId}.enabled`))?.val !== false);
+        }
+
+        // Schedule the periodic callback (a run still in progress is not overlapped)
+        const intervalMs = Number(plugin.intervalMs);
+        if (typeof plugin.onInterval === 'function' && intervalMs > 0) {
+            let running = false;
+            timers.setInterval(async () => {
+                if (running) return;
+                running = true;
+                try {
+                    await plugin.onInterval(ctx);
+                    await health.pluginSucceeded('onInterval');
+                } catch (e) {
+                    this.log.error(`Plugin error on interval (device=${deviceId}): ${e}`);
+                    await health.pluginFailed('onInterval', e);
+                } finally {
+                    running = false;
+                }
+            }, intervalMs);
         }
     }
 
@@ -359,6 +818,9 @@ class VirtualDevicesAdapter extends utils.Adapter {
         const instance = this.devices.get(deviceId);
         if (!instance) return;
 
+        // Cancel all timers first so nothing fires while the plugin is destroyed
+        instance.timers.dispose();
+
         // Abort all active chain executions
         for (const executor of instance.activeChains) {
             executor.abort();
@@ -371,6 +833,13 @@ class VirtualDevicesAdapter extends utils.Adapter {
             this.log.error(`Plugin destroy failed for device "${deviceId}": ${e}`);
         }
 
+        // Persist pending storage changes (the device may be restarted right away)
+        try {
+            await instance.storage.flush();
+        } catch (e) {
+            this.log.error(`Saving storage failed for device "${deviceId}": ${e}`);
+        }
+
         // Remove from subscriber index
         for (const objectId of Object.values(instance.inputMap)) {
             if (!objectId) continue;
@@ -379,7 +848,10 @@ class VirtualDevicesAdapter extends utils.Adapter {
                 const filtered = subs.filter((s) => s.deviceId !== deviceId);
                 if (filtered.length === 0) {
                     this.stateSubscribers.delete(objectId);
-                    await this.unsubscribeForeignStatesAsync(objectId);
+                    if (!this.waitSubscriptions.has(objectId)) {
+                        await this.unsubscribeForeignStatesAsync(objectId);
+                    }
+                    await this.unsubscribeForeignObjectsAsync(objectId);
                 } else {
                     this.stateSubscribers.set(objectId, filtered);
                 }
@@ -424,6 +896,128 @@ class VirtualDevicesAdapter extends utils.Adapter {
                 native: {},
             });
         }
+
+        // Run history per action chain slot
+        const slots = Object.entries(plugin.actionChainSlots || {});
+        if (slots.length === 0) return;
+
+        await this.setObjectNotExistsAsync(`${deviceId}.chains`, {
+            type: 'channel',
+            common: { name: 'Action chains' },
+            native: {},
+        });
+        for (const [slotId, slot] of slots) {
+            await this.setObjectNotExistsAsync(`${deviceId}.chains.${slotId}`, {
+                type: 'channel',
+                common: { name: slot.name },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync(`${deviceId}.chains.${slotId}.lastRun`, {
+                type: 'state',
+                common: {
+                    name: 'Last runs (newest first)',
+                    type: 'json',
+                    role: 'json',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Subscribe to the object of a chain state wait.  Subscriptions are
+     * counted, so concurrent waits on one object and device inputs keep each
+     * other's subscription.
+     *
+     * @param {string} objectId
+     * @returns {Promise<() => Promise<void>>} Releases this wait's subscription.
+     */
+    async _subscribeWaitState(objectId) {
+        const count = this.waitSubscriptions.get(objectId) || 0;
+        this.waitSubscriptions.set(objectId, count + 1);
+        if (count === 0 && !this.stateSubscribers.has(objectId)) {
+            await this.subscribeForeignStatesAsync(objectId);
+        }
+
+        let released = false;
+        return async () => {
+            if (released) return;
+            released = true;
+            const left = (this.waitSubscriptions.get(objectId) || 1) - 1;
+            if (left > 0) {
+                this.waitSubscriptions.set(objectId, left);
+                return;
+            }
+            this.waitSubscriptions.delete(objectId);
+            if (!this.stateSubscribers.has(objectId)) {
+                await this.unsubscribeForeignStatesAsync(objectId);
+            }
+        };
+    }
+
+    /**
+     * Report a mapped input to the device health: deleted, never updated or
+     * present with a value.
+     *
+     * @param {DeviceInstance} instance
+     * @param {string} inputId
+     * @param {string} objectId
+     * @returns {Promise<void>}
+     */
+    async _checkInput(instance, inputId, objectId) {
+        if (!await this.getForeignObjectAsync(objectId)) {
+            await instance.health.inputMissing(inputId, objectId, 'deleted');
+            return;
+        }
+        const state = await this.getForeignStateAsync(objectId);
+        if (state?.val === null || state?.val === undefined) {
+            await instance.health.inputMissing(inputId, objectId, 'never updated');
+            return;
+        }
+        await instance.health.inputPresent(inputId);
+        await instance.health.inputUpdated(inputId, state.ts);
+    }
+
+    /**
+     * Read the persisted run history of all chain slots of a device.
+     *
+     * @param {string} deviceId
+     * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+     * @returns {Promise<Map<string, import('./action-chain').ChainTrace[]>>}
+     */
+    async _loadChainTraces(deviceId, plugin) {
+        const traces = new Map();
+        for (const slotId of Object.keys(plugin.actionChainSlots || {})) {
+            const state = await this.getStateAsync(`${deviceId}.chains.${slotId}.lastRun`);
+            if (typeof state?.val !== 'string' || !state.val) continue;
+            try {
+                const history = JSON.parse(state.val);
+                if (Array.isArray(history)) traces.set(slotId, history);
+            } catch {
+                this.log.debug(`Device "${deviceId}": discarding invalid run history of chain "${slotId}"`);
+            }
+        }
+        return traces;
+    }
+
+    /**
+     * Add a finished run to the history of a chain slot and publish it.
+     *
+     * @param {DeviceInstance} instance
+     * @param {string} slotId
+     * @param {import('./action-chain').ChainTrace} trace
+     * @returns {Promise<void>}
+     */
+    async _recordChainTrace(instance, slotId, trace) {
+        const history = [trace, ...(instance.chainTraces.get(slotId) || [])].slice(0, CHAIN_TRACE_HISTORY);
+        instance.chainTraces.set(slotId, history);
+        try {
+            await this.setStateAsync(`${instance.deviceId}.chains.${slotId}.lastRun`, JSON.stringify(history), true);
+        } catch (e) {
+            this.log.warn(`Cannot write run history of chain "${slotId}" (device=${instance.deviceId}): ${e}`);
+        }
     }
 
     /**
@@ -432,9 +1026,11 @@ class VirtualDevicesAdapter extends utils.Adapter {
      * @param {string} deviceId
      * @param {import('./plugin-interface').StoredDeviceConfig} native
      * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+     * @param {DeviceStorage} storage
+     * @param {DeviceTimers} timers
      * @returns {import('./plugin-interface').PluginContext}
      */
-    _buildContext(deviceId, native, plugin) {
+    _buildContext(deviceId, native, plugin, storage, timers) {
         const adapter = this;
         /** @type {Record<string, any>} */
         const mergedConfig = {
@@ -446,6 +1042,31 @@ class VirtualDevicesAdapter extends utils.Adapter {
         /** @type {Record<string, string>} */
         const dynamicInputs = {};
 
+        // Start policies of the device's chain runs
+        const scheduler = new ChainScheduler();
+
+        /**
+         * Template variables of chain values: `config.<key>`, `out.<outputId>`, `in.<inputSlot>`.
+         *
+         * @param {string} path
+         * @returns {Promise<any>}
+         */
+        const resolveVariable = async (path) => {
+            const [scope, ...rest] = path.split('.');
+            const name = rest.join('.');
+            if (scope === 'config' && Object.prototype.hasOwnProperty.call(mergedConfig, name)) {
+                return mergedConfig[name];
+            }
+            if (scope === 'out' && plugin.outputStates.some((o) => o.id === name)) {
+                return (await adapter.getStateAsync(`${deviceId}.${name}`))?.val ?? null;
+            }
+            if (scope === 'in') {
+                const objectId = native.inputs[name] || dynamicInputs[name];
+                if (objectId) return (await adapter.getForeignStateAsync(objectId))?.val ?? null;
+            }
+            throw new Error(`Unknown variable "${path}"`);
+        };
+
         // Add dynamic subscriptions from plugin (conditions table etc.)
         if (typeof plugin.getDynamicSubscriptions === 'function') {
             const dynSubs = plugin.getDynamicSubscriptions(native.config || {});
@@ -461,6 +1082,7 @@ class VirtualDevicesAdapter extends utils.Adapter {
             config: mergedConfig,
             inputs: native.inputs,
             chains: native.chains || {},
+            storage,
 
             async getInputState(inputId) {
                 // Check static inputs first, then dynamic
@@ -472,6 +1094,9 @@ class VirtualDevicesAdapter extends utils.Adapter {
 
             async setOutputState(outputId, value, ack = true) {
                 await adapter.setStateAsync(`${deviceId}.${outputId}`, value, ack);
+                if (ack) {
+                    adapter.devices.get(deviceId)?.outputValues.set(outputId, value);
+                }
             },
 
             async getOutputState(outputId) {
@@ -479,36 +1104,54 @@ class VirtualDevicesAdapter extends utils.Adapter {
                 return state ?? null;
             },
 
-            async executeChain(chain) {
-                const executor = new ActionChainExecutor();
-                // Find the device instance to track active chains
+            executeChain(chain, options = {}) {
+                // The slot the run is recorded under: given, or the configured chain passed in
+                const slotId = options.slot ||
+                    Object.keys(native.chains || {}).find((id) => native.chains[id] === chain);
                 const inst = adapter.devices.get(deviceId);
-                if (inst) {
-                    inst.activeChains.add(executor);
-                }
 
-                // Subscribe to states referenced in chain wait conditions
-                const stateWaitIds = new Set();
-                for (const step of chain) {
-                    if (step.waitBefore?.type === 'state' && step.waitBefore.objectId) {
-                        stateWaitIds.add(step.waitBefore.objectId);
-                    }
-                }
-                for (const oid of stateWaitIds) {
-                    await adapter.subscribeForeignStatesAsync(oid);
-                }
+                // Compensating chains (onError: runChain:<slotId>) are the device's other slots
+                const resolveChain = (slotId) => native.chains?.[slotId] || null;
+                // Include steps are looked up when they run, so library edits apply immediately
+                const resolveInclude = async (id) => (await adapter.chainLibrary.get(id))?.steps || null;
 
-                try {
-                    await executor.execute(/** @type {any} */ (adapter), chain, adapter.log);
-                } finally {
-                    if (inst) {
-                        inst.activeChains.delete(executor);
+                const handle = scheduler.schedule(async (executor) => {
+                    try {
+                        await executor.execute(/** @type {any} */ (adapter), chain, adapter.log, {
+                            resolveChain,
+                            resolveInclude,
+                            resolveVariable,
+                            subscribeState: (objectId) => adapter._subscribeWaitState(objectId),
+                        });
+                    } finally {
+                        if (inst && slotId && executor.trace) {
+                            await adapter._recordChainTrace(inst, slotId, executor.trace);
+                        }
                     }
+                }, options);
+
+                if (handle.dropped) {
+                    adapter.log.debug(`Device "${deviceId}": chain ${slotId || ''} dropped, "${options.key || 'default'}" is busy`);
+                    return handle;
                 }
 
-                return executor;
+                // Track the run (queued ones too) so it is aborted when the device stops
+                if (inst) {
+                    inst.activeChains.add(handle.executor);
+                }
+                handle.promise.then(() => {
+                    inst?.activeChains.delete(handle.executor);
+                }, (e) => {
+                    inst?.activeChains.delete(handle.executor);
+                    adapter.log.debug(`Device "${deviceId}": chain ${slotId || ''} ended: ${e.message}`);
+                });
+                return handle;
             },
 
+            setTimeout: (callback, ms) => timers.setTimeout(callback, ms),
+            setInterval: (callback, ms) => timers.setInterval(callback, ms),
+            clearTimer: (handle) => timers.clearTimer(handle),
+
             log: adapter.log,
             adapter: /** @type {any} */ (adapter),
         };
@@ -44,23 +44,32 @@
  * @property {number}                          [max]  - Optional maximum value.
  */
 
+/** @typedef {import('./action-chain').WaitCondition} WaitCondition */
+
 /**
- * @typedef {Object} WaitCondition
- * @property {'delay'|'state'}  type      - Wait type: 'delay' for timed wait, 'state' for state-based wait.
- * @property {number}           [ms]      - Milliseconds to wait (type=delay).
- * @property {string}           [objectId] - Object ID to watch (type=state). Defaults to previous step's objectId.
- * @property {any}              [value]   - Expected value to wait for (type=state).
- * @property {number}           [timeout] - Max wait time in ms for state watch (default 30000).
+ * A chain step: optional wait, optional condition / jumps, write, retry and
+ * error policy.  See `lib/action-chain.js` for the fields.
+ *
+ * @typedef {import('./action-chain').ActionChainStep} ActionChainStep
  */
 
+/** @typedef {ActionChainStep[]} ActionChain */
+
 /**
- * @typedef {Object} ActionChainStep
- * @property {string}          objectId      - ioBroker object ID to write to.
- * @property {any}             value         - Value to write.
- * @property {WaitCondition}   [waitBefore]  - Wait condition BEFORE setting this step's value.
+ * @typedef {Object} PluginStorage
+ * @property {function(string, any=): any}     get    - Read a value (returns the default if the key is not set).
+ * @property {function(string, any): void}     set    - Store a JSON-serialisable value (written debounced).
+ * @property {function(string): void}          delete - Remove a key.
+ * @property {function(): Promise<void>}       flush  - Write pending changes immediately.
  */
 
-/** @typedef {ActionChainStep[]} ActionChain */
+/**
+ * @typedef {Object} ExecuteChainOptions
+ * @property {string} [slot] - Chain slot the run is recorded under (default: the slot whose configured chain is passed).
+ * @property {import('./action-chain').ChainPolicy} [policy] - What to do while another run with the same key is busy
+ *                                                            (default: runs are independent).
+ * @property {string} [key]  - Runs sharing a key are subject to the policy (default 'default').
+ */
 
 /**
  * @typedef {Object} PluginContext
@@ -68,14 +77,25 @@
  * @property {Record<string,any>}              config         - Resolved configuration values (merged with defaults).
  * @property {Record<string,string>}           inputs         - Mapping of inputSlot id → ioBroker object id.
  * @property {Record<string,ActionChainStep[]>} chains        - Stored action chain configs keyed by slot id.
+ * @property {PluginStorage}                   storage        - Key/value data that survives adapter restarts (restore it in `onInit`).
  * @property {function(string): Promise<ioBroker.State|null>}   getInputState  - Read the current value of a mapped input state.
  * @property {function(string, any, boolean=): Promise<void>}   setOutputState - Write a value to one of the device's output states.
  * @property {function(string): Promise<ioBroker.State|null>}   getOutputState - Read the current value of one of the device's output states.
- * @property {function(ActionChain): Promise<import('./action-chain').ActionChainExecutor>} executeChain - Execute an action chain (returns executor for abort).
+ * @property {function(ActionChain, ExecuteChainOptions=): import('./action-chain').ChainHandle} executeChain - Start an action chain; returns at once with a handle (`promise`, `abort()`).
+ * @property {function(function(): any, number): (number|null)}  setTimeout  - Run a callback once after ms (cleared automatically when the device stops).
+ * @property {function(function(): any, number): (number|null)}  setInterval - Run a callback every ms (cleared automatically when the device stops).
+ * @property {function(number|null|undefined): void}             clearTimer  - Cancel a timer returned by setTimeout/setInterval.
  * @property {ioBroker.Logger}                 log            - Logger scoped to this device.
  * @property {ioBroker.Adapter}                adapter        - Direct adapter reference for advanced use-cases.
  */
 
+/**
+ * @typedef {Object} OutputWriteResult
+ * @property {'ack'|'reject'|'handled'} action - `ack` confirms the write, `reject` reverts the state to its
+ *                                               previous value, `handled` means the plugin wrote the state itself.
+ * @property {any}                      [value] - Value to acknowledge instead of the written one (action=ack).
+ */
+
 /**
  * @typedef {Object} JsonConfigItem
  * @property {string} type - JSONConfig item type.
@@ -100,14 +120,26 @@
  * @property {Record<string,ActionChainSlot>}  [actionChainSlots] - Configurable action chain slots (e.g. {on: ..., off: ...}).
  * @property {function(PluginContext): Promise<void>}                         onInit        - Called once on start.
  * @property {function(PluginContext, string, ioBroker.State|null): Promise<void>} onInputChange - Called on input state change.
- * @property {function(PluginContext): Promise<void>}                         [onInterval]  - Optional periodic callback.
+ * @property {function(PluginContext, string, any, ioBroker.State): Promise<OutputWriteResult|void>} [onOutputWrite] - Called on a non-ack write to a writable output state.
+ *                                                                                   Returning nothing acknowledges the written value as-is.
+ * @property {function(PluginContext): Promise<void>}                         [onInterval]  - Optional periodic callback, scheduled by the adapter every `intervalMs`.
+ * @property {number}                                                          [intervalMs]  - Period of `onInterval` in milliseconds.
+ * @property {function(Record<string,any>, Record<string,string>): (string[]|void)} [validateConfig] - Cross-field checks of the settings
+ *                                                                                   (config merged with defaults) and mapped inputs before a device
+ *                                                                                   is saved; returns error messages.
+ * @property {number}                                                          [configVersion] - Version of the stored config format (default 1). Increase it when
+ *                                                                                   settings are renamed or restructured and implement `migrateConfig`.
+ * @property {function(number, StoredDeviceConfig): StoredDeviceConfig}       [migrateConfig] - Upgrades a stored config from the given version to the next one;
+ *                                                                                   called once per version step when a device with an older config starts.
  * @property {function(PluginContext): Promise<void>}                         onDestroy     - Called on stop.
  */
 
 /**
  * @typedef {Object} StoredDeviceConfig
  * @property {string}               pluginId   - Plugin id that owns this device.
+ * @property {number}               [configVersion] - Plugin `configVersion` the config was saved with (missing = 1).
  * @property {string}               deviceName - Human-readable device name.
+ * @property {string}               [room]     - enum.rooms.* id the device is assigned to.
  * @property {Record<string,string>} inputs    - Mapping of input slot id → object id.
  * @property {Record<string,any>}   config     - Plugin-specific configuration values.
  * @property {Record<string,ActionChainStep[]>} [chains] - Action chain configurations keyed by slot id.
@@ -137,6 +169,15 @@ function validatePlugin(plugin) {
     for (const key of requiredFunctions) {
         if (typeof plugin[key] !== 'function') return false;
     }
+    const optionalFunctions = ['onOutputWrite', 'onInterval', 'getDynamicSubscriptions', 'validateConfig', 'migrateConfig'];
+    for (const key of optionalFunctions) {
+        if (plugin[key] !== undefined && typeof plugin[key] !== 'function') return false;
+    }
+    if (plugin.intervalMs !== undefined && !(Number(plugin.intervalMs) > 0)) return false;
+    if (plugin.configVersion !== undefined) {
+        if (!Number.isInteger(plugin.configVersion) || plugin.configVersion < 1) return false;
+        if (plugin.configVersion > 1 && typeof plugin.migrateConfig !== 'function') return false;
+    }
     return true;
 }
 
@@ -3,26 +3,48 @@
 /**
  * Central registry for virtual device plugins.
  *
- * All built-in (and future external) plugins are registered here so the
- * adapter core and the device-management layer can discover them.
+ * All built-in and external plugins are registered here so the adapter core
+ * and the device-management layer can discover them.  External plugins are
+ * loaded from an instance-configured directory and from installed npm
+ * packages named `iobroker.virtual-devices-plugin-*`.
  *
  * @module plugin-registry
  */
 
+const fs = require('fs');
+const path = require('path');
+
+const { validatePlugin } = require('./plugin-interface');
+
+/** npm package name prefix for external plugins (optionally scoped). */
+const NPM_PLUGIN_PREFIX = 'iobroker.virtual-devices-plugin-';
+
+/**
+ * @typedef {Object} PluginLoadResult
+ * @property {string} source - Where the plugin came from (file name in the plugin directory or npm package name).
+ * @property {string} [id]   - Plugin id (if the module could be instantiated).
+ * @property {string} [error] - Why the plugin was not registered.
+ */
+
 /** @type {Map<string, import('./plugin-interface').VirtualDevicePlugin>} */
 const plugins = new Map();
 
+/** @type {Map<string, string>} plugin id → source ('built-in', npm package name or file name) */
+const pluginSources = new Map();
+
 /**
  * Register a plugin.  Throws if a plugin with the same id is already
  * registered.
  *
  * @param {import('./plugin-interface').VirtualDevicePlugin} plugin
+ * @param {string} [source] - Origin of the plugin, shown in the device-management UI.
  */
-function registerPlugin(plugin) {
+function registerPlugin(plugin, source = 'built-in') {
     if (plugins.has(plugin.id)) {
-        throw new Error(`Plugin "${plugin.id}" is already registered`);
+        throw new Error(`Plugin "${plugin.id}" is already registered (by ${pluginSources.get(plugin.id)})`);
     }
     plugins.set(plugin.id, plugin);
+    pluginSources.set(plugin.id, source);
 }
 
 /**
@@ -44,6 +66,17 @@ function getAllPlugins() {
     return Array.from(plugins.values());
 }
 
+/**
+ * Return where a plugin was loaded from: `'built-in'`, an npm package name
+ * or a file name in the plugin directory.
+ *
+ * @param {string} id
+ * @returns {string | undefined}
+ */
+function getPluginSource(id) {
+    return pluginSources.get(id);
+}
+
 /**
  * Load all built-in plugins shipped with the adapter.
  *
@@ -64,9 +97,209 @@ async function loadBuiltInPlugins() {
     registerPlugin(new HomeCinemaPlugin());
 }
 
+/**
+ * Whether a function looks like a plugin class: its prototype has the
+ * lifecycle callbacks `validatePlugin` requires.
+ *
+ * @param {Function} fn
+ * @returns {boolean}
+ */
+function isPluginClass(fn) {
+    const proto = fn.prototype;
+    return !!proto && ['onInit', 'onInputChange', 'onDestroy'].every((key) => typeof proto[key] === 'function');
+}
+
+/**
+ * Turn a module's exports into plugin instances.  Supported shapes: a plugin
+ * object, a plugin class (also as `default` export), or an object whose
+ * values are plugin classes or objects (the `module.exports = { MyPlugin }`
+ * style used by the built-ins).  Other exported functions are not called:
+ * a named export is only constructed if it looks like a plugin class.
+ *
+ * @param {any} exported
+ * @returns {{ plugins: any[], skipped: string[] }} Plugin candidates, and why other exported functions were skipped.
+ */
+function instantiatePlugins(exported) {
+    if (typeof exported === 'function') {
+        return { plugins: [new exported()], skipped: [] };
+    }
+    if (!exported || typeof exported !== 'object') {
+        return { plugins: [], skipped: [] };
+    }
+    if (typeof exported.id === 'string') {
+        return { plugins: [exported], skipped: [] };
+    }
+    const plugins = [];
+    const skipped = [];
+    for (const [name, value] of Object.entries(exported)) {
+        if (typeof value === 'function') {
+            if (name !== 'default' && !isPluginClass(value)) {
+                skipped.push(`Export "${name}" is not a plugin class`);
+                continue;
+            }
+            try {
+                plugins.push(new value());
+            } catch (e) {
+                skipped.push(`Cannot construct export "${name}": ${e}`);
+            }
+        } else if (value && typeof value === 'object' && typeof value.id === 'string') {
+            plugins.push(value);
+        }
+    }
+    return { plugins, skipped };
+}
+
+/**
+ * Require a module, validate and register every plugin it exports.
+ * Never throws — all problems are reported in the returned results.
+ *
+ * @param {string} modulePath - Absolute path passed to `require`.
+ * @param {string} source - Name used in reports.
+ * @returns {PluginLoadResult[]}
+ */
+function loadPluginModule(modulePath, source) {
+    let candidates;
+    try {
+        candidates = instantiatePlugins(require(modulePath));
+    } catch (e) {
+        return [{ source, error: `Cannot load module: ${e}` }];
+    }
+
+    /** @type {PluginLoadResult[]} */
+    const results = candidates.skipped.map((error) => ({ source, error }));
+    if (candidates.plugins.length === 0) {
+        results.push({ source, error: 'Module does not export a plugin' });
+        return results;
+    }
+
+    for (const plugin of candidates.plugins) {
+        const id = typeof plugin?.id === 'string' ? plugin.id : undefined;
+        if (!validatePlugin(plugin)) {
+            results.push({ source, id, error: 'Invalid plugin: missing id, inputSlots, outputStates or lifecycle callbacks' });
+            continue;
+        }
+        try {
+            registerPlugin(plugin, source);
+            results.push({ source, id });
+        } catch (e) {
+            results.push({ source, id, error: e instanceof Error ? e.message : String(e) });
+        }
+    }
+    return results;
+}
+
+/**
+ * List module paths of plugins in a local directory.  Every `.js` file and
+ * every sub-directory (package with `package.json` or `index.js`) counts.
+ * Throws if the directory exists but cannot be read.
+ *
+ * @param {string} directory
+ * @returns {string[]}
+ */
+function findDirectoryPlugins(directory) {
+    if (!fs.existsSync(directory)) return [];
+
+    const modules = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isFile() && entry.name.endsWith('.js')) {
+            modules.push(fullPath);
+        } else if (entry.isDirectory()) {
+            if (fs.existsSync(path.join(fullPath, 'package.json')) || fs.existsSync(path.join(fullPath, 'index.js'))) {
+                modules.push(fullPath);
+            }
+        }
+    }
+    return modules.sort();
+}
+
+/**
+ * Find installed npm packages following the plugin naming convention
+ * (`iobroker.virtual-devices-plugin-*`, also inside `@scope/` folders).
+ *
+ * @param {string[]} searchPaths - `node_modules` directories to scan.
+ * @returns {{ name: string, path: string }[]}
+ */
+function findNpmPlugins(searchPaths) {
+    /** @type {Map<string, string>} package name → path (first match wins, like require) */
+    const found = new Map();
+
+    for (const nodeModules of searchPaths) {
+        if (!fs.existsSync(nodeModules)) continue;
+
+        let entries;
+        try {
+            entries = fs.readdirSync(nodeModules);
+        } catch {
+            continue;
+        }
+
+        for (const entry of entries) {
+            if (entry.startsWith('@')) {
+                let scoped;
+                try {
+                    scoped = fs.readdirSync(path.join(nodeModules, entry));
+                } catch {
+                    continue;
+                }
+                for (const name of scoped) {
+                    const fullName = `${entry}/${name}`;
+                    if (name.startsWith(NPM_PLUGIN_PREFIX) && !found.has(fullName)) {
+                        found.set(fullName, path.join(nodeModules, entry, name));
+                    }
+                }
+            } else if (entry.startsWith(NPM_PLUGIN_PREFIX) && !found.has(entry)) {
+                found.set(entry, path.join(nodeModules, entry));
+            }
+        }
+    }
+
+    return Array.from(found, ([name, p]) => ({ name, path: p }));
+}
+
+/**
+ * Discover and register external plugins.  Load errors and id collisions are
+ * reported per plugin; they never abort loading the remaining plugins.
+ *
+ * @param {Object}   [options]
+ * @param {string}   [options.directory]   - Absolute path of a local plugin directory.
+ * @param {boolean}  [options.npm=true]    - Scan `node_modules` for plugin packages.
+ * @param {string[]} [options.searchPaths] - `node_modules` directories to scan (default: Node's lookup paths).
+ * @returns {Promise<PluginLoadResult[]>}
+ */
+async function loadExternalPlugins(options = {}) {
+    /** @type {PluginLoadResult[]} */
+    const results = [];
+
+    if (options.directory) {
+        let modulePaths = [];
+        try {
+            modulePaths = findDirectoryPlugins(options.directory);
+        } catch (e) {
+            results.push({ source: options.directory, error: `Cannot read plugin directory: ${e}` });
+        }
+        for (const modulePath of modulePaths) {
+            results.push(...loadPluginModule(modulePath, path.basename(modulePath)));
+        }
+    }
+
+    if (options.npm !== false) {
+        const searchPaths = options.searchPaths || module.paths;
+        for (const pkg of findNpmPlugins(searchPaths)) {
+            results.push(...loadPluginModule(pkg.path, pkg.name));
+        }
+    }
+
+    return results;
+}
+
 module.exports = {
+    NPM_PLUGIN_PREFIX,
     registerPlugin,
     getPlugin,
     getAllPlugins,
+    getPluginSource,
     loadBuiltInPlugins,
+    loadExternalPlugins,
 };
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Local sunrise/sunset calculation.
+ *
+ * Plugins that need sun times (e.g. "only after sunset") calculate them from
+ * the system latitude/longitude instead of depending on another adapter or a
+ * network service.  The formulas are the usual low-precision astronomical
+ * approximations (accurate to about a minute outside the polar regions).
+ *
+ * @module sun-times
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+
+/** Sun altitude at sunrise/sunset (refraction and solar disc radius). */
+const HORIZON = -0.833 * RAD;
+
+/** Earth's obliquity. */
+const OBLIQUITY = 23.4397 * RAD;
+
+/**
+ * @typedef {Object} SunTimes
+ * @property {Date|null} sunrise - `null` during polar day or polar night.
+ * @property {Date|null} sunset  - `null` during polar day or polar night.
+ */
+
+/**
+ * @param {number} days - Days since J2000.
+ * @returns {number} Solar mean anomaly in radians.
+ */
+function solarMeanAnomaly(days) {
+    return RAD * (357.5291 + 0.98560028 * days);
+}
+
+/**
+ * @param {number} m - Solar mean anomaly.
+ * @returns {number} Ecliptic longitude in radians.
+ */
+function eclipticLongitude(m) {
+    const center = RAD * (1.9148 * Math.sin(m) + 0.02 * Math.sin(2 * m) + 0.0003 * Math.sin(3 * m));
+    const perihelion = RAD * 102.9372;
+    return m + center + perihelion + Math.PI;
+}
+
+/**
+ * @param {number} julian - Julian date.
+ * @returns {Date}
+ */
+function fromJulian(julian) {
+    return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Calculate sunrise and sunset for the day containing `date`.
+ *
+ * @param {Date} date
+ * @param {number} latitude - Degrees, north positive.
+ * @param {number} longitude - Degrees, east positive.
+ * @returns {SunTimes}
+ */
+function getSunTimes(date, latitude, longitude) {
+    const lw = -longitude * RAD;
+    const phi = latitude * RAD;
+
+    const days = date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+    const cycle = Math.round(days - 0.0009 - lw / (2 * Math.PI));
+    const approxTransit = 0.0009 + lw / (2 * Math.PI) + cycle;
+
+    const m = solarMeanAnomaly(approxTransit);
+    const l = eclipticLongitude(m);
+    const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(l));
+    const transit = J2000 + approxTransit + 0.0053 * Math.sin(m) - 0.0069 * Math.sin(2 * l);
+
+    const cosHourAngle = (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(declination)) /
+        (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return { sunrise: null, sunset: null };
+    }
+
+    const hourAngle = Math.acos(cosHourAngle);
+    const setApprox = 0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+    const set = J2000 + setApprox + 0.0053 * Math.sin(m) - 0.0069 * Math.sin(2 * l);
+    const rise = transit - (set - transit);
+
+    return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+}
+
+module.exports = {
+    getSunTimes,
+};
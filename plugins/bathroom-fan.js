@@ -20,16 +20,17 @@
  */
 
 // ---------------------------------------------------------------------------
-// Per-device runtime state (not persisted across restarts)
+// Per-device runtime state (`lastCommandValue` and the pending off-delay are
+// persisted via ctx.storage so they survive adapter restarts)
 // ---------------------------------------------------------------------------
 
 /**
  * @typedef {Object} FanRuntime
  * @property {boolean}     humidityTrigger  - Humidity condition is active.
  * @property {boolean}     presenceTrigger  - Presence+door condition is active.
- * @property {ReturnType<typeof setTimeout>|null} offTimer - Delayed-off timer handle.
+ * @property {number|null} offTimer         - Delayed-off timer handle (ctx.setTimeout).
  * @property {any}         lastCommandValue - Last value written to fanCommand.
- * @property {import('../lib/action-chain').ActionChainExecutor|null} activeChainExecutor - Currently running chain.
+ * @property {import('../lib/action-chain').ChainHandle|null} activeChain - Currently running chain.
  */
 
 /** @type {Map<string, FanRuntime>} */
@@ -42,7 +43,7 @@ const runtimeState = new Map();
 function getRuntime(deviceId) {
     let s = runtimeState.get(deviceId);
     if (!s) {
-        s = { humidityTrigger: false, presenceTrigger: false, offTimer: null, lastCommandValue: null, activeChainExecutor: null };
+        s = { humidityTrigger: false, presenceTrigger: false, offTimer: null, lastCommandValue: null, activeChain: null };
         runtimeState.set(deviceId, s);
     }
     return s;
@@ -285,6 +286,34 @@ class BathroomFanPlugin {
         ];
     }
 
+    // ======================================================================
+    // Validation
+    // ======================================================================
+
+    /**
+     * Cross-field checks before a device is saved.
+     *
+     * @param {Record<string, any>} config - Settings merged with the defaults.
+     * @param {Record<string, string>} inputs
+     * @returns {string[]}
+     */
+    validateConfig(config, inputs) {
+        const errors = [];
+        // The presence trigger needs both sensors (see _evaluatePresence)
+        if (!!inputs.presenceSensor !== !!inputs.doorContact) {
+            errors.push(inputs.presenceSensor
+                ? 'inputs.doorContact: required together with the presence sensor'
+                : 'inputs.presenceSensor: required together with the door contact');
+        }
+        if (String(config.fanOnValue) === String(config.fanOffValue)) {
+            errors.push('config.fanOffValue: must differ from the fan ON value');
+        }
+        if (String(config.statusOnValue) === String(config.statusOffValue)) {
+            errors.push('config.statusOffValue: must differ from the status ON value');
+        }
+        return errors;
+    }
+
     // ======================================================================
     // Lifecycle
     // ======================================================================
@@ -298,10 +327,12 @@ class BathroomFanPlugin {
         rt.humidityTrigger = false;
         rt.presenceTrigger = false;
         rt.offTimer = null;
-        rt.lastCommandValue = null;
+        rt.lastCommandValue = ctx.storage?.get('lastCommandValue', null) ?? null;
 
-        // Default output states
-        await ctx.setOutputState('active', false, true);
+        // Default output states (the fan may still be running from before a restart)
+        const fanOffValue = parseConfigValue(ctx.config.fanOffValue ?? '0');
+        const restoredOn = rt.lastCommandValue !== null && !looseEquals(rt.lastCommandValue, fanOffValue);
+        await ctx.setOutputState('active', restoredOn, true);
         await ctx.setOutputState('trigger', 'none', true);
 
         const enabledState = await ctx.getOutputState('enabled');
@@ -316,6 +347,15 @@ class BathroomFanPlugin {
         }
 
         await this._evaluatePresence(ctx);
+
+        // Resume an off-delay that was pending before the restart
+        const offUntil = ctx.storage?.get('offUntil', null);
+        if (restoredOn && typeof offUntil === 'number') {
+            const remaining = Math.max(0, offUntil - Date.now());
+            ctx.log.info(`Resuming off-delay — ${Math.round(remaining / 1000)}s remaining`);
+            this._startOffTimer(ctx, remaining);
+        }
+
         await this._applyDesiredState(ctx);
 
         ctx.log.info(`Bathroom fan "${ctx.deviceId}" initialised`);
@@ -356,7 +396,7 @@ class BathroomFanPlugin {
      * @param {import('../lib/plugin-interface').PluginContext} ctx
      * @param {string} outputId
      * @param {any} value
-     * @returns {Promise<void>}
+     * @returns {Promise<import('../lib/plugin-interface').OutputWriteResult|void>}
      */
     async onOutputWrite(ctx, outputId, value) {
         if (outputId === 'enabled') {
@@ -365,11 +405,7 @@ class BathroomFanPlugin {
 
             if (!value) {
                 // Disabled — cancel pending off-timer
-                const rt = getRuntime(ctx.deviceId);
-                if (rt.offTimer) {
-                    clearTimeout(rt.offTimer);
-                    rt.offTimer = null;
-                }
+                this._cancelOffTimer(ctx);
             } else {
                 // Re-enabled — re-evaluate
                 const humState = await ctx.getInputState('humiditySensor');
@@ -379,6 +415,7 @@ class BathroomFanPlugin {
                 await this._evaluatePresence(ctx);
                 await this._applyDesiredState(ctx);
             }
+            return { action: 'handled' };
         }
     }
 
@@ -389,10 +426,10 @@ class BathroomFanPlugin {
     async onDestroy(ctx) {
         const rt = runtimeState.get(ctx.deviceId);
         if (rt?.offTimer) {
-            clearTimeout(rt.offTimer);
+            ctx.clearTimer(rt.offTimer);
         }
-        if (rt?.activeChainExecutor) {
-            rt.activeChainExecutor.abort();
+        if (rt?.activeChain) {
+            rt.activeChain.abort();
         }
         runtimeState.delete(ctx.deviceId);
         ctx.log.info(`Bathroom fan "${ctx.deviceId}" destroyed`);
@@ -499,10 +536,7 @@ class BathroomFanPlugin {
 
         if (desiredValue !== null) {
             // Cancel any pending off-timer
-            if (rt.offTimer) {
-                clearTimeout(rt.offTimer);
-                rt.offTimer = null;
-            }
+            this._cancelOffTimer(ctx);
 
             await this._sendFanCommand(ctx, desiredValue);
         } else {
@@ -514,24 +548,54 @@ class BathroomFanPlugin {
                     await this._sendFanCommand(ctx, fanOffValue);
                 } else {
                     ctx.log.info(`All triggers cleared — off-delay ${offDelay / 1000}s started`);
-                    rt.offTimer = setTimeout(async () => {
-                        rt.offTimer = null;
-                        // Re-check triggers (they may have re-activated during delay)
-                        if (!rt.humidityTrigger && !rt.presenceTrigger) {
-                            ctx.log.info(`Off-delay elapsed — turning fan OFF`);
-                            await this._sendFanCommand(ctx, fanOffValue);
-                            await ctx.setOutputState('trigger', 'none', true);
-                        }
-                    }, offDelay);
+                    this._startOffTimer(ctx, offDelay);
                 }
             }
         }
     }
 
+    /**
+     * Start the delayed-off timer and persist its due time, so a restart
+     * resumes the remaining delay instead of starting over.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {number} delayMs
+     */
+    _startOffTimer(ctx, delayMs) {
+        const rt = getRuntime(ctx.deviceId);
+        ctx.storage?.set('offUntil', Date.now() + delayMs);
+
+        rt.offTimer = ctx.setTimeout(async () => {
+            rt.offTimer = null;
+            ctx.storage?.delete('offUntil');
+            // Re-check triggers (they may have re-activated during delay)
+            if (!rt.humidityTrigger && !rt.presenceTrigger) {
+                ctx.log.info(`Off-delay elapsed — turning fan OFF`);
+                await this._sendFanCommand(ctx, parseConfigValue(ctx.config.fanOffValue ?? '0'));
+                await ctx.setOutputState('trigger', 'none', true);
+            }
+        }, delayMs);
+    }
+
+    /**
+     * Cancel a pending delayed-off timer.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     */
+    _cancelOffTimer(ctx) {
+        const rt = getRuntime(ctx.deviceId);
+        if (rt.offTimer) {
+            ctx.clearTimer(rt.offTimer);
+            rt.offTimer = null;
+        }
+        ctx.storage?.delete('offUntil');
+    }
+
     /**
      * Build and execute an action chain to set the fan to the desired value.
      *
-     * Uses `ctx.executeChain()` when available (plugin-interface level).
+     * Uses `ctx.executeChain()` when available (plugin-interface level); the
+     * chain is not awaited, `active` follows once it completed.
      * Falls back to direct `setForeignStateAsync` for backward compatibility.
      *
      * @param {import('../lib/plugin-interface').PluginContext} ctx
@@ -542,34 +606,45 @@ class BathroomFanPlugin {
 
         if (rt.lastCommandValue === value) return; // No change needed
 
-        // Abort any running chain before starting a new one
-        if (rt.activeChainExecutor) {
-            rt.activeChainExecutor.abort();
-            rt.activeChainExecutor = null;
-        }
-
         rt.lastCommandValue = value;
+        ctx.storage?.set('lastCommandValue', value);
 
         const chain = this._buildChain(ctx, value);
+        const isOn = !looseEquals(value, ctx.config.fanOffValue ?? '0');
 
         if (chain.length > 0 && typeof ctx.executeChain === 'function') {
-            try {
-                rt.activeChainExecutor = await ctx.executeChain(chain);
-            } catch (e) {
+            // A new command supersedes a still running one; the fallback is recorded under the ON/OFF slot too
+            const handle = ctx.executeChain(chain, { slot: isOn ? 'on' : 'off', policy: 'abortPrevious' });
+            rt.activeChain = handle;
+            handle.promise.then(() => true, (e) => {
                 if (e.message && e.message.includes('aborted')) {
                     ctx.log.debug('Fan command chain was aborted');
-                    return;
+                    return false;
                 }
                 ctx.log.error(`Fan command chain failed: ${e}`);
-            } finally {
-                rt.activeChainExecutor = null;
-            }
-        } else if (ctx.inputs.fanCommand) {
+                return true;
+            }).then(async (done) => {
+                if (rt.activeChain === handle) rt.activeChain = null;
+                if (done) await this._fanCommandSent(ctx, value, isOn);
+            }).catch((e) => ctx.log.error(`Fan command failed: ${e}`));
+            return;
+        }
+
+        if (ctx.inputs.fanCommand) {
             // Fallback: direct write (no chain support or single-step)
             await ctx.adapter.setForeignStateAsync(ctx.inputs.fanCommand, value, false);
         }
+        await this._fanCommandSent(ctx, value, isOn);
+    }
 
-        const isOn = !looseEquals(value, ctx.config.fanOffValue ?? '0');
+    /**
+     * Publish the state of a sent fan command.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {any} value
+     * @param {boolean} isOn
+     */
+    async _fanCommandSent(ctx, value, isOn) {
         await ctx.setOutputState('active', isOn, true);
 
         ctx.log.info(`Fan command: ${value} (active=${isOn})`);
@@ -4,24 +4,114 @@
  * Conditional Switch plugin.
  *
  * Generic rule-based switch controller. Evaluates a dynamic list of conditions
- * on arbitrary datapoints. All conditions must be met (AND) to activate the
- * output switches. An optional modifier input can change condition thresholds
- * dynamically (e.g., higher temperature when TV is running).
+ * on arbitrary datapoints. An optional modifier input can change condition
+ * thresholds dynamically (e.g., higher temperature when TV is running).
  *
  * Conditions are stored as a table (array) in config — the user can add/remove
- * as many as needed.
+ * as many as needed.  Every condition belongs to a group; the conditions of a
+ * group are combined with the group's AND/OR combinator, and the groups are
+ * combined with the top-level `groupCombinator`:
+ *
+ *     (window closed AND temp > 24) OR (TV on AND temp > 22)
+ *
+ * Conditions without a group belong to group "1"; groups without an entry in
+ * the groups table use AND — so a plain condition list keeps meaning "all
+ * must be true".
+ *
+ * Noisy inputs are tamed in three places: numeric conditions can have a
+ * hysteresis, a condition row can require its result to be stable for N
+ * seconds ("true for" / "false for") before the change counts, and the device
+ * enforces a minimum ON and OFF time for the switches.  While such a delay
+ * runs, the `pending` output shows the state the switches are about to take.
+ *
+ * Besides states, a condition can test the clock: the time of day (windows
+ * may wrap midnight, times may be relative to sunrise/sunset, calculated
+ * locally from the system location) and the weekday.  Time-based conditions
+ * re-evaluate the device at their next boundary.
+ *
+ * The switches receive configurable ON/OFF values (default `true`/`false`);
+ * if an ON or OFF action chain is configured, it runs instead.
  *
  * @module conditional-switch
  */
 
+const { getSunTimes } = require('../lib/sun-times');
+
+// ---------------------------------------------------------------------------
+// Per-device runtime state
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ConditionDebounce
+ * @property {boolean}     effective - Debounced result used for switching.
+ * @property {boolean|null} raw      - Last undebounced result.
+ * @property {number|null} timer     - Timer handle (ctx.setTimeout) while `raw` waits to become effective.
+ */
+
+/**
+ * @typedef {Object} SwitchRuntime
+ * @property {Map<number, ConditionDebounce>} conditions - Debounce state per condition row index.
+ * @property {number}      lastSwitchAt - Timestamp of the last ON/OFF switch (0 = never).
+ * @property {number|null} minTimeTimer - Re-evaluation timer while a min ON/OFF time blocks a switch.
+ * @property {Map<number, number>} recheckTimers - Re-evaluation timers of age/calendar conditions per row index.
+ * @property {{ latitude: number, longitude: number }|null} location - System location for sun times.
+ * @property {boolean|null} commanded - Last ON/OFF command that succeeded (null = none yet).
+ * @property {boolean|null} commanding - Command whose chain is still running (null = none).
+ * @property {import('../lib/action-chain').ChainHandle|null} activeChain - Currently running chain.
+ */
+
+/** @type {Map<string, SwitchRuntime>} */
+const runtimeState = new Map();
+
+/**
+ * @param {string} deviceId
+ * @returns {SwitchRuntime}
+ */
+function getRuntime(deviceId) {
+    let s = runtimeState.get(deviceId);
+    if (!s) {
+        s = { conditions: new Map(), lastSwitchAt: 0, minTimeTimer: null, recheckTimers: new Map(), location: null,
+            commanded: null, commanding: null, activeChain: null };
+        runtimeState.set(deviceId, s);
+    }
+    return s;
+}
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
 /**
- * Parse a config value to match the type of the actual state value.
+ * Parse a config value string into its native type.
+ * 'true'/'false' → boolean, numeric strings → number, otherwise string as-is.
+ * @param {any} val
+ * @returns {any}
+ */
+function parseConfigValue(val) {
+    if (val === '' || val === null || val === undefined) return val;
+    const s = String(val).trim().toLowerCase();
+    if (s === 'true') return true;
+    if (s === 'false') return false;
+    const n = Number(val);
+    if (!isNaN(n) && String(val).trim() !== '') return n;
+    return String(val);
+}
+
+/**
+ * Convert a seconds setting to milliseconds (invalid or negative → 0).
+ *
+ * @param {any} seconds
+ * @returns {number}
+ */
+function secondsToMs(seconds) {
+    const n = Number(seconds);
+    return Number.isFinite(n) && n > 0 ? n * 1000 : 0;
+}
+
+/**
+ * Parse a single config value to match the type of the actual state value.
  */
-function parseValue(stateVal, configVal) {
+function parseScalar(stateVal, configVal) {
     if (typeof stateVal === 'boolean') {
         return configVal === 'true' || configVal === '1' || configVal === 'on';
     }
@@ -31,6 +121,78 @@ function parseValue(stateVal, configVal) {
     return String(configVal);
 }
 
+/**
+ * Parse the config value of a condition into the target the operator needs:
+ *
+ * - `between` / `notBetween`: `[min, max]` from `"min..max"`
+ * - `in`: array of values from a comma-separated list
+ * - `contains`: string
+ * - `regex`: RegExp from `"pattern"` or `"/pattern/flags"` (`null` if invalid)
+ * - `changedWithin` / `unchangedFor`: milliseconds from seconds
+ * - `stale`: milliseconds from minutes
+ * - all others: scalar matching the type of the state value
+ *
+ * @param {any} stateVal - Current state value (decides the scalar type).
+ * @param {any} configVal - Value from the condition row.
+ * @param {string} [operator]
+ * @returns {any}
+ */
+function parseValue(stateVal, configVal, operator = '==') {
+    switch (operator) {
+        case 'between':
+        case 'notBetween': {
+            const parts = String(configVal).split('..');
+            if (parts.length !== 2) return null;
+            const range = parts.map((p) => parseScalar(stateVal, p.trim()));
+            return range[0] > range[1] ? [range[1], range[0]] : range;
+        }
+        case 'in':
+            return String(configVal).split(',').map((p) => parseScalar(stateVal, p.trim()));
+        case 'contains':
+            return String(configVal);
+        case 'regex': {
+            const m = /^\/(.*)\/([a-z]*)$/.exec(String(configVal));
+            try {
+                return m ? new RegExp(m[1], m[2]) : new RegExp(String(configVal));
+            } catch {
+                return null;
+            }
+        }
+        case 'changedWithin':
+        case 'unchangedFor':
+            return secondsToMs(configVal);
+        case 'stale':
+            return secondsToMs(configVal) * 60;
+        default:
+            return parseScalar(stateVal, configVal);
+    }
+}
+
+/**
+ * Shift a numeric threshold by the hysteresis once a condition is met, so it
+ * stays met until the value crosses back past `threshold ∓ hysteresis`.
+ * Only the ordering operators use a hysteresis.
+ *
+ * @param {string} operator
+ * @param {any} target - Parsed threshold.
+ * @param {any} hysteresis - Hysteresis setting of the condition row.
+ * @param {boolean} wasMet - Condition was met at the previous evaluation.
+ * @returns {any} Threshold to compare against.
+ */
+function applyHysteresis(operator, target, hysteresis, wasMet) {
+    const h = Number(hysteresis);
+    if (!wasMet || typeof target !== 'number' || !Number.isFinite(h) || h <= 0) {
+        return target;
+    }
+    switch (operator) {
+        case '>':
+        case '>=': return target - h;
+        case '<':
+        case '<=': return target + h;
+        default:   return target;
+    }
+}
+
 /**
  * Evaluate a single condition.
  */
@@ -42,21 +204,226 @@ function evaluate(actual, operator, target) {
         case '<=': return actual <= target;
         case '==': return actual == target; // eslint-disable-line eqeqeq
         case '!=': return actual != target; // eslint-disable-line eqeqeq
+        case 'between':    return Array.isArray(target) && actual >= target[0] && actual <= target[1];
+        case 'notBetween': return Array.isArray(target) && (actual < target[0] || actual > target[1]);
+        case 'contains':   return String(actual).includes(target);
+        case 'regex':      return target instanceof RegExp && target.test(String(actual));
+        case 'in':         return Array.isArray(target) && target.some((t) => t == actual); // eslint-disable-line eqeqeq
         default:   return false;
     }
 }
 
+/** Operators that look at the age of a state instead of its value. */
+const AGE_OPERATORS = new Set(['changedWithin', 'unchangedFor', 'stale']);
+
+/**
+ * Evaluate an age operator against the timestamps of a state.
+ * `changedWithin` / `unchangedFor` use the last change (`lc`), `stale` the
+ * last update (`ts`); a state that never was written counts as stale.
+ *
+ * @param {ioBroker.State|null} state
+ * @param {string} operator - One of AGE_OPERATORS.
+ * @param {number} limitMs - Parsed age limit.
+ * @param {number} now
+ * @returns {{ met: boolean, recheckMs: number|null }} Result, and the time until
+ *   it flips by itself (`null` if it only changes with a state update).
+ */
+function evaluateAge(state, operator, limitMs, now) {
+    if (!(limitMs > 0)) return { met: false, recheckMs: null };
+
+    if (operator === 'stale') {
+        if (!state?.ts) return { met: true, recheckMs: null };
+        const age = now - state.ts;
+        return age >= limitMs ? { met: true, recheckMs: null } : { met: false, recheckMs: limitMs - age };
+    }
+
+    const since = state?.lc ?? state?.ts;
+    if (!since) return { met: false, recheckMs: null };
+    const age = now - since;
+    if (operator === 'changedWithin') {
+        return age < limitMs ? { met: true, recheckMs: limitMs - age } : { met: false, recheckMs: null };
+    }
+    return age >= limitMs ? { met: true, recheckMs: null } : { met: false, recheckMs: limitMs - age };
+}
+
+// ---------------------------------------------------------------------------
+// Calendar conditions (time of day, weekday)
+// ---------------------------------------------------------------------------
+
+/** Condition sources that are evaluated from the clock instead of a state. */
+const CALENDAR_SOURCES = new Set(['time', 'weekday']);
+
+/** Weekday abbreviations (English and German) → ISO weekday (Monday = 1). */
+const WEEKDAYS = {
+    mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7,
+    mo: 1, di: 2, mi: 3, do: 4, fr: 5, sa: 6, so: 7,
+};
+
+/** Sun-relative time of day: "sunrise", "sunset+30", "sunrise - 15" (offset in minutes). */
+const SUN_TIME_RE = /^(sunrise|sunset)\s*(?:([+-])\s*(\d+))?$/i;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse a weekday ("mon", "Montag", "1") into an ISO weekday.
+ *
+ * @param {any} str
+ * @returns {number} 1–7, NaN if invalid.
+ */
+function parseWeekday(str) {
+    const s = String(str).trim().toLowerCase();
+    if (/^[1-7]$/.test(s)) return Number(s);
+    return WEEKDAYS[s.slice(0, 3)] ?? WEEKDAYS[s.slice(0, 2)] ?? NaN;
+}
+
+/**
+ * Parse a time of day ("HH:MM", "sunrise", "sunset+30") into minutes since midnight.
+ *
+ * @param {any} str
+ * @param {import('../lib/sun-times').SunTimes|null} sun - Today's sun times.
+ * @returns {number} NaN if invalid or the sun time is unknown.
+ */
+function parseTimeOfDay(str, sun) {
+    const s = String(str).trim();
+    const hm = /^(\d{1,2}):(\d{2})$/.exec(s);
+    if (hm) {
+        const minutes = Number(hm[1]) * 60 + Number(hm[2]);
+        return Number(hm[2]) < 60 && minutes <= MINUTES_PER_DAY ? minutes : NaN;
+    }
+    const m = SUN_TIME_RE.exec(s);
+    const event = m && sun?.[m[1].toLowerCase()];
+    if (!event) return NaN;
+    const offset = m[3] ? Number(m[3]) * (m[2] === '-' ? -1 : 1) : 0;
+    const minutes = event.getHours() * 60 + event.getMinutes() + offset;
+    return ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Whether `actual` lies in the window from `start` to `end`.  A window with
+ * start > end wraps around (22:00..06:00, fri..mon).
+ *
+ * @param {number} actual
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} exclusiveEnd - Time windows end at `end`, weekday ranges include it.
+ * @returns {boolean}
+ */
+function inWindow(actual, start, end, exclusiveEnd) {
+    const beforeEnd = exclusiveEnd ? actual < end : actual <= end;
+    return start <= end ? actual >= start && beforeEnd : actual >= start || beforeEnd;
+}
+
+/**
+ * Evaluate a time-of-day or weekday condition.  The current minute of the day
+ * (or ISO weekday) is compared with the parsed config value; `between` /
+ * `notBetween` use wrapping windows, `in` a list.
+ *
+ * @param {string} source - 'time' | 'weekday'
+ * @param {string} operator
+ * @param {any} configVal
+ * @param {Date} now
+ * @param {import('../lib/sun-times').SunTimes|null} sun - Today's sun times.
+ * @returns {{ met: boolean, recheckMs: number }} Result, and the time until the
+ *   next boundary (at the latest midnight, when weekday and sun times change).
+ */
+function evaluateCalendar(source, operator, configVal, now, sun) {
+    const isTime = source === 'time';
+    const parse = isTime ? (v) => parseTimeOfDay(v, sun) : parseWeekday;
+    const actual = isTime ? now.getHours() * 60 + now.getMinutes() : (now.getDay() || 7);
+
+    let targets;
+    let met;
+    switch (operator) {
+        case 'between':
+        case 'notBetween': {
+            const parts = String(configVal).split('..');
+            targets = parts.length === 2 ? parts.map(parse) : [NaN];
+            const inside = inWindow(actual, targets[0], targets[1], isTime);
+            met = operator === 'between' ? inside : !inside;
+            break;
+        }
+        case 'in':
+            targets = String(configVal).split(',').map(parse);
+            met = targets.includes(actual);
+            break;
+        default:
+            targets = [parse(configVal)];
+            met = evaluate(actual, operator, targets[0]);
+    }
+    if (targets.some(Number.isNaN)) met = false;
+
+    // Results can only flip at a configured minute (or the minute after it) and at midnight
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    let next = midnight;
+    if (isTime) {
+        for (const t of targets) {
+            for (const minute of [t, t + 1]) {
+                const at = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, minute).getTime();
+                if (at > now.getTime() && at < next) next = at;
+            }
+        }
+    }
+    return { met, recheckMs: next - now.getTime() };
+}
+
+/**
+ * @param {any} conditions - Conditions table from the config.
+ * @returns {boolean} Whether any time condition refers to sunrise/sunset.
+ */
+function usesSunTimes(conditions) {
+    if (!Array.isArray(conditions)) return false;
+    return conditions.some((c) => c.source === 'time' &&
+        [c.value, c.altValue].some((v) => /sunrise|sunset/i.test(String(v ?? ''))));
+}
+
 // ---------------------------------------------------------------------------
 // Operator options
 // ---------------------------------------------------------------------------
 
-const OPERATOR_OPTIONS = [
+const SOURCE_OPTIONS = [
+    { label: 'State',       value: 'state' },
+    { label: 'Time of day', value: 'time' },
+    { label: 'Weekday',     value: 'weekday' },
+];
+
+const COMBINATOR_OPTIONS = [
+    { label: 'AND (all)', value: 'and' },
+    { label: 'OR (any)',  value: 'or' },
+];
+
+/** Group id used for conditions without a group. */
+const DEFAULT_GROUP = '1';
+
+/**
+ * Combine boolean results with an AND/OR combinator.
+ *
+ * @param {boolean[]} results
+ * @param {string} combinator - 'and' | 'or'
+ * @returns {boolean}
+ */
+function combine(results, combinator) {
+    return combinator === 'or' ? results.some(Boolean) : results.every(Boolean);
+}
+
+const VALUE_OPERATOR_OPTIONS = [
     { label: '> (greater)',    value: '>' },
     { label: '< (less)',       value: '<' },
     { label: '>= (greater/eq)', value: '>=' },
     { label: '<= (less/eq)',   value: '<=' },
     { label: '== (equals)',    value: '==' },
     { label: '!= (not eq)',    value: '!=' },
+    { label: 'between (min..max)',     value: 'between' },
+    { label: 'not between (min..max)', value: 'notBetween' },
+    { label: 'contains',               value: 'contains' },
+    { label: 'regex match',            value: 'regex' },
+    { label: 'in list (a,b,c)',        value: 'in' },
+];
+
+const OPERATOR_OPTIONS = [
+    ...VALUE_OPERATOR_OPTIONS,
+    { label: 'changed within (s)',       value: 'changedWithin' },
+    { label: 'unchanged for (s)',        value: 'unchangedFor' },
+    { label: 'no update for (min)',      value: 'stale' },
 ];
 
 // ---------------------------------------------------------------------------
@@ -83,16 +450,16 @@ class ConditionalSwitchPlugin {
             {
                 id: 'switch1',
                 name: { en: 'Switch 1 (primary)', de: 'Schalter 1 (primär)' },
-                description: { en: 'Primary output switch', de: 'Primärer Ausgangsschalter' },
+                description: { en: 'Primary output (switch, dimmer, mode, …)', de: 'Primärer Ausgang (Schalter, Dimmer, Modus, …)' },
                 required: true,
-                filter: { type: 'state', common: { type: 'boolean' } },
+                filter: { type: 'state' },
             },
             {
                 id: 'switch2',
                 name: { en: 'Switch 2 (secondary)', de: 'Schalter 2 (sekundär)' },
-                description: { en: 'Optional secondary switch', de: 'Optionaler zweiter Schalter' },
+                description: { en: 'Optional secondary output', de: 'Optionaler zweiter Ausgang' },
                 required: false,
-                filter: { type: 'state', common: { type: 'boolean' } },
+                filter: { type: 'state' },
             },
             {
                 id: 'modifier',
@@ -111,8 +478,22 @@ class ConditionalSwitchPlugin {
         this.configSchema = {
             conditions: {
                 type: 'table',
-                label: { en: 'Conditions (all must be true)', de: 'Bedingungen (alle müssen erfüllt sein)' },
+                label: { en: 'Conditions', de: 'Bedingungen' },
                 items: [
+                    {
+                        type: 'text',
+                        title: { en: 'Group', de: 'Gruppe' },
+                        attr: 'group',
+                        width: '8%',
+                        default: DEFAULT_GROUP,
+                    },
+                    {
+                        type: 'select',
+                        title: { en: 'Type', de: 'Typ' },
+                        attr: 'source',
+                        options: SOURCE_OPTIONS,
+                        default: 'state',
+                    },
                     {
                         type: 'text',
                         title: { en: 'Object ID', de: 'Objekt-ID' },
@@ -140,15 +521,107 @@ class ConditionalSwitchPlugin {
                         attr: 'altValue',
                         default: '',
                     },
+                    {
+                        type: 'number',
+                        title: { en: 'Hysteresis', de: 'Hysterese' },
+                        attr: 'hysteresis',
+                        min: 0,
+                        width: '10%',
+                        default: 0,
+                    },
+                    {
+                        type: 'number',
+                        title: { en: 'True for (s)', de: 'Erfüllt seit (s)' },
+                        attr: 'trueForSec',
+                        min: 0,
+                        width: '10%',
+                        default: 0,
+                    },
+                    {
+                        type: 'number',
+                        title: { en: 'False for (s)', de: 'Nicht erfüllt seit (s)' },
+                        attr: 'falseForSec',
+                        min: 0,
+                        width: '10%',
+                        default: 0,
+                    },
+                ],
+                sm: 12,
+                newLine: true,
+            },
+
+            groups: {
+                type: 'table',
+                label: { en: 'Condition groups', de: 'Bedingungsgruppen' },
+                items: [
+                    {
+                        type: 'text',
+                        title: { en: 'Group', de: 'Gruppe' },
+                        attr: 'id',
+                        default: DEFAULT_GROUP,
+                    },
+                    {
+                        type: 'select',
+                        title: { en: 'Combine conditions with', de: 'Bedingungen verknüpfen mit' },
+                        attr: 'combinator',
+                        options: COMBINATOR_OPTIONS,
+                        default: 'and',
+                    },
                 ],
                 sm: 12,
                 newLine: true,
             },
+            groupCombinator: {
+                type: 'select',
+                label: { en: 'Combine groups with', de: 'Gruppen verknüpfen mit' },
+                help: {
+                    en: 'Groups not listed above combine their conditions with AND',
+                    de: 'Nicht aufgeführte Gruppen verknüpfen ihre Bedingungen mit UND',
+                },
+                options: COMBINATOR_OPTIONS,
+                sm: 6, newLine: true,
+            },
+
+            minOnSec: {
+                type: 'number',
+                label: { en: 'Minimum ON time (seconds)', de: 'Minimale Einschaltdauer (Sekunden)' },
+                min: 0,
+                max: 86400,
+                sm: 6, newLine: true,
+            },
+            minOffSec: {
+                type: 'number',
+                label: { en: 'Minimum OFF time (seconds)', de: 'Minimale Ausschaltdauer (Sekunden)' },
+                min: 0,
+                max: 86400,
+                sm: 6,
+            },
+
+            switch1OnValue: {
+                type: 'text',
+                label: { en: 'Switch 1 ON value', de: 'Schalter 1 AN Wert' },
+                sm: 6, newLine: true,
+            },
+            switch1OffValue: {
+                type: 'text',
+                label: { en: 'Switch 1 OFF value', de: 'Schalter 1 AUS Wert' },
+                sm: 6,
+            },
+            switch2OnValue: {
+                type: 'text',
+                label: { en: 'Switch 2 ON value', de: 'Schalter 2 AN Wert' },
+                sm: 6, newLine: true,
+            },
+            switch2OffValue: {
+                type: 'text',
+                label: { en: 'Switch 2 OFF value', de: 'Schalter 2 AUS Wert' },
+                sm: 6,
+            },
 
             modifier_operator: {
                 type: 'select',
                 label: { en: 'Modifier operator', de: 'Modifier Operator' },
-                options: OPERATOR_OPTIONS,
+                options: VALUE_OPERATOR_OPTIONS,
                 sm: 6, newLine: true,
             },
             modifier_value: {
@@ -164,21 +637,68 @@ class ConditionalSwitchPlugin {
 
         this.configDefaults = {
             conditions: [],
+            groups: [],
+            groupCombinator: 'or',
+            minOnSec: 0,
+            minOffSec: 0,
+            switch1OnValue: 'true',
+            switch1OffValue: 'false',
+            switch2OnValue: 'true',
+            switch2OffValue: 'false',
             modifier_operator: '==',
             modifier_value: '',
         };
 
+        // -- Action chain slots ------------------------------------------------
+
+        /** @type {Record<string, import('../lib/plugin-interface').ActionChainSlot>} */
+        this.actionChainSlots = {
+            on: {
+                name: { en: 'ON Chain', de: 'AN-Kette' },
+                description: {
+                    en: 'Commands run instead of writing the switch ON values (executed sequentially)',
+                    de: 'Befehle statt der Schalter-AN-Werte (sequentiell ausgeführt)',
+                },
+            },
+            off: {
+                name: { en: 'OFF Chain', de: 'AUS-Kette' },
+                description: {
+                    en: 'Commands run instead of writing the switch OFF values (executed sequentially)',
+                    de: 'Befehle statt der Schalter-AUS-Werte (sequentiell ausgeführt)',
+                },
+            },
+        };
+
         // -- Output states -----------------------------------------------------
 
         this.outputStates = [
             {
                 id: 'active',
                 name: { en: 'Active', de: 'Aktiv' },
-                description: { en: 'All conditions met, switches are on', de: 'Alle Bedingungen erfüllt, Schalter sind ein' },
+                description: { en: 'Conditions met, switches are on', de: 'Bedingungen erfüllt, Schalter sind ein' },
                 type: 'boolean',
                 role: 'indicator.working',
                 read: true, write: false,
             },
+            {
+                id: 'activeGroups',
+                name: { en: 'Active groups', de: 'Aktive Gruppen' },
+                description: { en: 'Comma-separated ids of the condition groups that are met', de: 'Kommagetrennte IDs der erfüllten Bedingungsgruppen' },
+                type: 'string',
+                role: 'text',
+                read: true, write: false,
+            },
+            {
+                id: 'pending',
+                name: { en: 'Pending', de: 'Ausstehend' },
+                description: {
+                    en: 'Switch state waiting for a condition delay or min ON/OFF time: "on", "off" or empty',
+                    de: 'Schaltzustand, der auf eine Bedingungsverzögerung oder Mindestlaufzeit wartet: "on", "off" oder leer',
+                },
+                type: 'string',
+                role: 'text',
+                read: true, write: false,
+            },
             {
                 id: 'modifierActive',
                 name: { en: 'Modifier active', de: 'Modifier aktiv' },
@@ -203,6 +723,8 @@ class ConditionalSwitchPlugin {
 
     async onInit(ctx) {
         await ctx.setOutputState('active', false, true);
+        await ctx.setOutputState('activeGroups', '', true);
+        await ctx.setOutputState('pending', '', true);
         await ctx.setOutputState('modifierActive', false, true);
 
         const enabledState = await ctx.getOutputState('enabled');
@@ -210,6 +732,8 @@ class ConditionalSwitchPlugin {
             await ctx.setOutputState('enabled', true, true);
         }
 
+        getRuntime(ctx.deviceId).location = usesSunTimes(ctx.config.conditions) ? await this._loadLocation(ctx) : null;
+
         await this._evaluate(ctx);
         ctx.log.info(`Conditional switch "${ctx.deviceId}" initialised`);
     }
@@ -221,6 +745,20 @@ class ConditionalSwitchPlugin {
     }
 
     async onDestroy(ctx) {
+        const rt = runtimeState.get(ctx.deviceId);
+        if (rt) {
+            for (const entry of rt.conditions.values()) {
+                if (entry.timer !== null) ctx.clearTimer(entry.timer);
+            }
+            if (rt.minTimeTimer !== null) ctx.clearTimer(rt.minTimeTimer);
+            for (const handle of rt.recheckTimers.values()) {
+                ctx.clearTimer(handle);
+            }
+            if (rt.activeChain) {
+                rt.activeChain.abort();
+            }
+        }
+        runtimeState.delete(ctx.deviceId);
         ctx.log.info(`Conditional switch "${ctx.deviceId}" destroyed`);
     }
 
@@ -237,7 +775,7 @@ class ConditionalSwitchPlugin {
         if (Array.isArray(conditions)) {
             for (let i = 0; i < conditions.length; i++) {
                 const c = conditions[i];
-                if (c.objectId) {
+                if (c.objectId && !CALENDAR_SOURCES.has(c.source)) {
                     subs.push({ id: `_cond_${i}`, objectId: c.objectId });
                 }
             }
@@ -254,6 +792,8 @@ class ConditionalSwitchPlugin {
         if (!enabled || enabled.val !== true) {
             await this._setSwitches(ctx, false);
             await ctx.setOutputState('active', false, true);
+            await ctx.setOutputState('activeGroups', '', true);
+            await ctx.setOutputState('pending', '', true);
             return;
         }
 
@@ -263,7 +803,7 @@ class ConditionalSwitchPlugin {
             const modState = await ctx.getInputState('modifier');
             if (modState?.val !== null && modState?.val !== undefined) {
                 const modOp = ctx.config.modifier_operator || '==';
-                const modTarget = parseValue(modState.val, ctx.config.modifier_value || '');
+                const modTarget = parseValue(modState.val, ctx.config.modifier_value || '', modOp);
                 modifierActive = evaluate(modState.val, modOp, modTarget);
             }
         }
@@ -274,54 +814,318 @@ class ConditionalSwitchPlugin {
         if (!Array.isArray(conditions) || conditions.length === 0) {
             await this._setSwitches(ctx, false);
             await ctx.setOutputState('active', false, true);
+            await ctx.setOutputState('activeGroups', '', true);
+            await ctx.setOutputState('pending', '', true);
             return;
         }
 
-        let allMet = true;
+        // Raw results decide what the switches are heading for, debounced
+        // results decide what they do now.
+        const rt = getRuntime(ctx.deviceId);
+        /** @type {Map<string, boolean[]>} group id → debounced condition results */
+        const groupResults = new Map();
+        /** @type {Map<string, boolean[]>} group id → raw condition results */
+        const rawGroupResults = new Map();
         for (let i = 0; i < conditions.length; i++) {
-            const cond = conditions[i];
-            if (!cond.objectId || !cond.operator || (cond.value === '' && cond.value === undefined)) {
-                continue; // skip incomplete rows
-            }
+            const wasMet = rt.conditions.get(i)?.raw === true;
+            const raw = await this._evaluateCondition(ctx, conditions[i], i, modifierActive, wasMet);
+            if (raw === null) continue; // incomplete row
 
-            // Read state via dynamic subscription input id
-            const inputId = `_cond_${i}`;
-            const state = await ctx.getInputState(inputId);
-            if (state?.val === null || state?.val === undefined) {
-                allMet = false;
-                continue;
-            }
+            const groupId = String(conditions[i].group ?? '').trim() || DEFAULT_GROUP;
+            const results = groupResults.get(groupId) || [];
+            results.push(this._debounce(ctx, rt, conditions[i], i, raw));
+            groupResults.set(groupId, results);
+            const rawResults = rawGroupResults.get(groupId) || [];
+            rawResults.push(raw);
+            rawGroupResults.set(groupId, rawResults);
+        }
 
-            const useAlt = modifierActive && cond.altValue !== '' && cond.altValue !== undefined;
-            const targetStr = useAlt ? cond.altValue : cond.value;
-            const target = parseValue(state.val, targetStr);
+        // 3. Combine conditions per group, then the groups
+        const { met: allMet, groups: metGroups } = this._combineGroups(ctx, groupResults);
+        const { met: rawMet } = this._combineGroups(ctx, rawGroupResults);
 
-            if (!evaluate(state.val, cond.operator, target)) {
-                allMet = false;
-            }
-        }
+        await ctx.setOutputState('activeGroups', allMet ? metGroups.join(',') : '', true);
 
         const currentActive = await ctx.getOutputState('active');
         const wasActive = currentActive?.val === true;
+        let isActive = wasActive;
 
-        if (allMet && !wasActive) {
-            ctx.log.info(`All conditions met → turning ON`);
-            await this._setSwitches(ctx, true);
-            await ctx.setOutputState('active', true, true);
-        } else if (!allMet && wasActive) {
-            ctx.log.info(`Condition(s) no longer met → turning OFF`);
-            await this._setSwitches(ctx, false);
-            await ctx.setOutputState('active', false, true);
+        // 4. Switch, unless the min ON/OFF time of the current state has not elapsed
+        if (allMet === wasActive) {
+            if (rt.minTimeTimer !== null) {
+                ctx.clearTimer(rt.minTimeTimer);
+                rt.minTimeTimer = null;
+            }
+        } else {
+            const minMs = secondsToMs(wasActive ? ctx.config.minOnSec : ctx.config.minOffSec);
+            const remaining = rt.lastSwitchAt ? rt.lastSwitchAt + minMs - Date.now() : 0;
+            if (remaining > 0) {
+                if (rt.minTimeTimer === null) {
+                    ctx.log.debug(`Minimum ${wasActive ? 'ON' : 'OFF'} time not elapsed, switching in ${Math.ceil(remaining / 1000)}s`);
+                    rt.minTimeTimer = ctx.setTimeout(() => {
+                        rt.minTimeTimer = null;
+                        return this._evaluate(ctx);
+                    }, remaining);
+                }
+            } else if (allMet) {
+                ctx.log.info(`Conditions met (group ${metGroups.join(', ')}) → turning ON`);
+                if (await this._switch(ctx, rt, true)) isActive = true;
+            } else {
+                ctx.log.info(`Condition(s) no longer met → turning OFF`);
+                if (await this._switch(ctx, rt, false)) isActive = false;
+            }
         }
+
+        await ctx.setOutputState('pending', rawMet === isActive ? '' : (rawMet ? 'on' : 'off'), true);
     }
 
-    async _setSwitches(ctx, on) {
-        if (ctx.inputs.switch1) {
-            await ctx.adapter.setForeignStateAsync(ctx.inputs.switch1, on, false);
+    /**
+     * Apply the "true for" / "false for" delay of a condition row.  A changed
+     * raw result only becomes effective once it has been stable for the
+     * configured time; a timer re-evaluates the device at that moment.
+     *
+     * @param {object} ctx
+     * @param {SwitchRuntime} rt
+     * @param {Record<string, any>} cond - Row of the conditions table.
+     * @param {number} index - Row index.
+     * @param {boolean} raw - Undebounced result of the row.
+     * @returns {boolean} Effective result.
+     */
+    _debounce(ctx, rt, cond, index, raw) {
+        let entry = rt.conditions.get(index);
+        if (!entry) {
+            // Start from "not met" so a debounced row must prove itself after a restart
+            entry = { effective: false, raw: null, timer: null };
+            rt.conditions.set(index, entry);
         }
-        if (ctx.inputs.switch2) {
-            await ctx.adapter.setForeignStateAsync(ctx.inputs.switch2, on, false);
+
+        const delayMs = raw === entry.effective ? 0 : secondsToMs(raw ? cond.trueForSec : cond.falseForSec);
+        if (entry.timer !== null && (delayMs === 0 || entry.raw !== raw)) {
+            ctx.clearTimer(entry.timer);
+            entry.timer = null;
+        }
+        if (delayMs === 0) {
+            entry.effective = raw;
+        } else if (entry.timer === null) {
+            entry.timer = ctx.setTimeout(() => {
+                entry.timer = null;
+                entry.effective = raw;
+                return this._evaluate(ctx);
+            }, delayMs);
+        }
+        entry.raw = raw;
+        return entry.effective;
+    }
+
+    /**
+     * Combine condition results per group, then the groups.
+     *
+     * @param {object} ctx
+     * @param {Map<string, boolean[]>} groupResults - group id → condition results
+     * @returns {{ met: boolean, groups: string[] }} Overall result and ids of the met groups.
+     */
+    _combineGroups(ctx, groupResults) {
+        const groups = [];
+        const groupMet = [];
+        for (const [groupId, results] of groupResults) {
+            const met = combine(results, this._groupCombinator(ctx, groupId));
+            groupMet.push(met);
+            if (met) groups.push(groupId);
+        }
+        const met = groupMet.length > 0 && combine(groupMet, ctx.config.groupCombinator || 'or');
+        return { met, groups };
+    }
+
+    /**
+     * Evaluate a single condition row.
+     *
+     * @param {object} ctx
+     * @param {Record<string, any>} cond - Row of the conditions table.
+     * @param {number} index - Row index (dynamic input id `_cond_<index>`).
+     * @param {boolean} modifierActive
+     * @param {boolean} [wasMet] - Row was met at the previous evaluation (hysteresis).
+     * @returns {Promise<boolean|null>} `null` for incomplete rows that are ignored.
+     */
+    async _evaluateCondition(ctx, cond, index, modifierActive, wasMet = false) {
+        const isCalendar = CALENDAR_SOURCES.has(cond.source);
+        if ((!cond.objectId && !isCalendar) || !cond.operator || (cond.value === '' && cond.value === undefined)) {
+            return null; // skip incomplete rows
+        }
+
+        const useAlt = modifierActive && cond.altValue !== '' && cond.altValue !== undefined;
+        const targetStr = useAlt ? cond.altValue : cond.value;
+
+        if (isCalendar) {
+            const now = new Date();
+            const location = getRuntime(ctx.deviceId).location;
+            const sun = location
+                ? getSunTimes(new Date(now.getFullYear(), now.getMonth(), now.getDate(), 12), location.latitude, location.longitude)
+                : null;
+            const { met, recheckMs } = evaluateCalendar(cond.source, cond.operator, targetStr, now, sun);
+            this._scheduleRecheck(ctx, index, recheckMs);
+            return met;
+        }
+
+        // Read state via dynamic subscription input id
+        const state = await ctx.getInputState(`_cond_${index}`);
+
+        if (AGE_OPERATORS.has(cond.operator)) {
+            const limitMs = parseValue(null, targetStr, cond.operator);
+            const { met, recheckMs } = evaluateAge(state, cond.operator, limitMs, Date.now());
+            this._scheduleRecheck(ctx, index, recheckMs);
+            return met;
+        }
+
+        if (state?.val === null || state?.val === undefined) {
+            return false;
+        }
+
+        const target = applyHysteresis(cond.operator, parseValue(state.val, targetStr, cond.operator), cond.hysteresis, wasMet);
+
+        return evaluate(state.val, cond.operator, target);
+    }
+
+    /**
+     * (Re)schedule the re-evaluation of an age condition at the moment its
+     * result flips without a state update.
+     *
+     * @param {object} ctx
+     * @param {number} index - Row index.
+     * @param {number|null} delayMs - `null` cancels a scheduled re-evaluation.
+     */
+    _scheduleRecheck(ctx, index, delayMs) {
+        const rt = getRuntime(ctx.deviceId);
+        const existing = rt.recheckTimers.get(index);
+        if (existing !== undefined) {
+            ctx.clearTimer(existing);
+            rt.recheckTimers.delete(index);
+        }
+        if (delayMs === null) return;
+        rt.recheckTimers.set(index, ctx.setTimeout(() => {
+            rt.recheckTimers.delete(index);
+            return this._evaluate(ctx);
+        }, delayMs));
+    }
+
+    /**
+     * Read latitude/longitude from the system settings (for sun times).
+     *
+     * @param {object} ctx
+     * @returns {Promise<{ latitude: number, longitude: number }|null>}
+     */
+    async _loadLocation(ctx) {
+        try {
+            const sysConfig = await ctx.adapter.getForeignObjectAsync('system.config');
+            const { latitude, longitude } = sysConfig?.common || {};
+            if (latitude !== '' && latitude != null && longitude !== '' && longitude != null &&
+                Number.isFinite(Number(latitude)) && Number.isFinite(Number(longitude))) {
+                return { latitude: Number(latitude), longitude: Number(longitude) };
+            }
+        } catch (e) {
+            ctx.log.debug(`Cannot read system.config: ${e}`);
+        }
+        ctx.log.warn('Sunrise/sunset conditions need latitude and longitude in the system settings');
+        return null;
+    }
+
+    /**
+     * Combinator configured for a group in the groups table (default AND).
+     *
+     * @param {object} ctx
+     * @param {string} groupId
+     * @returns {string}
+     */
+    _groupCombinator(ctx, groupId) {
+        const groups = Array.isArray(ctx.config.groups) ? ctx.config.groups : [];
+        const group = groups.find((g) => String(g.id ?? '').trim() === groupId);
+        return group?.combinator || 'and';
+    }
+
+    /**
+     * Switch the outputs; once that succeeded, update `active` and remember
+     * when, for the min ON/OFF times.
+     *
+     * @param {object} ctx
+     * @param {SwitchRuntime} rt
+     * @param {boolean} on
+     * @returns {Promise<boolean>} Whether the outputs were switched already.
+     */
+    async _switch(ctx, rt, on) {
+        return this._setSwitches(ctx, on, async () => {
+            rt.lastSwitchAt = Date.now();
+            await ctx.setOutputState('active', on, true);
+        });
+    }
+
+    /**
+     * Send an ON/OFF command: run the configured ON/OFF chain, or write the
+     * configured ON/OFF values to the switches.  Repeated commands are
+     * skipped.  A command only counts as sent once the writes or the chain
+     * succeeded, so a failed one is sent again by the next evaluation.
+     *
+     * A chain may wait for minutes, so it is not awaited: when it completes,
+     * `onSwitched` runs and the device is evaluated again.
+     *
+     * @param {object} ctx
+     * @param {boolean} on
+     * @param {() => Promise<void>} [onSwitched] - Called once the command succeeded.
+     * @returns {Promise<boolean>} Whether the switches are in the commanded state.
+     */
+    async _setSwitches(ctx, on, onSwitched = async () => {}) {
+        const rt = getRuntime(ctx.deviceId);
+        if (rt.commanded === on && rt.commanding === null) return true;
+        // The same command is still running
+        if (rt.commanding === on) return false;
+
+        // Abort the running chain, also when switching by values
+        if (rt.activeChain) {
+            rt.activeChain.abort();
+            rt.activeChain = null;
+            rt.commanding = null;
+        }
+
+        const label = on ? 'ON' : 'OFF';
+        const chain = ctx.chains?.[on ? 'on' : 'off'];
+        if (Array.isArray(chain) && chain.length > 0 && typeof ctx.executeChain === 'function') {
+            const handle = ctx.executeChain(chain, { policy: 'abortPrevious' });
+            rt.activeChain = handle;
+            rt.commanding = on;
+            const settle = () => {
+                if (rt.activeChain !== handle) return false;
+                rt.activeChain = null;
+                rt.commanding = null;
+                return true;
+            };
+            handle.promise.then(async () => {
+                if (!settle()) return;
+                rt.commanded = on;
+                await onSwitched();
+                await this._evaluate(ctx);
+            }, (e) => {
+                settle();
+                if (e.message && e.message.includes('aborted')) {
+                    ctx.log.debug(`${label} chain was aborted`);
+                } else {
+                    ctx.log.error(`${label} chain failed: ${e}`);
+                }
+            }).catch((e) => ctx.log.error(`${label} command failed: ${e}`));
+            return false;
+        }
+
+        try {
+            for (const slot of ['switch1', 'switch2']) {
+                if (!ctx.inputs[slot]) continue;
+                const raw = on ? ctx.config[`${slot}OnValue`] : ctx.config[`${slot}OffValue`];
+                const value = raw === undefined || raw === '' ? on : parseConfigValue(raw);
+                await ctx.adapter.setForeignStateAsync(ctx.inputs[slot], value, false);
+            }
+        } catch (e) {
+            ctx.log.error(`${label} command failed: ${e}`);
+            return false;
         }
+        rt.commanded = on;
+        await onSwitched();
+        return true;
     }
 }
 
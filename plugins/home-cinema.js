@@ -42,15 +42,16 @@
  */
 
 // ---------------------------------------------------------------------------
-// Per-device runtime state (not persisted across restarts)
+// Per-device runtime state (the stable state machine position and the screen
+// position are persisted via ctx.storage so they survive adapter restarts)
 // ---------------------------------------------------------------------------
 
 /**
  * @typedef {Object} CinemaRuntime
- * @property {'off'|'starting'|'on'|'stopping'} state - Current state machine position.
- * @property {import('../lib/action-chain').ActionChainExecutor|null} activeChainExecutor - Currently running chain.
- * @property {ReturnType<typeof setTimeout>|null} startupTimer - Timeout guard for startup.
- * @property {ReturnType<typeof setTimeout>|null} shutdownTimer - Timeout guard for shutdown.
+ * @property {'off'|'starting'|'on'|'stopping'|'error'} state - Current state machine position.
+ * @property {import('../lib/action-chain').ChainHandle|null} activeChain - Currently running power chain.
+ * @property {number|null} startupTimer - Timeout guard for startup (ctx.setTimeout).
+ * @property {number|null} shutdownTimer - Timeout guard for shutdown (ctx.setTimeout).
  */
 
 /** @type {Map<string, CinemaRuntime>} */
@@ -63,7 +64,7 @@ const runtimeState = new Map();
 function getRuntime(deviceId) {
     let s = runtimeState.get(deviceId);
     if (!s) {
-        s = { state: 'off', activeChainExecutor: null, startupTimer: null, shutdownTimer: null };
+        s = { state: 'off', activeChain: null, startupTimer: null, shutdownTimer: null };
         runtimeState.set(deviceId, s);
     }
     return s;
@@ -350,12 +351,17 @@ class HomeCinemaPlugin {
      */
     async onInit(ctx) {
         const rt = getRuntime(ctx.deviceId);
-        rt.state = 'off';
+
+        // Restore the last stable state — a chain interrupted by the restart
+        // ('starting'/'stopping') cannot be resumed, so that falls back to 'off'
+        const restored = ctx.storage?.get('state', 'off') === 'on' ? 'on' : 'off';
+        const screenDown = restored === 'on' && ctx.storage?.get('screen', false) === true;
+        rt.state = restored;
 
         // Initialise output states
-        await ctx.setOutputState('power', false, true);
-        await ctx.setOutputState('state', 'off', true);
-        await ctx.setOutputState('screen', false, true);
+        await ctx.setOutputState('power', restored === 'on', true);
+        await ctx.setOutputState('state', restored, true);
+        await ctx.setOutputState('screen', screenDown, true);
         await ctx.setOutputState('mute', false, true);
 
         // Read current volume from amplifier if available
@@ -414,30 +420,32 @@ class HomeCinemaPlugin {
      * @param {import('../lib/plugin-interface').PluginContext} ctx
      * @param {string} outputId
      * @param {any} value
-     * @returns {Promise<void>}
+     * @returns {Promise<import('../lib/plugin-interface').OutputWriteResult>}
      */
     async onOutputWrite(ctx, outputId, value) {
-        const rt = getRuntime(ctx.deviceId);
-
         switch (outputId) {
             case 'power':
-                await this._handlePower(ctx, Boolean(value));
-                break;
+                // The state machine acknowledges `power` once the chain has finished
+                if (!(await this._handlePower(ctx, Boolean(value)))) {
+                    return { action: 'reject' };
+                }
+                return { action: 'handled' };
 
             case 'volume':
                 await this._handleVolume(ctx, Number(value));
-                break;
+                return { action: 'handled' };
 
             case 'mute':
                 await this._handleMute(ctx, Boolean(value));
-                break;
+                return { action: 'handled' };
 
             case 'screen':
                 await this._handleScreen(ctx, Boolean(value));
-                break;
+                return { action: 'handled' };
 
             default:
                 ctx.log.warn(`Unknown output write: ${outputId} = ${value}`);
+                return { action: 'reject' };
         }
     }
 
@@ -448,14 +456,14 @@ class HomeCinemaPlugin {
     async onDestroy(ctx) {
         const rt = runtimeState.get(ctx.deviceId);
         if (rt) {
-            if (rt.activeChainExecutor) {
-                rt.activeChainExecutor.abort();
+            if (rt.activeChain) {
+                rt.activeChain.abort();
             }
             if (rt.startupTimer) {
-                clearTimeout(rt.startupTimer);
+                ctx.clearTimer(rt.startupTimer);
             }
             if (rt.shutdownTimer) {
-                clearTimeout(rt.shutdownTimer);
+                ctx.clearTimer(rt.shutdownTimer);
             }
         }
         runtimeState.delete(ctx.deviceId);
@@ -471,6 +479,7 @@ class HomeCinemaPlugin {
      *
      * @param {import('../lib/plugin-interface').PluginContext} ctx
      * @param {boolean} turnOn
+     * @returns {Promise<boolean>} `false` if the request was ignored in the current state.
      */
     async _handlePower(ctx, turnOn) {
         const rt = getRuntime(ctx.deviceId);
@@ -482,20 +491,23 @@ class HomeCinemaPlugin {
         } else if (!turnOn && rt.state === 'starting') {
             // Abort startup, go to shutdown
             ctx.log.info('Power off requested during startup — aborting and shutting down');
-            if (rt.activeChainExecutor) {
-                rt.activeChainExecutor.abort();
-                rt.activeChainExecutor = null;
+            if (rt.activeChain) {
+                rt.activeChain.abort();
+                rt.activeChain = null;
             }
             if (rt.startupTimer) {
-                clearTimeout(rt.startupTimer);
+                ctx.clearTimer(rt.startupTimer);
                 rt.startupTimer = null;
             }
             await this._startPowerOff(ctx);
         } else if (turnOn && rt.state === 'stopping') {
             ctx.log.info('Power on requested during shutdown — ignoring (wait for off first)');
+            return false;
         } else {
             ctx.log.debug(`Power ${turnOn ? 'on' : 'off'} ignored in state "${rt.state}"`);
+            return false;
         }
+        return true;
     }
 
     /**
@@ -507,8 +519,7 @@ class HomeCinemaPlugin {
         const rt = getRuntime(ctx.deviceId);
         const timeoutSec = Number(ctx.config.startupTimeout ?? 60);
 
-        rt.state = 'starting';
-        await ctx.setOutputState('state', 'starting', true);
+        await this._setMachineState(ctx, 'starting');
         ctx.log.info('Cinema powering on...');
 
         // Set source volume to minimum level if mapped
@@ -522,51 +533,58 @@ class HomeCinemaPlugin {
         const chain = this._getChain(ctx, 'powerOn');
         if (chain.length > 0 && typeof ctx.executeChain === 'function') {
             // Timeout guard
-            rt.startupTimer = setTimeout(async () => {
+            rt.startupTimer = ctx.setTimeout(async () => {
                 rt.startupTimer = null;
                 if (rt.state === 'starting') {
                     ctx.log.error(`Startup timeout after ${timeoutSec}s — setting error state`);
-                    if (rt.activeChainExecutor) {
-                        rt.activeChainExecutor.abort();
-                        rt.activeChainExecutor = null;
+                    if (rt.activeChain) {
+                        rt.activeChain.abort();
+                        rt.activeChain = null;
                     }
-                    rt.state = 'error';
-                    await ctx.setOutputState('state', 'error', true);
+                    await this._setMachineState(ctx, 'error');
                     await ctx.setOutputState('power', false, true);
                 }
             }, timeoutSec * 1000);
 
-            try {
-                rt.activeChainExecutor = await ctx.executeChain(chain);
-                // Wait for chain completion
-                if (rt.activeChainExecutor._promise) {
-                    await rt.activeChainExecutor._promise;
-                }
-            } catch (e) {
-                if (e.message && e.message.includes('aborted')) {
-                    ctx.log.debug('PowerOn chain was aborted');
-                    return;
-                }
-                ctx.log.error(`PowerOn chain failed: ${e}`);
-                rt.state = 'error';
-                await ctx.setOutputState('state', 'error', true);
-                await ctx.setOutputState('power', false, true);
-                return;
-            } finally {
-                rt.activeChainExecutor = null;
+            // Power chains share one key: a new one aborts the other.  The chain
+            // runs on its own; the power-on completes when it has finished.
+            const handle = ctx.executeChain(chain, { policy: 'abortPrevious', key: 'power' });
+            rt.activeChain = handle;
+            handle.promise.then(() => null, (e) => e).then(async (error) => {
+                if (rt.activeChain === handle) rt.activeChain = null;
                 if (rt.startupTimer) {
-                    clearTimeout(rt.startupTimer);
+                    ctx.clearTimer(rt.startupTimer);
                     rt.startupTimer = null;
                 }
-            }
+                if (!error) {
+                    await this._completePowerOn(ctx);
+                } else if (error.message && error.message.includes('aborted')) {
+                    ctx.log.debug('PowerOn chain was aborted');
+                } else {
+                    ctx.log.error(`PowerOn chain failed: ${error}`);
+                    await this._setMachineState(ctx, 'error');
+                    await ctx.setOutputState('power', false, true);
+                }
+            }).catch((e) => ctx.log.error(`PowerOn failed: ${e}`));
+            return;
         }
 
+        await this._completePowerOn(ctx);
+    }
+
+    /**
+     * Switch to `on` once the powerOn chain has finished.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     */
+    async _completePowerOn(ctx) {
+        const rt = getRuntime(ctx.deviceId);
+
         // Only transition to 'on' if we're still in 'starting' (not aborted)
         if (rt.state === 'starting') {
-            rt.state = 'on';
-            await ctx.setOutputState('state', 'on', true);
+            await this._setMachineState(ctx, 'on');
             await ctx.setOutputState('power', true, true);
-            await ctx.setOutputState('screen', true, true);
+            await this._setScreenOutput(ctx, true);
 
             // Set default volume
             const defaultVol = Number(ctx.config.volumeDefault ?? 30);
@@ -585,55 +603,61 @@ class HomeCinemaPlugin {
         const rt = getRuntime(ctx.deviceId);
         const timeoutSec = Number(ctx.config.shutdownTimeout ?? 30);
 
-        rt.state = 'stopping';
-        await ctx.setOutputState('state', 'stopping', true);
+        await this._setMachineState(ctx, 'stopping');
         ctx.log.info('Cinema powering off...');
 
         // Execute powerOff chain
         const chain = this._getChain(ctx, 'powerOff');
         if (chain.length > 0 && typeof ctx.executeChain === 'function') {
             // Timeout guard
-            rt.shutdownTimer = setTimeout(async () => {
+            rt.shutdownTimer = ctx.setTimeout(async () => {
                 rt.shutdownTimer = null;
                 if (rt.state === 'stopping') {
                     ctx.log.warn(`Shutdown timeout after ${timeoutSec}s — forcing off`);
-                    if (rt.activeChainExecutor) {
-                        rt.activeChainExecutor.abort();
-                        rt.activeChainExecutor = null;
+                    if (rt.activeChain) {
+                        rt.activeChain.abort();
+                        rt.activeChain = null;
                     }
-                    rt.state = 'off';
-                    await ctx.setOutputState('state', 'off', true);
+                    await this._setMachineState(ctx, 'off');
                     await ctx.setOutputState('power', false, true);
-                    await ctx.setOutputState('screen', false, true);
+                    await this._setScreenOutput(ctx, false);
                 }
             }, timeoutSec * 1000);
 
-            try {
-                rt.activeChainExecutor = await ctx.executeChain(chain);
-                if (rt.activeChainExecutor._promise) {
-                    await rt.activeChainExecutor._promise;
+            const handle = ctx.executeChain(chain, { policy: 'abortPrevious', key: 'power' });
+            rt.activeChain = handle;
+            handle.promise.then(() => null, (e) => e).then(async (error) => {
+                if (rt.activeChain === handle) rt.activeChain = null;
+                if (rt.shutdownTimer) {
+                    ctx.clearTimer(rt.shutdownTimer);
+                    rt.shutdownTimer = null;
                 }
-            } catch (e) {
-                if (e.message && e.message.includes('aborted')) {
+                if (error && error.message && error.message.includes('aborted')) {
                     ctx.log.debug('PowerOff chain was aborted');
                     return;
                 }
-                ctx.log.error(`PowerOff chain failed: ${e}`);
                 // Force off even on error
-            } finally {
-                rt.activeChainExecutor = null;
-                if (rt.shutdownTimer) {
-                    clearTimeout(rt.shutdownTimer);
-                    rt.shutdownTimer = null;
-                }
-            }
+                if (error) ctx.log.error(`PowerOff chain failed: ${error}`);
+                await this._completePowerOff(ctx);
+            }).catch((e) => ctx.log.error(`PowerOff failed: ${e}`));
+            return;
         }
 
+        await this._completePowerOff(ctx);
+    }
+
+    /**
+     * Switch to `off` once the powerOff chain has finished.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     */
+    async _completePowerOff(ctx) {
+        const rt = getRuntime(ctx.deviceId);
+
         if (rt.state === 'stopping') {
-            rt.state = 'off';
-            await ctx.setOutputState('state', 'off', true);
+            await this._setMachineState(ctx, 'off');
             await ctx.setOutputState('power', false, true);
-            await ctx.setOutputState('screen', false, true);
+            await this._setScreenOutput(ctx, false);
             await ctx.setOutputState('mute', false, true);
             ctx.log.info('Cinema is OFF');
         }
@@ -690,24 +714,32 @@ class HomeCinemaPlugin {
         const chain = this._getChain(ctx, chainId);
 
         if (chain.length > 0 && typeof ctx.executeChain === 'function') {
-            try {
-                const executor = await ctx.executeChain(chain);
-                if (executor._promise) {
-                    await executor._promise;
-                }
-            } catch (e) {
-                if (!(e.message && e.message.includes('aborted'))) {
-                    ctx.log.error(`Screen ${chainId} chain failed: ${e}`);
-                }
-                return;
-            }
-        } else if (ctx.inputs.screenPosition) {
+            // The latest screen command wins; the output follows once the screen has moved
+            ctx.executeChain(chain, { policy: 'abortPrevious', key: 'screen' }).promise.then(
+                () => this._screenMoved(ctx, down),
+                (e) => {
+                    if (!(e.message && e.message.includes('aborted'))) {
+                        ctx.log.error(`Screen ${chainId} chain failed: ${e}`);
+                    }
+                },
+            ).catch((e) => ctx.log.error(`Screen ${chainId} failed: ${e}`));
+            return;
+        }
+
+        if (ctx.inputs.screenPosition) {
             // Fallback: direct write using config values
             const value = parseConfigValue(down ? (ctx.config.screenDownValue ?? '0') : (ctx.config.screenUpValue ?? '100'));
             await ctx.adapter.setForeignStateAsync(ctx.inputs.screenPosition, value, false);
         }
+        await this._screenMoved(ctx, down);
+    }
 
-        await ctx.setOutputState('screen', down, true);
+    /**
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {boolean} down
+     */
+    async _screenMoved(ctx, down) {
+        await this._setScreenOutput(ctx, down);
         ctx.log.info(`Screen ${down ? 'down' : 'up'}`);
     }
 
@@ -715,6 +747,30 @@ class HomeCinemaPlugin {
     // Helpers
     // ======================================================================
 
+    /**
+     * Move the state machine, publish the new state and persist it.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {CinemaRuntime['state']} state
+     */
+    async _setMachineState(ctx, state) {
+        const rt = getRuntime(ctx.deviceId);
+        rt.state = state;
+        ctx.storage?.set('state', state);
+        await ctx.setOutputState('state', state, true);
+    }
+
+    /**
+     * Publish and persist the screen position.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {boolean} down
+     */
+    async _setScreenOutput(ctx, down) {
+        ctx.storage?.set('screen', down);
+        await ctx.setOutputState('screen', down, true);
+    }
+
     /**
      * Get a configured action chain by slot id, or an empty array.
      *
@@ -20,14 +20,14 @@
  */
 
 // ---------------------------------------------------------------------------
-// Internal per-device runtime state (not persisted)
+// Internal per-device runtime state (`lowPowerSince` and `commandedOn` are
+// persisted via ctx.storage so they survive adapter restarts)
 // ---------------------------------------------------------------------------
 
 /**
  * @typedef {Object} DehumidifierState
  * @property {number|null} lowPowerSince   - Timestamp when low-power condition was first detected.
  * @property {boolean}     commandedOn     - Whether the switch was commanded ON by this plugin.
- * @property {ReturnType<typeof setInterval>|null} intervalHandle - Interval handle.
  */
 
 /** @type {Map<string, DehumidifierState>} */
@@ -40,7 +40,7 @@ const runtimeState = new Map();
 function getRuntime(deviceId) {
     let s = runtimeState.get(deviceId);
     if (!s) {
-        s = { lowPowerSince: null, commandedOn: false, intervalHandle: null };
+        s = { lowPowerSince: null, commandedOn: false };
         runtimeState.set(deviceId, s);
     }
     return s;
@@ -82,6 +82,12 @@ class SmartDehumidifierPlugin {
             de: 'Automatische Entfeuchtersteuerung mit Feuchtigkeitsziel, Tank-voll-Erkennung und Leistungsüberwachung',
         };
 
+        /** @type {number} Period of onInterval (tank-full detection, schedule end) in ms. */
+        this.intervalMs = 10_000;
+
+        /** @type {number} Stored config format (2: per-day schedule windows, see migrateConfig). */
+        this.configVersion = 2;
+
         // -- Input slots -------------------------------------------------------
 
         /** @type {import('../lib/plugin-interface').InputSlot[]} */
@@ -267,6 +273,87 @@ class SmartDehumidifierPlugin {
         ];
     }
 
+    // ======================================================================
+    // Validation
+    // ======================================================================
+
+    /**
+     * Cross-field checks before a device is saved.
+     *
+     * @param {Record<string, any>} config - Settings merged with the defaults.
+     * @returns {string[]}
+     */
+    validateConfig(config) {
+        const errors = [];
+        // Switches ON above target + hysteresis and OFF below target (see _handleHumidityChange)
+        const target = Number(config.targetHumidity);
+        const hysteresis = Number(config.humidityHysteresis);
+        if (hysteresis >= target) {
+            errors.push('config.humidityHysteresis: must be smaller than the target humidity');
+        } else if (target + hysteresis >= 100) {
+            errors.push(`config.humidityHysteresis: switching on above ${target + hysteresis}% is never reached`);
+        }
+        for (const day of ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']) {
+            const start = String(config[`schedule${day}Start`] || '').trim();
+            const end = String(config[`schedule${day}End`] || '').trim();
+            if (!start !== !end) {
+                errors.push(`config.schedule${day}${start ? 'End' : 'Start'}: required together with the other time of the day`);
+            } else if (start && start === end) {
+                errors.push(`config.schedule${day}End: must differ from the start time`);
+            }
+        }
+        return errors;
+    }
+
+    // ======================================================================
+    // Config migration
+    // ======================================================================
+
+    /**
+     * Version 1 (0.2.x) had one schedule window for all days
+     * (`scheduleStart` / `scheduleEnd`) plus a checkbox per weekday
+     * (`scheduleMon` … `scheduleSun`, enabled unless `false`).  Version 2
+     * has a window per day: enabled days get the old window, disabled days
+     * stay empty.  Without an old window the enabled days get the whole day
+     * (00:00–23:30, the widest window the selects offer) if any day was
+     * disabled; otherwise all days stay empty (24/7).
+     *
+     * @param {number} fromVersion
+     * @param {import('../lib/plugin-interface').StoredDeviceConfig} native
+     * @returns {import('../lib/plugin-interface').StoredDeviceConfig}
+     */
+    migrateConfig(fromVersion, native) {
+        if (fromVersion !== 1) return native;
+
+        const config = { ...native.config };
+        const start = String(config.scheduleStart || '').trim();
+        const end = String(config.scheduleEnd || '').trim();
+        const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const enabledDays = days.filter((day) => config[`schedule${day}`] !== false);
+        const hasWindow = start !== '' && end !== '';
+
+        for (const day of days) {
+            const enabled = enabledDays.includes(day);
+            let dayStart = '';
+            let dayEnd = '';
+            if (enabled && hasWindow) {
+                dayStart = start;
+                dayEnd = end;
+            } else if (enabled && enabledDays.length < days.length) {
+                dayStart = '00:00';
+                dayEnd = '23:30';
+            }
+            // Configs saved by 0.3.x already have per-day windows but no version
+            if (config[`schedule${day}Start`] === undefined) config[`schedule${day}Start`] = dayStart;
+            if (config[`schedule${day}End`] === undefined) config[`schedule${day}End`] = dayEnd;
+            delete config[`schedule${day}`];
+        }
+        delete config.scheduleStart;
+        delete config.scheduleEnd;
+
+        return { ...native, config };
+    }
+
     // ======================================================================
     // Lifecycle
     // ======================================================================
@@ -277,11 +364,11 @@ class SmartDehumidifierPlugin {
      */
     async onInit(ctx) {
         const rt = getRuntime(ctx.deviceId);
-        rt.lowPowerSince = null;
-        rt.commandedOn = false;
+        rt.lowPowerSince = ctx.storage?.get('lowPowerSince', null) ?? null;
+        rt.commandedOn = ctx.storage?.get('commandedOn', false) === true;
 
         // Default output states
-        await ctx.setOutputState('running', false, true);
+        await ctx.setOutputState('running', rt.commandedOn, true);
         await ctx.setOutputState('tankFull', false, true);
 
         // Default enabled to true on first start if not yet set
@@ -307,11 +394,6 @@ class SmartDehumidifierPlugin {
             await ctx.setOutputState('power', Number(powerState.val), true);
         }
 
-        // Start periodic interval for tank-full detection
-        rt.intervalHandle = setInterval(() => {
-            this.onInterval(ctx).catch((e) => ctx.log.error(`Interval error: ${e}`));
-        }, 10_000);
-
         // Evaluate initial humidity to turn on if already above threshold
         if (humState?.val !== null && humState?.val !== undefined) {
             await this._handleHumidityChange(ctx, Number(humState.val));
@@ -345,6 +427,23 @@ class SmartDehumidifierPlugin {
         }
     }
 
+    /**
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {string} outputId
+     * @param {any} value
+     * @returns {Promise<import('../lib/plugin-interface').OutputWriteResult|void>}
+     */
+    async onOutputWrite(ctx, outputId, value) {
+        // Re-enabling after a tank-full event resets the alarm
+        if (outputId === 'enabled' && value === true) {
+            const tankFullState = await ctx.getOutputState('tankFull');
+            if (tankFullState?.val === true) {
+                await ctx.setOutputState('tankFull', false, true);
+                ctx.log.info(`Device "${ctx.deviceId}": tank-full alarm reset by re-enabling`);
+            }
+        }
+    }
+
     /**
      * @param {import('../lib/plugin-interface').PluginContext} ctx
      * @returns {Promise<void>}
@@ -374,6 +473,7 @@ class SmartDehumidifierPlugin {
         if (power < threshold) {
             if (rt.lowPowerSince === null) {
                 rt.lowPowerSince = Date.now();
+                this._persistRuntime(ctx, rt);
             } else if (Date.now() - rt.lowPowerSince >= delay) {
                 // Tank is full — set indicator only, do not turn off
                 const currentTankFull = await ctx.getOutputState('tankFull');
@@ -384,6 +484,7 @@ class SmartDehumidifierPlugin {
             }
         } else {
             rt.lowPowerSince = null;
+            this._persistRuntime(ctx, rt);
             // Reset tankFull when power returns to normal
             const currentTankFull = await ctx.getOutputState('tankFull');
             if (currentTankFull?.val === true) {
@@ -398,10 +499,6 @@ class SmartDehumidifierPlugin {
      * @returns {Promise<void>}
      */
     async onDestroy(ctx) {
-        const rt = runtimeState.get(ctx.deviceId);
-        if (rt?.intervalHandle) {
-            clearInterval(rt.intervalHandle);
-        }
         runtimeState.delete(ctx.deviceId);
         ctx.log.info(`Smart dehumidifier "${ctx.deviceId}" destroyed`);
     }
@@ -523,8 +620,9 @@ class SmartDehumidifierPlugin {
         const threshold = Number(ctx.config.tankFullPowerThreshold ?? 5);
 
         // Reset low-power timer if power is above threshold
-        if (power >= threshold) {
+        if (power >= threshold && rt.lowPowerSince !== null) {
             rt.lowPowerSince = null;
+            this._persistRuntime(ctx, rt);
         }
     }
 
@@ -548,6 +646,18 @@ class SmartDehumidifierPlugin {
         if (!on) {
             rt.lowPowerSince = null;
         }
+        this._persistRuntime(ctx, rt);
+    }
+
+    /**
+     * Save the restart-relevant part of the runtime state.
+     *
+     * @param {import('../lib/plugin-interface').PluginContext} ctx
+     * @param {DehumidifierState} rt
+     */
+    _persistRuntime(ctx, rt) {
+        ctx.storage?.set('commandedOn', rt.commandedOn);
+        ctx.storage?.set('lowPowerSince', rt.lowPowerSince);
     }
 }
 
@@ -2,7 +2,7 @@
 
 const { describe, it, beforeEach } = require('node:test');
 const assert = require('node:assert/strict');
-const { ActionChainExecutor } = require('../lib/action-chain');
+const { ActionChainExecutor, ChainScheduler, simulateChain } = require('../lib/action-chain');
 
 // ---------------------------------------------------------------------------
 // Mock adapter
@@ -10,11 +10,15 @@ const { ActionChainExecutor } = require('../lib/action-chain');
 
 function createMockAdapter() {
     const states = {};
+    const objects = {};
     const written = [];
+    const subscriptions = [];
 
     return {
         states,
+        objects,
         written,
+        subscriptions,
 
         async setForeignStateAsync(id, value, ack) {
             states[id] = { val: value, ack, ts: Date.now() };
@@ -25,8 +29,16 @@ function createMockAdapter() {
             return states[id] || null;
         },
 
-        async subscribeForeignStatesAsync() {},
-        async unsubscribeForeignStatesAsync() {},
+        async getForeignObjectAsync(id) {
+            return objects[id] || null;
+        },
+
+        async subscribeForeignStatesAsync(id) {
+            subscriptions.push(id);
+        },
+        async unsubscribeForeignStatesAsync(id) {
+            subscriptions.splice(subscriptions.indexOf(id), 1);
+        },
     };
 }
 
@@ -177,6 +189,128 @@ describe('ActionChainExecutor', () => {
             await executor.execute(adapter, chain2, mockLog);
             assert.equal(adapter.written.length, 1);
         });
+
+        it('waits on another object with an ordering operator', async () => {
+            adapter.states['plug.power'] = { val: 0, ack: true, ts: Date.now() };
+            const chain = [
+                { objectId: 'plug.on', value: true },
+                {
+                    objectId: 'light', value: true,
+                    waitBefore: { type: 'state', objectId: 'plug.power', operator: '>', value: 50, timeout: 2000 },
+                },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            setTimeout(() => executor.onStateChange('plug.power', { val: 12, ack: true, ts: Date.now() }), 20);
+            setTimeout(() => executor.onStateChange('plug.power', { val: 80, ack: true, ts: Date.now() }), 40);
+            await promise;
+
+            assert.deepEqual(adapter.written.map((w) => w.id), ['plug.on', 'light']);
+        });
+
+        it('supports between ranges', async () => {
+            adapter.states['temp'] = { val: 22.5, ack: true, ts: Date.now() };
+            const chain = [
+                { objectId: 'fan', value: 1, waitBefore: { type: 'state', objectId: 'temp', operator: 'between', value: '25..20' } },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+            assert.equal(adapter.written.length, 1);
+        });
+
+        it('waits for any change with operator changes', async () => {
+            adapter.states['button'] = { val: 3, ack: true, ts: Date.now() };
+            const chain = [
+                { objectId: 'lamp', value: true, waitBefore: { type: 'state', objectId: 'button', operator: 'changes', timeout: 2000 } },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            executor.onStateChange('button', { val: 3, ack: true, ts: Date.now() });
+            assert.equal(adapter.written.length, 0);
+
+            executor.onStateChange('button', { val: 4, ack: true, ts: Date.now() });
+            await promise;
+            assert.equal(adapter.written.length, 1);
+        });
+
+        it('ignores unacknowledged values with ackOnly', async () => {
+            // Our own command echoes back unacknowledged
+            adapter.states['relay'] = { val: true, ack: false, ts: Date.now() };
+            const chain = [
+                { objectId: 'speed', value: 2, waitBefore: { type: 'state', objectId: 'relay', value: true, ackOnly: true, timeout: 2000 } },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            executor.onStateChange('relay', { val: true, ack: false, ts: Date.now() });
+            assert.equal(adapter.written.length, 0);
+
+            executor.onStateChange('relay', { val: true, ack: true, ts: Date.now() });
+            await promise;
+            assert.equal(adapter.written.length, 1);
+        });
+
+        it('subscribes to a wait object other than the written one until the wait is met', async () => {
+            const chain = [
+                { objectId: 'plug.on', value: true },
+                { objectId: 'light', value: true, waitBefore: { type: 'state', objectId: 'plug.power', operator: '>', value: 50, timeout: 2000 } },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            assert.deepEqual(adapter.subscriptions, ['plug.power']);
+
+            executor.onStateChange('plug.power', { val: 80, ack: true, ts: Date.now() });
+            await promise;
+            assert.deepEqual(adapter.written.map((w) => w.id), ['plug.on', 'light']);
+            assert.deepEqual(adapter.subscriptions, [], 'released after the wait');
+        });
+
+        it('releases the wait subscription on timeout and abort', async () => {
+            const timeoutChain = [
+                { objectId: 'x', value: 1, waitBefore: { type: 'state', objectId: 'power', value: 10, timeout: 30 } },
+            ];
+            await assert.rejects(executor.execute(adapter, timeoutChain, mockLog), /Timeout/);
+            assert.deepEqual(adapter.subscriptions, []);
+
+            const ex = new ActionChainExecutor();
+            const abortChain = [
+                { objectId: 'x', value: 1, waitBefore: { type: 'state', objectId: 'power', value: 10, timeout: 5000 } },
+            ];
+            const promise = ex.execute(adapter, abortChain, mockLog);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            ex.abort();
+            await assert.rejects(promise, /aborted/);
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.deepEqual(adapter.subscriptions, []);
+        });
+
+        it('subscribes through the subscribeState option', async () => {
+            const calls = [];
+            const subscribeState = async (id) => {
+                calls.push(`+${id}`);
+                return async () => {
+                    calls.push(`-${id}`);
+                };
+            };
+            adapter.states['relay'] = { val: true, ack: true, ts: Date.now() };
+            const chain = [
+                { objectId: 'speed', value: 2, waitBefore: { type: 'state', objectId: 'relay', value: true } },
+            ];
+
+            await executor.execute(adapter, chain, mockLog, { subscribeState });
+            assert.deepEqual(calls, ['+relay', '-relay']);
+            assert.deepEqual(adapter.subscriptions, [], 'the adapter is not subscribed directly');
+        });
+
+        it('names the operator in the timeout error', async () => {
+            const chain = [
+                { objectId: 'x', value: 1, waitBefore: { type: 'state', objectId: 'power', operator: '>=', value: 10, timeout: 50 } },
+            ];
+
+            await assert.rejects(executor.execute(adapter, chain, mockLog), /Timeout waiting for power >= 10/);
+        });
     });
 
     describe('abort', () => {
@@ -257,4 +391,665 @@ describe('ActionChainExecutor', () => {
             assert.equal(adapter.written.length, 0);
         });
     });
+
+    describe('conditions and jumps', () => {
+        it('skips a step whose condition is not met', async () => {
+            adapter.states['screen.position'] = { val: 'down' };
+            adapter.states['amp.input'] = { val: 'tv' };
+            const chain = [
+                { objectId: 'screen.cmd', value: 'down', condition: { objectId: 'screen.position', operator: '==', value: 'up' } },
+                { objectId: 'amp.input', value: 'hdmi1', condition: { objectId: 'amp.input', operator: '!=', value: 'HDMI1' } },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['amp.input']);
+        });
+
+        it('compares numerically for ordering operators', async () => {
+            adapter.states['amp.volume'] = { val: '35' };
+            const chain = [
+                { objectId: 'amp.volume', value: 30, condition: { objectId: 'amp.volume', operator: '>', value: 30 } },
+                { objectId: 'amp.bass', value: 0, condition: { objectId: 'amp.missing', operator: '<', value: 30 } },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['amp.volume']);
+        });
+
+        it('implements if/else with elseGoto and goto', async () => {
+            const chain = [
+                { objectId: 'lights', value: 10, condition: { objectId: 'mode', value: 'movie' }, elseGoto: 'bright', goto: 'done' },
+                { label: 'bright', objectId: 'lights', value: 80 },
+                { label: 'done', objectId: 'beamer', value: true },
+            ];
+
+            adapter.states.mode = { val: 'movie' };
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => `${w.id}=${w.value}`), ['lights=10', 'beamer=true']);
+
+            adapter.written.length = 0;
+            adapter.states.mode = { val: 'music' };
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => `${w.id}=${w.value}`), ['lights=80', 'beamer=true']);
+        });
+
+        it('supports branch-only steps without objectId', async () => {
+            adapter.states['amp.power'] = { val: true };
+            const chain = [
+                { objectId: '', value: '', condition: { objectId: 'amp.power', value: false }, elseGoto: 'input' },
+                { objectId: 'amp.power', value: true },
+                { label: 'input', objectId: 'amp.input', value: 'hdmi1' },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['amp.input']);
+        });
+
+        it('rejects unknown jump targets before writing anything', async () => {
+            const chain = [
+                { objectId: 'relay', value: true, goto: 'nowhere' },
+            ];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog), { message: 'Unknown chain label "nowhere"' });
+            assert.equal(adapter.written.length, 0);
+        });
+
+        it('stops endless loops', async () => {
+            const chain = [
+                { label: 'loop', objectId: 'relay', value: true, goto: 'loop' },
+            ];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog), /exceeded \d+ jumps/);
+        });
+    });
+
+    describe('parallel blocks', () => {
+        it('starts all members of a block together', async () => {
+            const chain = [
+                { objectId: 'beamer', value: true, parallel: 'power', waitBefore: { type: 'delay', ms: 40 } },
+                { objectId: 'amp', value: true, parallel: 'power', waitBefore: { type: 'delay', ms: 40 } },
+                { objectId: 'lamp1', value: 20, parallel: 'power', waitBefore: { type: 'delay', ms: 10 } },
+                { objectId: 'screen', value: 'down' },
+            ];
+
+            const start = Date.now();
+            await executor.execute(adapter, chain, mockLog);
+            const elapsed = Date.now() - start;
+
+            assert.ok(elapsed < 75, `block took ${elapsed}ms`);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['lamp1', 'beamer', 'amp', 'screen']);
+        });
+
+        it('waits for every member including state waits', async () => {
+            const chain = [
+                { objectId: 'beamer', value: true, parallel: 'a' },
+                { objectId: 'amp.input', value: 'hdmi1', parallel: 'a', waitBefore: { type: 'state', objectId: 'amp.ready', value: true } },
+                { objectId: 'screen', value: 'down' },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            assert.deepEqual(adapter.written.map((w) => w.id), ['beamer']);
+
+            executor.onStateChange('amp.ready', { val: true });
+            await promise;
+            assert.deepEqual(adapter.written.map((w) => w.id), ['beamer', 'amp.input', 'screen']);
+        });
+
+        it('treats separate groups as separate blocks', async () => {
+            const chain = [
+                { objectId: 'a', value: 1, parallel: 'one', waitBefore: { type: 'delay', ms: 30 } },
+                { objectId: 'b', value: 1, parallel: 'two' },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['a', 'b']);
+        });
+
+        it('aborts all running members at once', async () => {
+            const chain = [
+                { objectId: 'a', value: 1, parallel: 'p', waitBefore: { type: 'delay', ms: 200 } },
+                { objectId: 'b', value: 1, parallel: 'p', waitBefore: { type: 'state', objectId: 'b.ready', value: true } },
+                { objectId: 'c', value: 1 },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            setTimeout(() => executor.abort(), 20);
+
+            const start = Date.now();
+            await assert.rejects(() => promise, { message: 'Action chain aborted' });
+            assert.ok(Date.now() - start < 100);
+            assert.equal(adapter.written.length, 0);
+        });
+
+        it('applies the onError policy after all members settled', async () => {
+            const write = adapter.setForeignStateAsync;
+            adapter.setForeignStateAsync = async (id, value, ack) => {
+                if (id === 'amp') throw new Error('amp offline');
+                return write(id, value, ack);
+            };
+            const chain = [
+                { objectId: 'amp', value: true, parallel: 'p' },
+                { objectId: 'beamer', value: true, parallel: 'p', waitBefore: { type: 'delay', ms: 20 } },
+                { objectId: 'screen', value: 'down' },
+            ];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog), { message: 'amp offline' });
+            assert.deepEqual(adapter.written.map((w) => w.id), ['beamer']);
+
+            adapter.written.length = 0;
+            chain[0].onError = 'continue';
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['beamer', 'screen']);
+        });
+
+        it('rejects jumps inside a block', async () => {
+            const chain = [
+                { label: 'x', objectId: 'a', value: 1, parallel: 'p', goto: 'x' },
+            ];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog), /not allowed in parallel block/);
+        });
+    });
+
+    describe('retries and onError', () => {
+        /**
+         * Make writes to `failId` fail `times` times, then succeed.
+         */
+        function failWrites(failId, times) {
+            const write = adapter.setForeignStateAsync;
+            const attempts = [];
+            adapter.setForeignStateAsync = async (id, value, ack) => {
+                if (id === failId) {
+                    attempts.push(Date.now());
+                    if (attempts.length <= times) throw new Error(`${id} offline`);
+                }
+                return write(id, value, ack);
+            };
+            return attempts;
+        }
+
+        it('retries a failed write with doubling delay', async () => {
+            const attempts = failWrites('beamer', 2);
+            const chain = [
+                { objectId: 'amp', value: true },
+                { objectId: 'beamer', value: true, retries: 2, retryDelayMs: 20 },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+
+            assert.equal(attempts.length, 3);
+            assert.ok(attempts[1] - attempts[0] >= 15);
+            assert.ok(attempts[2] - attempts[1] >= 35);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['amp', 'beamer']);
+        });
+
+        it('fails after the last retry', async () => {
+            const attempts = failWrites('beamer', 5);
+            const chain = [{ objectId: 'beamer', value: true, retries: 1, retryDelayMs: 5 }];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog), { message: 'beamer offline' });
+            assert.equal(attempts.length, 2);
+        });
+
+        it('retries a state wait timeout without repeating a successful wait', async () => {
+            const chain = [
+                { objectId: 'amp', value: true },
+                {
+                    objectId: 'input', value: 'hdmi1',
+                    waitBefore: { type: 'state', objectId: 'amp.ready', value: true, timeout: 20 },
+                    retries: 1, retryDelayMs: 5,
+                },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            // First wait times out after 20ms, the retry sees the state
+            setTimeout(() => {
+                adapter.states['amp.ready'] = { val: true };
+                executor.onStateChange('amp.ready', { val: true });
+            }, 35);
+            await promise;
+
+            assert.deepEqual(adapter.written.map((w) => w.id), ['amp', 'input']);
+        });
+
+        it('continues with the next step on onError=continue', async () => {
+            failWrites('beamer', 5);
+            const chain = [
+                { objectId: 'beamer', value: true, onError: 'continue' },
+                { objectId: 'screen', value: 'down' },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['screen']);
+        });
+
+        it('runs the compensating chain and aborts on onError=runChain', async () => {
+            failWrites('beamer', 5);
+            const chains = { off: [{ objectId: 'amp', value: false }] };
+            const chain = [
+                { objectId: 'amp', value: true },
+                { objectId: 'beamer', value: true, onError: 'runChain:off' },
+                { objectId: 'screen', value: 'down' },
+            ];
+
+            await assert.rejects(
+                () => executor.execute(adapter, chain, mockLog, { resolveChain: (slotId) => chains[slotId] }),
+                { message: 'beamer offline' }
+            );
+            assert.deepEqual(adapter.written.map((w) => `${w.id}=${w.value}`), ['amp=true', 'amp=false']);
+        });
+
+        it('aborts when the compensating chain does not exist', async () => {
+            failWrites('beamer', 5);
+            const chain = [{ objectId: 'beamer', value: true, onError: 'runChain:missing' }];
+
+            await assert.rejects(
+                () => executor.execute(adapter, chain, mockLog, { resolveChain: () => null }),
+                { message: 'beamer offline' }
+            );
+        });
+
+        it('does not retry after abort', async () => {
+            const attempts = failWrites('beamer', 5);
+            const chain = [{ objectId: 'beamer', value: true, retries: 3, retryDelayMs: 30 }];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            setTimeout(() => executor.abort(), 10);
+
+            await assert.rejects(() => promise, { message: 'Action chain aborted' });
+            assert.equal(attempts.length, 1);
+        });
+    });
+
+    describe('execution trace', () => {
+        it('records every step of a successful run', async () => {
+            adapter.states['cond'] = { val: 0, ack: true, ts: Date.now() };
+            const chain = [
+                { label: 'start', objectId: 'relay', value: true },
+                { objectId: 'speed', value: 2, waitBefore: { type: 'delay', ms: 20 } },
+                { objectId: 'mode', value: 'x', condition: { objectId: 'cond', value: 1 } },
+            ];
+
+            await executor.execute(adapter, chain, mockLog);
+
+            const trace = executor.trace;
+            assert.equal(trace.outcome, 'success');
+            assert.ok(trace.endedAt >= trace.startedAt);
+            assert.deepEqual(trace.steps.map((s) => [s.index, s.objectId, s.waitType, s.outcome]), [
+                [0, 'relay', 'none', 'written'],
+                [1, 'speed', 'delay', 'written'],
+                [2, 'mode', 'none', 'skipped'],
+            ]);
+            assert.equal(trace.steps[0].label, 'start');
+            assert.ok(trace.steps[1].endedAt - trace.steps[1].startedAt >= 15);
+        });
+
+        it('records the failed step, attempts and error', async () => {
+            adapter.setForeignStateAsync = async (id) => {
+                if (id === 'beamer') throw new Error('beamer offline');
+            };
+            const chain = [
+                { objectId: 'amp', value: true },
+                { objectId: 'beamer', value: true, retries: 1, retryDelayMs: 5 },
+                { objectId: 'screen', value: 0 },
+            ];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog));
+
+            const trace = executor.trace;
+            assert.equal(trace.outcome, 'failed');
+            assert.equal(trace.error, 'beamer offline');
+            assert.equal(trace.steps.length, 2);
+            assert.equal(trace.steps[1].outcome, 'failed');
+            assert.equal(trace.steps[1].attempts, 2);
+            assert.equal(trace.steps[1].error, 'beamer offline');
+        });
+
+        it('marks compensating steps with their chain', async () => {
+            adapter.setForeignStateAsync = async (id) => {
+                if (id === 'beamer') throw new Error('beamer offline');
+            };
+            const chain = [{ objectId: 'beamer', value: true, onError: 'runChain:off' }];
+            const off = [{ objectId: 'amp', value: false }];
+
+            await assert.rejects(() => executor.execute(adapter, chain, mockLog, { resolveChain: () => off }));
+
+            assert.deepEqual(executor.trace.steps.map((s) => [s.chain, s.objectId, s.outcome]), [
+                [undefined, 'beamer', 'failed'],
+                ['off', 'amp', 'written'],
+            ]);
+        });
+
+        it('records an aborted run', async () => {
+            const chain = [{ objectId: 'x', value: 1, waitBefore: { type: 'state', objectId: 'never', value: true } }];
+
+            const promise = executor.execute(adapter, chain, mockLog);
+            setTimeout(() => executor.abort(), 10);
+            await assert.rejects(() => promise);
+
+            assert.equal(executor.trace.outcome, 'aborted');
+            assert.equal(executor.trace.steps[0].outcome, 'aborted');
+            assert.equal(executor.trace.steps[0].waitType, 'state');
+        });
+    });
+
+    describe('library includes', () => {
+        const library = {
+            alloff: [{ objectId: 'light1', value: false }, { objectId: 'light2', value: false }],
+            loop: [{ objectId: 'x', value: 1, include: 'loop' }],
+        };
+        const resolveInclude = async (id) => library[id] || null;
+
+        it('runs the library chain in place of the include step', async () => {
+            const chain = [
+                { objectId: 'tv', value: false, include: 'alloff' },
+                { objectId: 'amp', value: false },
+            ];
+
+            await executor.execute(adapter, chain, mockLog, { resolveInclude });
+
+            assert.deepEqual(adapter.written.map((w) => w.id), ['tv', 'light1', 'light2', 'amp']);
+            assert.deepEqual(executor.trace.steps.map((s) => [s.chain, s.objectId]), [
+                [undefined, 'tv'],
+                ['library:alloff', 'light1'],
+                ['library:alloff', 'light2'],
+                [undefined, 'amp'],
+            ]);
+        });
+
+        it('runs a reference-only step without writing', async () => {
+            await executor.execute(adapter, [{ objectId: '', value: '', include: 'alloff' }], mockLog, { resolveInclude });
+
+            assert.deepEqual(adapter.written.map((w) => w.id), ['light1', 'light2']);
+        });
+
+        it('does not include when the step condition is not met', async () => {
+            adapter.states['cond'] = { val: 0, ack: true, ts: Date.now() };
+            const chain = [{ objectId: '', value: '', include: 'alloff', condition: { objectId: 'cond', value: 1 } }];
+
+            await executor.execute(adapter, chain, mockLog, { resolveInclude });
+
+            assert.equal(adapter.written.length, 0);
+        });
+
+        it('fails for unknown and self-including chains', async () => {
+            await assert.rejects(
+                () => executor.execute(adapter, [{ objectId: '', value: '', include: 'nope' }], mockLog, { resolveInclude }),
+                /Library chain "nope" not found/,
+            );
+            await assert.rejects(
+                () => new ActionChainExecutor().execute(adapter, [{ objectId: '', value: '', include: 'loop' }], mockLog, { resolveInclude }),
+                /Library chain "loop" includes itself/,
+            );
+        });
+    });
+
+    describe('simulateChain', () => {
+        /** @param {Record<string, string>} types - objectId → common.type */
+        function defineObjects(types) {
+            for (const [id, type] of Object.entries(types)) {
+                adapter.objects[id] = { type: 'state', common: { type } };
+            }
+        }
+
+        it('reports nothing for a valid chain and writes nothing', async () => {
+            defineObjects({ relay: 'boolean', speed: 'number' });
+            const chain = [
+                { objectId: 'relay', value: true },
+                { objectId: 'speed', value: 2, waitBefore: { type: 'delay', ms: 1500 } },
+            ];
+
+            const result = await simulateChain(adapter, chain);
+
+            assert.deepEqual(result.issues, []);
+            assert.equal(result.durationMs, 1500);
+            assert.equal(adapter.written.length, 0);
+        });
+
+        it('reports missing objects, including wait and condition objects', async () => {
+            defineObjects({ relay: 'boolean' });
+            const chain = [
+                { objectId: 'missing', value: 1 },
+                { objectId: 'relay', value: true, waitBefore: { type: 'state', objectId: 'gone', value: 1 }, condition: { objectId: 'nope', value: 1 } },
+            ];
+
+            const result = await simulateChain(adapter, chain);
+
+            assert.deepEqual(result.issues.map((i) => [i.level, i.index, i.message]), [
+                ['error', 0, 'object missing does not exist'],
+                ['error', 1, 'object gone does not exist'],
+                ['error', 1, 'object nope does not exist'],
+            ]);
+        });
+
+        it('checks values against common.type', async () => {
+            defineObjects({ speed: 'number', relay: 'boolean', label: 'string', any: 'mixed' });
+            const chain = [
+                { objectId: 'speed', value: 'fast' },
+                { objectId: 'speed', value: '3' },
+                { objectId: 'relay', value: 'maybe' },
+                { objectId: 'relay', value: 'true' },
+                { objectId: 'label', value: 'x' },
+                { objectId: 'any', value: 'x' },
+            ];
+
+            const result = await simulateChain(adapter, chain);
+
+            // Text that converts to the object's type is fine
+            assert.deepEqual(result.issues.map((i) => [i.level, i.index]), [
+                ['error', 0],
+                ['error', 2],
+            ]);
+        });
+
+        it('checks only the syntax of templates', async () => {
+            defineObjects({ volume: 'number' });
+            const chain = [
+                { objectId: 'volume', value: '{{out.volume + 10}}' },
+                { objectId: 'volume', value: '{{out.volume +}}' },
+            ];
+
+            const result = await simulateChain(adapter, chain);
+
+            assert.deepEqual(result.issues.map((i) => i.index), [1]);
+            assert.match(result.issues[0].message, /invalid template/);
+        });
+
+        it('estimates parallel blocks by their longest member and state waits by their timeout', async () => {
+            defineObjects({ a: 'number', b: 'number', c: 'number' });
+            const chain = [
+                { objectId: 'a', value: 1, parallel: 'p', waitBefore: { type: 'delay', ms: 1000 } },
+                { objectId: 'b', value: 1, parallel: 'p', waitBefore: { type: 'delay', ms: 3000 } },
+                { objectId: 'c', value: 1, waitBefore: { type: 'state', objectId: 'a', value: 1, timeout: 5000 } },
+            ];
+
+            const result = await simulateChain(adapter, chain);
+
+            assert.equal(result.durationMs, 3000);
+            assert.equal(result.maxDurationMs, 8000);
+        });
+
+        it('checks compensating chains and jump targets', async () => {
+            defineObjects({ beamer: 'boolean' });
+            const chain = [
+                { objectId: 'beamer', value: true, onError: 'runChain:off', goto: 'nowhere' },
+            ];
+            const off = [{ objectId: 'amp', value: false }];
+
+            const result = await simulateChain(adapter, chain, { resolveChain: (id) => (id === 'off' ? off : null) });
+
+            assert.deepEqual(result.issues.map((i) => [i.chain, i.index, i.message]), [
+                [undefined, undefined, 'Unknown chain label "nowhere"'],
+                ['off', 0, 'object amp does not exist'],
+            ]);
+        });
+
+        it('checks included library chains and adds their duration', async () => {
+            defineObjects({ tv: 'boolean', light1: 'boolean' });
+            const library = {
+                alloff: [{ objectId: 'light1', value: false, waitBefore: { type: 'delay', ms: 500 } }, { objectId: 'light2', value: false }],
+            };
+            const chain = [
+                { objectId: 'tv', value: false, include: 'alloff' },
+                { objectId: '', value: '', include: 'missing' },
+            ];
+
+            const result = await simulateChain(adapter, chain, { resolveInclude: async (id) => library[id] || null });
+
+            assert.deepEqual(result.issues.map((i) => [i.chain, i.index, i.message]), [
+                ['library:alloff', 1, 'object light2 does not exist'],
+                [undefined, 1, 'library chain "missing" not found'],
+            ]);
+            assert.equal(result.durationMs, 500);
+        });
+    });
+
+    describe('ChainScheduler', () => {
+        let scheduler;
+
+        beforeEach(() => {
+            scheduler = new ChainScheduler();
+        });
+
+        /** Schedule a chain writing `id` after `ms`. */
+        function start(id, ms, options) {
+            const chain = [{ objectId: id, value: true, waitBefore: { type: 'delay', ms } }];
+            return scheduler.schedule((executor) => executor.execute(adapter, chain, mockLog), options);
+        }
+
+        it('returns a handle before the chain has run', async () => {
+            const handle = start('a', 20);
+
+            assert.equal(handle.dropped, false);
+            assert.equal(adapter.written.length, 0);
+            await handle.promise;
+            assert.equal(adapter.written.length, 1);
+            assert.equal(handle.executor.trace.outcome, 'success');
+        });
+
+        it('runs chains without policy independently', async () => {
+            const first = start('a', 30, {});
+            const second = start('b', 10, {});
+
+            await Promise.all([first.promise, second.promise]);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['b', 'a']);
+        });
+
+        it('aborts the previous run with abortPrevious', async () => {
+            const first = start('a', 50, { policy: 'abortPrevious' });
+            const second = start('b', 10, { policy: 'abortPrevious' });
+
+            await assert.rejects(() => first.promise, /aborted/);
+            await second.promise;
+            assert.deepEqual(adapter.written.map((w) => w.id), ['b']);
+        });
+
+        it('only applies the policy to runs with the same key', async () => {
+            const first = start('a', 30, { policy: 'abortPrevious', key: 'power' });
+            const second = start('b', 10, { policy: 'abortPrevious', key: 'screen' });
+
+            await Promise.all([first.promise, second.promise]);
+            assert.equal(adapter.written.length, 2);
+        });
+
+        it('starts queued runs one after the other', async () => {
+            const first = start('a', 30, { policy: 'queue' });
+            const second = start('b', 10, { policy: 'queue' });
+            const third = start('c', 0, { policy: 'queue' });
+
+            assert.ok(scheduler.isBusy());
+            await Promise.all([first.promise, second.promise, third.promise]);
+            assert.deepEqual(adapter.written.map((w) => w.id), ['a', 'b', 'c']);
+            assert.equal(scheduler.isBusy(), false);
+        });
+
+        it('starts a queued run after a failed one and never starts an aborted one', async () => {
+            const failing = scheduler.schedule(async () => { throw new Error('offline'); }, { policy: 'queue' });
+            const aborted = start('a', 0, { policy: 'queue' });
+            const last = start('b', 0, { policy: 'queue' });
+            aborted.abort();
+
+            await assert.rejects(() => failing.promise, /offline/);
+            await assert.rejects(() => aborted.promise, /aborted/);
+            await last.promise;
+            assert.deepEqual(adapter.written.map((w) => w.id), ['b']);
+        });
+
+        it('drops a run while busy with dropIfBusy', async () => {
+            const first = start('a', 20, { policy: 'dropIfBusy' });
+            const second = start('b', 0, { policy: 'dropIfBusy' });
+
+            assert.equal(second.dropped, true);
+            await second.promise;
+            await first.promise;
+            assert.deepEqual(adapter.written.map((w) => w.id), ['a']);
+
+            const third = start('c', 0, { policy: 'dropIfBusy' });
+            assert.equal(third.dropped, false);
+            await third.promise;
+        });
+    });
+
+    describe('template values and type coercion', () => {
+        const variables = { 'config.volumeDefault': 30, 'out.volume': '42', 'in.mode': 'movie' };
+        const resolveVariable = async (path) => {
+            if (!(path in variables)) throw new Error(`Unknown variable "${path}"`);
+            return variables[path];
+        };
+
+        it('evaluates templates at execution time', async () => {
+            const chain = [
+                { objectId: 'amp.volume', value: '{{config.volumeDefault + 10}}' },
+                { objectId: 'amp.label', value: 'Mode: {{in.mode}}' },
+            ];
+
+            await executor.execute(adapter, chain, mockLog, { resolveVariable });
+
+            assert.deepEqual(adapter.written.map((w) => w.value), [40, 'Mode: movie']);
+            assert.equal(executor.trace.steps[0].value, 40);
+        });
+
+        it('reads variables when the step runs, not when the chain starts', async () => {
+            const values = { 'out.volume': 10 };
+            const chain = [
+                { objectId: 'a', value: 1 },
+                { objectId: 'b', value: '{{out.volume}}', waitBefore: { type: 'delay', ms: 20 } },
+            ];
+
+            const promise = executor.execute(adapter, chain, mockLog, { resolveVariable: async (p) => values[p] });
+            setTimeout(() => { values['out.volume'] = 25; }, 5);
+            await promise;
+
+            assert.equal(adapter.written[1].value, 25);
+        });
+
+        it('fails the step on unknown variables and errors', async () => {
+            await assert.rejects(
+                () => executor.execute(adapter, [{ objectId: 'a', value: '{{out.missing}}' }], mockLog, { resolveVariable }),
+                /Unknown variable "out.missing"/
+            );
+            await assert.rejects(
+                () => new ActionChainExecutor().execute(adapter, [{ objectId: 'a', value: '{{1 / 0}}' }], mockLog, { resolveVariable }),
+                /Division by zero/
+            );
+        });
+
+        it('converts values to the common.type of the target object', async () => {
+            adapter.objects['speed'] = { common: { type: 'number' } };
+            adapter.objects['relay'] = { common: { type: 'boolean' } };
+            adapter.objects['text'] = { common: { type: 'string' } };
+            const chain = [
+                { objectId: 'speed', value: '3' },
+                { objectId: 'relay', value: 'false' },
+                { objectId: 'text', value: '{{out.volume * 2}}' },
+                { objectId: 'speed', value: '{{out.volume}}' },
+                { objectId: 'untyped', value: '5' },
+            ];
+
+            await executor.execute(adapter, chain, mockLog, { resolveVariable });
+
+            assert.deepEqual(adapter.written.map((w) => w.value), [3, false, '84', 42, '5']);
+        });
+    });
 });
@@ -3,6 +3,7 @@
 const { describe, it, beforeEach } = require('node:test');
 const assert = require('node:assert/strict');
 const { BathroomFanPlugin } = require('../plugins/bathroom-fan');
+const { DeviceTimers } = require('../lib/device-timers');
 
 // ---------------------------------------------------------------------------
 // Mock PluginContext
@@ -12,6 +13,7 @@ function createMockContext(overrides = {}) {
     const outputStates = {};
     const inputStates = {};
     const writtenForeignStates = [];
+    const timers = new DeviceTimers({ error: () => {} });
 
     return {
         deviceId: overrides.deviceId || 'test-fan-1',
@@ -55,10 +57,14 @@ function createMockContext(overrides = {}) {
         getInputState: async (id) => {
             return inputStates[id] || null;
         },
+        setTimeout: (cb, ms) => timers.setTimeout(cb, ms),
+        setInterval: (cb, ms) => timers.setInterval(cb, ms),
+        clearTimer: (handle) => timers.clearTimer(handle),
         // Test helpers
         _outputStates: outputStates,
         _inputStates: inputStates,
         _writtenForeignStates: writtenForeignStates,
+        _timers: timers,
     };
 }
 
@@ -310,6 +316,69 @@ describe('BathroomFanPlugin', () => {
         });
     });
 
+    describe('action chains', () => {
+        it('returns from onInputChange while the chain is still running', async () => {
+            const ctx = createMockContext();
+            let finish;
+            ctx.chains = { on: [{ objectId: 'fan.command', value: 1 }, { delayMs: 60000 }] };
+            ctx.executeChain = () => ({ promise: new Promise((resolve) => { finish = resolve; }), abort() {} });
+            await plugin.onInit(ctx);
+
+            await plugin.onInputChange(ctx, 'humiditySensor', { val: 70 });
+            assert.equal(ctx._outputStates.active.val, false);
+
+            finish();
+            await new Promise((resolve) => setImmediate(resolve));
+            assert.equal(ctx._outputStates.active.val, true);
+        });
+    });
+
+    describe('persistence', () => {
+        function createMockStorage(initial = {}) {
+            const data = { ...initial };
+            return {
+                data,
+                get: (key, def) => (key in data ? data[key] : def),
+                set: (key, val) => { data[key] = val; },
+                delete: (key) => { delete data[key]; },
+                flush: async () => {},
+            };
+        }
+
+        it('persists the pending off-delay', async () => {
+            const ctx = createMockContext({ config: { offDelay: 60 } });
+            ctx.storage = createMockStorage();
+            await plugin.onInit(ctx);
+
+            await plugin.onInputChange(ctx, 'humiditySensor', { val: 70 });
+            assert.equal(ctx.storage.data.lastCommandValue, 1);
+
+            await plugin.onInputChange(ctx, 'humiditySensor', { val: 50 });
+            assert.ok(ctx.storage.data.offUntil > Date.now(), 'offUntil should be in the future');
+
+            await plugin.onDestroy(ctx);
+            assert.ok(ctx.storage.data.offUntil, 'offUntil must survive destroy for the restart');
+            assert.equal(ctx._timers.size, 0, 'off-delay timer should be cleared on destroy');
+        });
+
+        it('resumes the remaining off-delay after a restart', async () => {
+            const ctx = createMockContext({ config: { offDelay: 60 } });
+            ctx.storage = createMockStorage({ lastCommandValue: 1, offUntil: Date.now() + 30 });
+            ctx._inputStates.humiditySensor = { val: 50 };
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active.val, true, 'Fan should still be reported as running');
+
+            await new Promise((resolve) => setTimeout(resolve, 60));
+
+            assert.ok(ctx._writtenForeignStates.some(s => s.id === 'fan.command' && s.val === 0), 'Fan should be turned off');
+            assert.equal(ctx._outputStates.active.val, false);
+            assert.equal(ctx.storage.data.offUntil, undefined);
+
+            await plugin.onDestroy(ctx);
+        });
+    });
+
     describe('onDestroy', () => {
         it('cleans up runtime state', async () => {
             const ctx = createMockContext();
@@ -321,4 +390,27 @@ describe('BathroomFanPlugin', () => {
             assert.equal(ctx._outputStates.active.val, false);
         });
     });
+
+    describe('validateConfig', () => {
+        const config = { fanOnValue: '1', fanOffValue: '0', statusOnValue: '1', statusOffValue: '0' };
+
+        it('accepts valid settings with or without the presence trigger', () => {
+            assert.deepEqual(plugin.validateConfig(config, { humiditySensor: 'h' }), []);
+            assert.deepEqual(plugin.validateConfig(config, { presenceSensor: 'p', doorContact: 'd' }), []);
+        });
+
+        it('requires presence sensor and door contact together', () => {
+            assert.deepEqual(plugin.validateConfig(config, { presenceSensor: 'p' }),
+                ['inputs.doorContact: required together with the presence sensor']);
+            assert.deepEqual(plugin.validateConfig(config, { doorContact: 'd' }),
+                ['inputs.presenceSensor: required together with the door contact']);
+        });
+
+        it('requires different ON and OFF values', () => {
+            assert.deepEqual(plugin.validateConfig({ ...config, fanOffValue: 1, statusOffValue: '1' }, {}), [
+                'config.fanOffValue: must differ from the fan ON value',
+                'config.statusOffValue: must differ from the status ON value',
+            ]);
+        });
+    });
 });
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChainLibrary, LIBRARY_OBJECT_ID } = require('../lib/chain-library');
+
+// ---------------------------------------------------------------------------
+// Mock adapter
+// ---------------------------------------------------------------------------
+
+function createMockAdapter() {
+    const objects = {};
+
+    return {
+        objects,
+
+        async getObjectAsync(id) {
+            return objects[id] || null;
+        },
+
+        async setObjectAsync(id, obj) {
+            objects[id] = JSON.parse(JSON.stringify(obj));
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('ChainLibrary', () => {
+    let adapter;
+    let library;
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        library = new ChainLibrary(adapter);
+    });
+
+    it('is empty without a library object', async () => {
+        assert.deepEqual(await library.list(), []);
+        assert.equal(await library.get('alloff'), null);
+    });
+
+    it('saves chains into the library object and lists them by name', async () => {
+        await library.save('zzz', { name: 'All lights off', steps: [{ objectId: 'light', value: false }] });
+        await library.save('aaa', { name: 'Wake up', steps: [] });
+
+        assert.equal(adapter.objects[LIBRARY_OBJECT_ID].type, 'folder');
+        assert.deepEqual((await library.list()).map((c) => c.id), ['zzz', 'aaa']);
+        assert.deepEqual(await library.get('zzz'), { name: 'All lights off', steps: [{ objectId: 'light', value: false }] });
+    });
+
+    it('replaces an existing chain and defaults the name to the id', async () => {
+        await library.save('alloff', { name: 'Old', steps: [] });
+        await library.save('alloff', { name: '', steps: [{ objectId: 'x', value: 1 }] });
+
+        assert.deepEqual(await library.get('alloff'), { name: 'alloff', steps: [{ objectId: 'x', value: 1 }] });
+    });
+
+    it('rejects invalid ids', async () => {
+        await assert.rejects(() => library.save('all off', { name: 'x', steps: [] }), /Invalid library chain id/);
+        await assert.rejects(() => library.save('', { name: 'x', steps: [] }), /Invalid library chain id/);
+    });
+
+    it('deletes chains', async () => {
+        await library.save('alloff', { name: 'All off', steps: [] });
+
+        assert.equal(await library.delete('alloff'), true);
+        assert.equal(await library.delete('alloff'), false);
+        assert.equal(await library.get('alloff'), null);
+    });
+
+    it('does not expose inherited properties as chains', async () => {
+        assert.equal(await library.get('constructor'), null);
+    });
+});
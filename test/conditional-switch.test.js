@@ -0,0 +1,596 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConditionalSwitchPlugin } = require('../plugins/conditional-switch');
+const { DeviceTimers } = require('../lib/device-timers');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---------------------------------------------------------------------------
+// Mock PluginContext
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {Record<string, any>} config
+ * @param {Record<string, any>} values - Current values of the condition rows, keyed by row index.
+ */
+function createMockContext(config, values = {}, systemConfig = null) {
+    const outputStates = {};
+    const foreignStates = {};
+    const conditionValues = { ...values };
+    /** Full states (with ts/lc) that take precedence over conditionValues */
+    const conditionStates = {};
+    const timers = new DeviceTimers({ error: () => {} });
+
+    return {
+        deviceId: 'test-cs',
+        config: {
+            modifier_operator: '==',
+            modifier_value: '',
+            groups: [],
+            groupCombinator: 'or',
+            ...config,
+        },
+        inputs: { switch1: 'fan.0.power' },
+        getInputState: async (id) => {
+            const m = /^_cond_(\d+)$/.exec(id);
+            if (m && conditionStates[m[1]] !== undefined) return conditionStates[m[1]];
+            if (m && conditionValues[m[1]] !== undefined) return { val: conditionValues[m[1]] };
+            return null;
+        },
+        setOutputState: async (id, val) => { outputStates[id] = val; },
+        getOutputState: async (id) => (outputStates[id] !== undefined ? { val: outputStates[id] } : null),
+        log: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} },
+        adapter: {
+            setForeignStateAsync: async (id, val) => { foreignStates[id] = val; },
+            getForeignObjectAsync: async (id) => (id === 'system.config' ? systemConfig : null),
+        },
+        setTimeout: (cb, ms) => timers.setTimeout(cb, ms),
+        setInterval: (cb, ms) => timers.setInterval(cb, ms),
+        clearTimer: (handle) => timers.clearTimer(handle),
+        // Test helpers
+        _timers: timers,
+        _outputStates: outputStates,
+        _foreignStates: foreignStates,
+        _conditionValues: conditionValues,
+        _conditionStates: conditionStates,
+    };
+}
+
+/**
+ * Format a Date as HH:MM (local time).
+ */
+function hhmm(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// (window closed AND temp > 24) OR (TV on AND temp > 22)
+const GROUPED_CONDITIONS = [
+    { group: 'window', objectId: 'window.0.open', operator: '==', value: 'false' },
+    { group: 'window', objectId: 'sensor.0.temp', operator: '>', value: '24' },
+    { group: 'tv', objectId: 'tv.0.power', operator: '==', value: 'true' },
+    { group: 'tv', objectId: 'sensor.0.temp', operator: '>', value: '22' },
+];
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('ConditionalSwitchPlugin', () => {
+    let plugin;
+
+    let ctx;
+
+    beforeEach(() => {
+        plugin = new ConditionalSwitchPlugin();
+        ctx = null;
+    });
+
+    afterEach(async () => {
+        if (ctx) {
+            ctx._timers.dispose();
+            await plugin.onDestroy(ctx);
+        }
+    });
+
+    /**
+     * Change the value of a condition row and notify the plugin.
+     */
+    async function setCondition(index, val) {
+        ctx._conditionValues[index] = val;
+        await plugin.onInputChange(ctx, `_cond_${index}`, { val });
+    }
+
+    describe('condition groups', () => {
+        it('treats conditions without group as one AND group', async () => {
+            ctx = createMockContext({
+                conditions: [
+                    { objectId: 'a', operator: '>', value: '1' },
+                    { objectId: 'b', operator: '>', value: '1' },
+                ],
+            }, { 0: 5, 1: 0 });
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, false);
+
+            ctx._conditionValues[1] = 5;
+            await plugin.onInputChange(ctx, '_cond_1', { val: 5 });
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.activeGroups, '1');
+        });
+
+        it('activates when any group is met (OR between groups)', async () => {
+            ctx = createMockContext({ conditions: GROUPED_CONDITIONS }, { 0: true, 1: 23, 2: true, 3: 23 });
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.activeGroups, 'tv');
+            assert.equal(ctx._foreignStates['fan.0.power'], true);
+        });
+
+        it('stays off when no group is fully met', async () => {
+            ctx = createMockContext({ conditions: GROUPED_CONDITIONS }, { 0: false, 1: 23, 2: false, 3: 23 });
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._outputStates.activeGroups, '');
+        });
+
+        it('reports every group that is met', async () => {
+            ctx = createMockContext({ conditions: GROUPED_CONDITIONS }, { 0: false, 1: 25, 2: true, 3: 25 });
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.activeGroups, 'window,tv');
+        });
+
+        it('requires all groups with top-level AND', async () => {
+            ctx = createMockContext({ conditions: GROUPED_CONDITIONS, groupCombinator: 'and' }, { 0: false, 1: 23, 2: true, 3: 23 });
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, false);
+
+            ctx._conditionValues[1] = 25;
+            await plugin.onInputChange(ctx, '_cond_1', { val: 25 });
+            assert.equal(ctx._outputStates.active, true);
+        });
+
+        it('supports OR inside a group', async () => {
+            ctx = createMockContext({
+                conditions: [
+                    { group: 'any', objectId: 'a', operator: '==', value: 'true' },
+                    { group: 'any', objectId: 'b', operator: '==', value: 'true' },
+                ],
+                groups: [{ id: 'any', combinator: 'or' }],
+            }, { 0: false, 1: true });
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.activeGroups, 'any');
+        });
+    });
+
+    describe('condition delays', () => {
+        const TEMP_ABOVE_25 = { objectId: 'sensor.0.temp', operator: '>', value: '25' };
+
+        it('switches on only after the condition was true for the configured time', async () => {
+            ctx = createMockContext({ conditions: [{ ...TEMP_ABOVE_25, trueForSec: 0.05 }] }, { 0: 20 });
+            await plugin.onInit(ctx);
+
+            await setCondition(0, 26);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._outputStates.pending, 'on');
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.pending, '');
+            assert.equal(ctx._foreignStates['fan.0.power'], true);
+        });
+
+        it('ignores flicker shorter than the delay', async () => {
+            ctx = createMockContext({ conditions: [{ ...TEMP_ABOVE_25, trueForSec: 0.05 }] }, { 0: 20 });
+            await plugin.onInit(ctx);
+
+            await setCondition(0, 26);
+            await sleep(20);
+            await setCondition(0, 24);
+            assert.equal(ctx._outputStates.pending, '');
+
+            await sleep(60);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._foreignStates['fan.0.power'], undefined);
+        });
+
+        it('switches off only after the condition was false for the configured time', async () => {
+            ctx = createMockContext({ conditions: [{ ...TEMP_ABOVE_25, falseForSec: 0.05 }] }, { 0: 26 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 24);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.pending, 'off');
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._outputStates.pending, '');
+        });
+    });
+
+    describe('operators', () => {
+        /**
+         * Evaluate a single condition row against a value.
+         */
+        async function check(operator, value, actual) {
+            ctx = createMockContext({ conditions: [{ objectId: 'x', operator, value }] }, { 0: actual });
+            await plugin.onInit(ctx);
+            const active = ctx._outputStates.active;
+            ctx._timers.dispose();
+            await plugin.onDestroy(ctx);
+            ctx = null;
+            return active;
+        }
+
+        it('between / not between (inclusive range)', async () => {
+            assert.equal(await check('between', '20..25', 20), true);
+            assert.equal(await check('between', '20..25', 25.5), false);
+            assert.equal(await check('between', '25..20', 22), true);
+            assert.equal(await check('notBetween', '20..25', 19), true);
+            assert.equal(await check('notBetween', '20..25', 22), false);
+            assert.equal(await check('between', '20', 20), false);
+        });
+
+        it('contains', async () => {
+            assert.equal(await check('contains', 'Movie', 'Netflix Movie'), true);
+            assert.equal(await check('contains', 'Music', 'Netflix Movie'), false);
+        });
+
+        it('regex match', async () => {
+            assert.equal(await check('regex', '^play(ing)?$', 'playing'), true);
+            assert.equal(await check('regex', '/^PLAY/i', 'playing'), true);
+            assert.equal(await check('regex', '^stop', 'playing'), false);
+            assert.equal(await check('regex', '([', 'playing'), false);
+        });
+
+        it('in list (typed by the state value)', async () => {
+            assert.equal(await check('in', '1, 3, 5', 3), true);
+            assert.equal(await check('in', '1, 3, 5', 4), false);
+            assert.equal(await check('in', 'heat,cool', 'cool'), true);
+        });
+
+        it('unchanged for N seconds, re-evaluated without a state update', async () => {
+            ctx = createMockContext({ conditions: [{ objectId: 'presence', operator: 'unchangedFor', value: '0.05' }] });
+            ctx._conditionStates[0] = { val: false, ts: Date.now(), lc: Date.now() };
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, false);
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, true);
+        });
+
+        it('changed within N seconds expires by itself', async () => {
+            ctx = createMockContext({ conditions: [{ objectId: 'motion', operator: 'changedWithin', value: '0.05' }] });
+            ctx._conditionStates[0] = { val: true, ts: Date.now(), lc: Date.now() };
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._timers.size, 0);
+        });
+
+        it('no update for N minutes uses ts, a missing state counts as stale', async () => {
+            const now = Date.now();
+            ctx = createMockContext({ conditions: [{ objectId: 'sensor', operator: 'stale', value: '10' }] });
+            ctx._conditionStates[0] = { val: 21, ts: now - 11 * 60_000, lc: now - 60 * 60_000 };
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+
+            ctx._conditionStates[0] = { val: 21, ts: now, lc: now - 60 * 60_000 };
+            await plugin.onInputChange(ctx, '_cond_0', ctx._conditionStates[0]);
+            assert.equal(ctx._outputStates.active, false);
+
+            delete ctx._conditionStates[0];
+            await plugin.onInputChange(ctx, 'modifier', { val: true });
+            assert.equal(ctx._outputStates.active, true);
+        });
+    });
+
+    describe('time and weekday conditions', () => {
+        const HOUR = 60 * 60_000;
+
+        async function isActive(conditions, systemConfig = null) {
+            if (ctx) {
+                ctx._timers.dispose();
+                await plugin.onDestroy(ctx);
+            }
+            ctx = createMockContext({ conditions }, {}, systemConfig);
+            await plugin.onInit(ctx);
+            return ctx._outputStates.active;
+        }
+
+        it('time window around now is met, the complement is not', async () => {
+            const from = hhmm(new Date(Date.now() - HOUR));
+            const to = hhmm(new Date(Date.now() + HOUR));
+            assert.equal(await isActive([{ source: 'time', operator: 'between', value: `${from}..${to}` }]), true);
+            assert.equal(await isActive([{ source: 'time', operator: 'between', value: `${to}..${from}` }]), false);
+            assert.equal(await isActive([{ source: 'time', operator: 'notBetween', value: `${to}..${from}` }]), true);
+        });
+
+        it('handles overnight windows', async () => {
+            // A window that covers everything except the next two hours always wraps or ends after now
+            const from = hhmm(new Date(Date.now() + 2 * HOUR));
+            const to = hhmm(new Date(Date.now() + HOUR));
+            assert.equal(await isActive([{ source: 'time', operator: 'between', value: `${from}..${to}` }]), true);
+        });
+
+        it('schedules a re-evaluation at the next boundary', async () => {
+            const to = hhmm(new Date(Date.now() + HOUR));
+            await isActive([{ source: 'time', operator: '<', value: to }]);
+            assert.equal(ctx._timers.size, 1);
+        });
+
+        it('matches weekdays by English or German name', async () => {
+            const today = new Date().getDay();
+            const tomorrow = (today + 1) % 7;
+            assert.equal(await isActive([{ source: 'weekday', operator: 'in', value: `${WEEKDAY_NAMES[today]},${WEEKDAY_NAMES[tomorrow]}` }]), true);
+            assert.equal(await isActive([{ source: 'weekday', operator: '==', value: WEEKDAY_NAMES[tomorrow] }]), false);
+            assert.equal(await isActive([{ source: 'weekday', operator: '==', value: String(today || 7) }]), true);
+            assert.equal(await isActive([{ source: 'weekday', operator: 'in', value: 'Montag,Dienstag,Mittwoch,Donnerstag,Freitag,Samstag,Sonntag' }]), true);
+        });
+
+        it('uses sunrise/sunset from the system location', async () => {
+            const berlin = { common: { latitude: 52.52, longitude: 13.405 } };
+            const day = await isActive([{ source: 'time', operator: 'between', value: 'sunrise..sunset' }], berlin);
+            const night = await isActive([{ source: 'time', operator: 'between', value: 'sunset..sunrise' }], berlin);
+            assert.notEqual(day, night);
+        });
+
+        it('never meets sun conditions without a system location', async () => {
+            assert.equal(await isActive([{ source: 'time', operator: 'notBetween', value: 'sunrise..sunset' }]), false);
+        });
+
+        it('does not subscribe to an object for time conditions', () => {
+            const subs = plugin.getDynamicSubscriptions({
+                conditions: [
+                    { source: 'time', objectId: 'left.over', operator: '>', value: '18:00' },
+                    { objectId: 'sensor.0.temp', operator: '>', value: '20' },
+                ],
+            });
+            assert.deepEqual(subs, [{ id: '_cond_1', objectId: 'sensor.0.temp' }]);
+        });
+    });
+
+    describe('hysteresis', () => {
+        it('keeps a > condition met until the value drops below threshold - hysteresis', async () => {
+            ctx = createMockContext({ conditions: [{ objectId: 'sensor.0.temp', operator: '>', value: '24', hysteresis: '1' }] }, { 0: 23 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, false);
+
+            await setCondition(0, 24.5);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 23.99);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 22.9);
+            assert.equal(ctx._outputStates.active, false);
+
+            // Not met any more → the plain threshold applies again
+            await setCondition(0, 23.5);
+            assert.equal(ctx._outputStates.active, false);
+        });
+
+        it('keeps a < condition met until the value rises above threshold + hysteresis', async () => {
+            ctx = createMockContext({ conditions: [{ objectId: 'sensor.0.hum', operator: '<', value: '40', hysteresis: 5 }] }, { 0: 38 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 44);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 45.5);
+            assert.equal(ctx._outputStates.active, false);
+        });
+
+        it('ignores the hysteresis for equality operators', async () => {
+            ctx = createMockContext({ conditions: [{ objectId: 'mode', operator: '==', value: '2', hysteresis: 1 }] }, { 0: 2 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 1);
+            assert.equal(ctx._outputStates.active, false);
+        });
+    });
+
+    describe('minimum ON/OFF time', () => {
+        const TEMP_ABOVE_25 = [{ objectId: 'sensor.0.temp', operator: '>', value: '25' }];
+
+        it('keeps the switches on for the minimum ON time', async () => {
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25, minOnSec: 0.05 }, { 0: 26 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 24);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.pending, 'off');
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._outputStates.pending, '');
+            assert.equal(ctx._foreignStates['fan.0.power'], false);
+        });
+
+        it('keeps the switches off for the minimum OFF time', async () => {
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25, minOffSec: 0.05 }, { 0: 26 });
+            await plugin.onInit(ctx);
+
+            await setCondition(0, 24);
+            assert.equal(ctx._outputStates.active, false);
+
+            await setCondition(0, 26);
+            assert.equal(ctx._outputStates.active, false);
+            assert.equal(ctx._outputStates.pending, 'on');
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, true);
+        });
+
+        it('cancels a blocked switch when the conditions return', async () => {
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25, minOnSec: 0.05 }, { 0: 26 });
+            await plugin.onInit(ctx);
+
+            await setCondition(0, 24);
+            await setCondition(0, 26);
+            assert.equal(ctx._outputStates.pending, '');
+
+            await sleep(80);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._timers.size, 0);
+        });
+
+        it('does not delay the first switch after start', async () => {
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25, minOffSec: 10 }, { 0: 26 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._outputStates.active, true);
+        });
+    });
+
+    describe('switch values and chains', () => {
+        const TEMP_ABOVE_25 = [{ objectId: 'sensor.0.temp', operator: '>', value: '25' }];
+
+        it('writes the configured ON/OFF values per switch', async () => {
+            ctx = createMockContext({
+                conditions: TEMP_ABOVE_25,
+                switch1OnValue: '60', switch1OffValue: '0',
+                switch2OnValue: 'cool', switch2OffValue: 'off',
+            }, { 0: 26 });
+            ctx.inputs.switch2 = 'climate.0.mode';
+
+            await plugin.onInit(ctx);
+            assert.equal(ctx._foreignStates['fan.0.power'], 60);
+            assert.equal(ctx._foreignStates['climate.0.mode'], 'cool');
+
+            await setCondition(0, 20);
+            assert.equal(ctx._foreignStates['fan.0.power'], 0);
+            assert.equal(ctx._foreignStates['climate.0.mode'], 'off');
+        });
+
+        it('writes booleans when no values are configured', async () => {
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25, switch1OnValue: '' }, { 0: 26 });
+            await plugin.onInit(ctx);
+            assert.equal(ctx._foreignStates['fan.0.power'], true);
+        });
+
+        it('runs the ON/OFF chain instead of writing the switches', async () => {
+            const executed = [];
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25 }, { 0: 26 });
+            ctx.chains = {
+                on: [{ objectId: 'amp.0.power', value: true }, { objectId: 'amp.0.volume', value: 30 }],
+                off: [{ objectId: 'amp.0.power', value: false }],
+            };
+            ctx.executeChain = (chain) => {
+                executed.push(chain);
+                return { promise: Promise.resolve(), abort() {} };
+            };
+
+            await plugin.onInit(ctx);
+            await sleep(0);
+            assert.deepEqual(executed, [ctx.chains.on]);
+            assert.equal(ctx._foreignStates['fan.0.power'], undefined);
+            assert.equal(ctx._outputStates.active, true);
+
+            await setCondition(0, 20);
+            assert.deepEqual(executed, [ctx.chains.on, ctx.chains.off]);
+        });
+
+        it('does not wait for a running chain', async () => {
+            let finish;
+            const executed = [];
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25 }, { 0: 20 });
+            ctx.chains = { on: [{ objectId: 'amp.0.power', value: true }, { delayMs: 60000 }] };
+            ctx.executeChain = (chain) => {
+                executed.push(chain);
+                return { promise: new Promise((resolve) => { finish = resolve; }), abort() {} };
+            };
+            await plugin.onInit(ctx);
+
+            await setCondition(0, 26);
+            await setCondition(0, 27);
+            assert.equal(executed.length, 1, 'the running command is not sent again');
+            assert.notEqual(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.pending, 'on');
+
+            finish();
+            await sleep(0);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._outputStates.pending, '');
+        });
+
+        it('does not repeat the OFF command while disabled', async () => {
+            const executed = [];
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25 }, { 0: 26 });
+            ctx.chains = { off: [{ objectId: 'amp.0.power', value: false }] };
+            ctx.executeChain = (chain) => {
+                executed.push(chain);
+                return { promise: Promise.resolve(), abort() {} };
+            };
+            await plugin.onInit(ctx);
+
+            ctx._outputStates.enabled = false;
+            await setCondition(0, 27);
+            await setCondition(0, 28);
+            assert.equal(executed.length, 1);
+        });
+
+        it('repeats a command whose write failed on the next evaluation', async () => {
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25 }, { 0: 20 });
+            await plugin.onInit(ctx);
+            const write = ctx.adapter.setForeignStateAsync;
+            ctx.adapter.setForeignStateAsync = async () => { throw new Error('not connected'); };
+
+            await setCondition(0, 26);
+            assert.notEqual(ctx._outputStates.active, true);
+            assert.notEqual(ctx._foreignStates['fan.0.power'], true);
+
+            ctx.adapter.setForeignStateAsync = write;
+            await setCondition(0, 27);
+            assert.equal(ctx._outputStates.active, true);
+            assert.equal(ctx._foreignStates['fan.0.power'], true);
+        });
+
+        it('repeats a command whose chain failed on the next evaluation', async () => {
+            const executed = [];
+            ctx = createMockContext({ conditions: TEMP_ABOVE_25 }, { 0: 26 });
+            ctx.chains = { on: [{ objectId: 'amp.0.power', value: true }] };
+            ctx.executeChain = (chain) => {
+                executed.push(chain);
+                return { promise: executed.length === 1 ? Promise.reject(new Error('timeout')) : Promise.resolve(), abort() {} };
+            };
+
+            await plugin.onInit(ctx);
+            await sleep(0);
+            assert.notEqual(ctx._outputStates.active, true);
+
+            await setCondition(0, 27);
+            await sleep(0);
+            assert.equal(executed.length, 2);
+            assert.equal(ctx._outputStates.active, true);
+        });
+
+        it('accepts switch states of any type', () => {
+            for (const slot of plugin.inputSlots.filter((s) => s.id.startsWith('switch'))) {
+                assert.deepEqual(slot.filter, { type: 'state' });
+            }
+        });
+    });
+
+    describe('getDynamicSubscriptions', () => {
+        it('subscribes to every referenced object regardless of group', () => {
+            const subs = plugin.getDynamicSubscriptions({ conditions: GROUPED_CONDITIONS });
+            assert.deepEqual(subs.map((s) => s.objectId), ['window.0.open', 'sensor.0.temp', 'tv.0.power', 'sensor.0.temp']);
+            assert.deepEqual(subs.map((s) => s.id), ['_cond_0', '_cond_1', '_cond_2', '_cond_3']);
+        });
+    });
+});
@@ -0,0 +1,344 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    checkDeviceObjects,
+    createDeviceObject,
+    deleteDeviceObjects,
+    migrateDeviceConfig,
+    normalizeDeviceConfig,
+    repairStoredConfig,
+    validateDeviceConfig,
+} = require('../lib/device-config');
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+const plugin = {
+    id: 'fan',
+    inputSlots: [
+        { id: 'humidity', name: 'Humidity', required: true, filter: {} },
+        { id: 'door', name: 'Door', required: false, filter: {} },
+    ],
+    configSchema: {
+        threshold: { type: 'number', min: 30, max: 95 },
+        label: { type: 'text' },
+        mode: { type: 'select', options: [{ value: 'auto', label: 'Auto' }, { value: 'manual', label: 'Manual' }] },
+        invert: { type: 'checkbox' },
+    },
+    configDefaults: { threshold: 70, label: '', mode: 'auto', invert: false },
+    outputStates: [],
+    actionChainSlots: { on: { name: 'ON' } },
+};
+
+function createMockAdapter() {
+    const objects = {};
+    const foreign = {};
+
+    return {
+        namespace: 'virtual-devices.0',
+        objects,
+        foreign,
+        log: { debug() {}, info() {}, warn() {}, error() {} },
+
+        async setObjectAsync(id, obj) {
+            objects[id] = obj;
+        },
+        async getObjectAsync(id) {
+            return objects[id] || null;
+        },
+        async getStatesAsync(pattern) {
+            const prefix = pattern.replace(/\*$/, '');
+            const states = {};
+            for (const id of Object.keys(objects)) {
+                if (id.startsWith(prefix)) states[`virtual-devices.0.${id}`] = { val: null };
+            }
+            return states;
+        },
+        async delObjectAsync(id) {
+            delete objects[id];
+        },
+        async getForeignObjectAsync(id) {
+            return foreign[id] || null;
+        },
+        async extendForeignObjectAsync(id, obj) {
+            foreign[id] = { ...foreign[id], common: { ...foreign[id].common, ...obj.common } };
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('validateDeviceConfig', () => {
+    const valid = {
+        pluginId: 'fan',
+        deviceName: 'Bathroom fan',
+        inputs: { humidity: 'zigbee.0.humidity' },
+        config: { threshold: 60, mode: 'manual' },
+        chains: { on: [{ objectId: 'relay', value: true }] },
+    };
+
+    it('accepts a valid config', () => {
+        assert.deepEqual(validateDeviceConfig(plugin, valid), []);
+    });
+
+    it('rejects a non-object', () => {
+        assert.deepEqual(validateDeviceConfig(plugin, 'x'), ['Device config must be an object']);
+    });
+
+    it('reports missing names, unknown and required inputs', () => {
+        const errors = validateDeviceConfig(plugin, {
+            pluginId: 'fan',
+            deviceName: ' ',
+            inputs: { window: 'a.b', door: 5 },
+        });
+        assert.deepEqual(errors, [
+            'deviceName: required',
+            'inputs.window: unknown input slot',
+            'inputs.door: expected an object id',
+            'inputs.humidity: required',
+        ]);
+    });
+
+    it('checks settings against the config schema', () => {
+        const errors = validateDeviceConfig(plugin, {
+            ...valid,
+            config: { threshold: 20, mode: 'turbo', invert: 'yes', colour: 'red' },
+        });
+        assert.deepEqual(errors, [
+            'config.threshold: 20 is below the minimum 30',
+            'config.mode: "turbo" is not one of the options',
+            'config.invert: expected true or false',
+            'config.colour: unknown setting',
+        ]);
+        assert.deepEqual(validateDeviceConfig(plugin, { ...valid, config: { threshold: 'high' } }),
+            ['config.threshold: "high" is not a number']);
+    });
+
+    it('checks chain slots and steps', () => {
+        const errors = validateDeviceConfig(plugin, {
+            ...valid,
+            chains: { on: [{ objectId: 3 }], off: [] },
+        });
+        assert.deepEqual(errors, [
+            'chains.on: expected a list of steps with objectId and value',
+            'chains.off: unknown chain slot',
+        ]);
+    });
+});
+
+describe('validateConfig hook', () => {
+    const native = { pluginId: 'fan', deviceName: 'Fan', inputs: { humidity: 'h' }, config: { threshold: 40 } };
+
+    it('passes the settings merged with the defaults and the inputs', () => {
+        let args;
+        const withHook = { ...plugin, validateConfig: (config, inputs) => { args = [config, inputs]; return ['config.threshold: too low for mode auto']; } };
+
+        assert.deepEqual(validateDeviceConfig(withHook, native), ['config.threshold: too low for mode auto']);
+        assert.deepEqual(args, [{ threshold: 40, label: '', mode: 'auto', invert: false }, { humidity: 'h' }]);
+    });
+
+    it('runs only when the structure is valid and reports a failing hook', () => {
+        const throwing = { ...plugin, validateConfig: () => { throw new Error('boom'); } };
+
+        assert.deepEqual(validateDeviceConfig(throwing, native), ['Plugin check failed: boom']);
+        assert.deepEqual(validateDeviceConfig(throwing, { ...native, inputs: {} }), ['inputs.humidity: required']);
+    });
+});
+
+describe('checkDeviceObjects', () => {
+    const filtered = {
+        ...plugin,
+        inputSlots: [{
+            id: 'humidity',
+            name: 'Humidity',
+            required: true,
+            filter: { type: 'state', common: { type: 'number', role: ['value.humidity'], unit: '%' } },
+        }],
+    };
+
+    function adapterWith(objects) {
+        return { async getForeignObjectAsync(id) { return objects[id] || null; } };
+    }
+
+    it('accepts inputs matching the slot filter, roles by prefix', async () => {
+        const adapter = adapterWith({ h: { type: 'state', common: { type: 'number', role: 'value.humidity.room', unit: '%' } } });
+
+        assert.deepEqual(await checkDeviceObjects(adapter, filtered, { inputs: { humidity: 'h' } }), []);
+    });
+
+    it('reports missing objects and filter mismatches', async () => {
+        const adapter = adapterWith({ h: { type: 'channel', common: { type: 'boolean', role: 'switch' } } });
+
+        assert.deepEqual(await checkDeviceObjects(adapter, filtered, { inputs: { humidity: 'h' } }), [
+            'inputs.humidity: h is a channel, expected a state',
+            'inputs.humidity: h has type boolean, expected number',
+            'inputs.humidity: h has role switch, expected value.humidity',
+            'inputs.humidity: h has unit (none), expected %',
+        ]);
+        assert.deepEqual(await checkDeviceObjects(adapter, filtered, { inputs: { humidity: 'gone' } }), [
+            'inputs.humidity: object gone does not exist',
+        ]);
+    });
+
+    it('checks chain objects and value types', async () => {
+        const adapter = adapterWith({ relay: { type: 'state', common: { type: 'boolean' } } });
+        const native = {
+            inputs: {},
+            chains: { on: [{ objectId: 'relay', value: 'maybe' }, { objectId: 'missing', value: 1 }] },
+        };
+
+        assert.deepEqual(await checkDeviceObjects(adapter, plugin, native), [
+            'chains.on: step 1: relay: value "maybe" is not a boolean',
+            'chains.on: step 2: object missing does not exist',
+        ]);
+    });
+});
+
+describe('normalizeDeviceConfig', () => {
+    it('fills unset settings with the plugin defaults', () => {
+        const native = normalizeDeviceConfig(plugin, {
+            pluginId: 'fan',
+            deviceName: ' Fan ',
+            inputs: { humidity: 'h' },
+            config: { threshold: 50 },
+        });
+        assert.deepEqual(native, {
+            pluginId: 'fan',
+            configVersion: 1,
+            deviceName: 'Fan',
+            room: '',
+            inputs: { humidity: 'h' },
+            config: { threshold: 50, label: '', mode: 'auto', invert: false },
+            chains: {},
+        });
+    });
+});
+
+describe('repairStoredConfig', () => {
+    const stored = {
+        pluginId: 'fan',
+        deviceName: 'Fan',
+        inputs: { humidity: 'h' },
+        config: { threshold: '60', invert: 'true', legacyMode: 2 },
+    };
+
+    it('drops unknown settings and converts checkbox strings, so the config validates', () => {
+        assert.deepEqual(validateDeviceConfig(plugin, stored), [
+            'config.invert: expected true or false',
+            'config.legacyMode: unknown setting',
+        ]);
+
+        const { native, changes } = repairStoredConfig(plugin, stored);
+        assert.deepEqual(native.config, { threshold: '60', invert: true });
+        assert.deepEqual(changes, ['config.invert: "true" → true', 'config.legacyMode: removed (was 2)']);
+        assert.deepEqual(validateDeviceConfig(plugin, native), []);
+        assert.equal(stored.config.invert, 'true', 'the stored config is not modified');
+    });
+
+    it('returns the same config when nothing needs repair', () => {
+        const current = { ...stored, config: { threshold: 60, invert: false } };
+        assert.equal(repairStoredConfig(plugin, current).native, current);
+    });
+});
+
+describe('migrateDeviceConfig', () => {
+    // Version 2 renamed `limit` to `threshold`, version 3 added `label`
+    const versioned = {
+        ...plugin,
+        configVersion: 3,
+        migrateConfig(fromVersion, native) {
+            const config = { ...native.config };
+            if (fromVersion === 1) {
+                config.threshold = config.limit;
+                delete config.limit;
+            } else if (fromVersion === 2) {
+                config.label = 'Fan';
+            }
+            return { ...native, config };
+        },
+    };
+
+    it('runs every pending step and lists the changes', () => {
+        const stored = { pluginId: 'fan', deviceName: 'Fan', inputs: { humidity: 'h' }, config: { limit: 60, mode: 'auto' } };
+        const result = migrateDeviceConfig(versioned, /** @type {any} */ (stored));
+
+        assert.equal(result.from, 1);
+        assert.equal(result.to, 3);
+        assert.deepEqual(result.native, {
+            pluginId: 'fan',
+            deviceName: 'Fan',
+            inputs: { humidity: 'h' },
+            config: { threshold: 60, mode: 'auto', label: 'Fan' },
+            configVersion: 3,
+        });
+        assert.deepEqual(result.changes, [
+            'config.limit: removed (was 60)',
+            'config.threshold: added (60)',
+            'config.label: added ("Fan")',
+        ]);
+        assert.deepEqual(stored.config, { limit: 60, mode: 'auto' }, 'the stored config is not modified');
+    });
+
+    it('starts at the stored version', () => {
+        const stored = { pluginId: 'fan', configVersion: 2, deviceName: 'Fan', inputs: {}, config: { threshold: 60 } };
+        const result = migrateDeviceConfig(versioned, /** @type {any} */ (stored));
+        assert.deepEqual(result.native.config, { threshold: 60, label: 'Fan' });
+        assert.deepEqual(result.changes, ['config.label: added ("Fan")']);
+    });
+
+    it('returns the same config when it is current', () => {
+        const stored = { pluginId: 'fan', deviceName: 'Fan', inputs: {}, config: {} };
+        assert.equal(migrateDeviceConfig(plugin, /** @type {any} */ (stored)).native, stored);
+        const current = { ...stored, configVersion: 3 };
+        assert.equal(migrateDeviceConfig(versioned, /** @type {any} */ (current)).native, current);
+    });
+
+    it('rejects configs it cannot migrate', () => {
+        const stored = { pluginId: 'fan', deviceName: 'Fan', inputs: {}, config: {} };
+        assert.throws(() => migrateDeviceConfig(plugin, /** @type {any} */ ({ ...stored, configVersion: 2 })),
+            /newer than the plugin supports \(1\)/);
+        assert.throws(() => migrateDeviceConfig({ ...plugin, configVersion: 2 }, /** @type {any} */ (stored)),
+            /cannot migrate config version 1/);
+        assert.throws(() => migrateDeviceConfig({ ...versioned, migrateConfig: () => null }, /** @type {any} */ (stored)),
+            /version 1 returned no config/);
+    });
+
+    it('flags a config version that does not match the plugin', () => {
+        const stored = { pluginId: 'fan', configVersion: 2, deviceName: 'Fan', inputs: { humidity: 'h' }, config: {} };
+        assert.deepEqual(validateDeviceConfig(versioned, stored), ['configVersion: expected 3']);
+    });
+});
+
+describe('device objects', () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        adapter.foreign['enum.rooms.bath'] = { common: { members: [] } };
+    });
+
+    it('creates the device object and assigns the room', async () => {
+        const native = { pluginId: 'fan', deviceName: 'Fan', room: 'enum.rooms.bath', inputs: {}, config: {} };
+
+        await createDeviceObject(adapter, 'fan-1', native);
+
+        assert.deepEqual(adapter.objects['fan-1'], { type: 'device', common: { name: 'Fan' }, native });
+        assert.deepEqual(adapter.foreign['enum.rooms.bath'].common.members, ['virtual-devices.0.fan-1']);
+    });
+
+    it('removes the device, its states and the room membership', async () => {
+        await createDeviceObject(adapter, 'fan-1', { pluginId: 'fan', deviceName: 'Fan', room: 'enum.rooms.bath', inputs: {}, config: {} });
+        adapter.objects['fan-1.active'] = { type: 'state' };
+        adapter.objects['fan-2'] = { type: 'device' };
+
+        await deleteDeviceObjects(adapter, 'fan-1');
+
+        assert.deepEqual(Object.keys(adapter.objects), ['fan-2']);
+        assert.deepEqual(adapter.foreign['enum.rooms.bath'].common.members, []);
+    });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DeviceHealth, readHealth } = require('../lib/device-health');
+
+// ---------------------------------------------------------------------------
+// Mock adapter
+// ---------------------------------------------------------------------------
+
+function createMockAdapter() {
+    const objects = {};
+    const states = {};
+    const writes = [];
+
+    return {
+        objects,
+        states,
+        writes,
+        log: { debug() {}, info() {}, warn() {}, error() {} },
+
+        async setObjectNotExistsAsync(id, obj) {
+            if (!objects[id]) objects[id] = obj;
+        },
+
+        async getStateAsync(id) {
+            return states[id] || null;
+        },
+
+        async setStateAsync(id, val, ack) {
+            states[id] = { val, ack };
+            writes.push({ id, val, ack });
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('DeviceHealth', () => {
+    let adapter;
+    let health;
+
+    beforeEach(async () => {
+        adapter = createMockAdapter();
+        health = new DeviceHealth(adapter, 'dev1');
+        await health.init();
+    });
+
+    it('creates the info channel and read-only states', () => {
+        assert.equal(adapter.objects['dev1.info'].type, 'channel');
+        for (const id of ['status', 'lastError', 'lastInputUpdate', 'inputsMissing', 'pluginErrors']) {
+            const obj = adapter.objects[`dev1.info.${id}`];
+            assert.ok(obj, id);
+            assert.equal(obj.common.write, false);
+        }
+        assert.deepEqual(Object.keys(adapter.objects['dev1.info.status'].common.states),
+            ['running', 'error', 'disabled', 'misconfigured']);
+    });
+
+    it('is running with a valid config and publishes all states once', async () => {
+        await health.setConfigProblems([]);
+        assert.equal(adapter.states['dev1.info.status'].val, 'running');
+        assert.equal(adapter.states['dev1.info.inputsMissing'].val, '[]');
+        assert.equal(adapter.states['dev1.info.pluginErrors'].val, '{}');
+
+        const count = adapter.writes.length;
+        await health.setEnabled(true);
+        assert.equal(adapter.writes.length, count, 'unchanged values are not written again');
+    });
+
+    it('is misconfigured while the config is invalid', async () => {
+        await health.setConfigProblems(['inputs.humidity: required']);
+        assert.equal(health.status, 'misconfigured');
+        assert.equal(adapter.states['dev1.info.lastError'].val, 'Invalid config: inputs.humidity: required');
+    });
+
+    it('is disabled when the enabled output is false', async () => {
+        await health.setEnabled(false);
+        assert.equal(adapter.states['dev1.info.status'].val, 'disabled');
+        await health.setEnabled(true);
+        assert.equal(adapter.states['dev1.info.status'].val, 'running');
+    });
+
+    it('reports plugin errors until the hook succeeds again', async () => {
+        await health.setEnabled(false);
+        await health.pluginFailed('onInputChange', new Error('boom'));
+        await health.pluginFailed('onInputChange', new Error('bang'));
+
+        assert.equal(adapter.states['dev1.info.status'].val, 'error', 'errors win over disabled');
+        assert.equal(adapter.states['dev1.info.lastError'].val, 'onInputChange: bang');
+        assert.deepEqual(JSON.parse(adapter.states['dev1.info.pluginErrors'].val), { onInputChange: 2 });
+
+        await health.pluginSucceeded('onInputChange');
+        assert.equal(adapter.states['dev1.info.status'].val, 'disabled');
+        assert.equal(adapter.states['dev1.info.lastError'].val, 'onInputChange: bang', 'the last error is kept');
+    });
+
+    it('keeps an onInit failure until the device restarts', async () => {
+        await health.pluginFailed('onInit', 'no sensor');
+        await health.pluginSucceeded('onInit');
+        assert.equal(health.status, 'error');
+    });
+
+    it('tracks deleted and never updated inputs', async () => {
+        await health.inputMissing('humidity', 'zigbee.0.h', 'deleted');
+        await health.inputMissing('door', 'zigbee.0.d', 'never updated');
+        assert.equal(health.status, 'misconfigured');
+        assert.equal(adapter.states['dev1.info.lastError'].val, 'Input "humidity": object zigbee.0.h was deleted');
+        assert.deepEqual(JSON.parse(adapter.states['dev1.info.inputsMissing'].val), [
+            { input: 'humidity', objectId: 'zigbee.0.h', reason: 'deleted' },
+            { input: 'door', objectId: 'zigbee.0.d', reason: 'never updated' },
+        ]);
+
+        await health.inputUpdated('door', 5000);
+        await health.inputUpdated('humidity', 4000);
+        assert.equal(adapter.states['dev1.info.lastInputUpdate'].val, 5000, 'the latest timestamp wins');
+        assert.equal(health.status, 'misconfigured', 'a value does not bring a deleted object back');
+
+        await health.inputPresent('humidity');
+        assert.equal(adapter.states['dev1.info.status'].val, 'running');
+        assert.equal(adapter.states['dev1.info.inputsMissing'].val, '[]');
+    });
+
+    it('restores the last error on init', async () => {
+        adapter.states['dev1.info.lastError'] = { val: 'onInit: old', ack: true };
+        const restarted = new DeviceHealth(adapter, 'dev1');
+        await restarted.init();
+        await restarted.setConfigProblems([]);
+        assert.equal(adapter.states['dev1.info.lastError'].val, 'onInit: old');
+    });
+});
+
+describe('readHealth', () => {
+    it('reads the published states', async () => {
+        const adapter = createMockAdapter();
+        const health = new DeviceHealth(adapter, 'dev1');
+        await health.init();
+        await health.pluginFailed('onInterval', new Error('timeout'));
+
+        assert.deepEqual(await readHealth(/** @type {any} */ (adapter), 'dev1'), {
+            status: 'error',
+            lastError: 'onInterval: timeout',
+            lastInputUpdate: null,
+            inputsMissing: [],
+            pluginErrors: { onInterval: 1 },
+        });
+    });
+
+    it('returns no status for devices that never started', async () => {
+        const snapshot = await readHealth(/** @type {any} */ (createMockAdapter()), 'dev1');
+        assert.equal(snapshot.status, null);
+        assert.deepEqual(snapshot.inputsMissing, []);
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DeviceStorage } = require('../lib/device-storage');
+
+// ---------------------------------------------------------------------------
+// Mock adapter
+// ---------------------------------------------------------------------------
+
+function createMockAdapter() {
+    const objects = {};
+    const states = {};
+    const writes = [];
+
+    return {
+        objects,
+        states,
+        writes,
+        log: { debug() {}, info() {}, warn() {}, error() {} },
+
+        async setObjectNotExistsAsync(id, obj) {
+            if (!objects[id]) objects[id] = obj;
+        },
+
+        async getStateAsync(id) {
+            return states[id] || null;
+        },
+
+        async setStateAsync(id, val, ack) {
+            states[id] = { val, ack };
+            writes.push({ id, val, ack });
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('DeviceStorage', () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+    });
+
+    it('creates a hidden json state on load', async () => {
+        const storage = new DeviceStorage(adapter, 'dev1.storage');
+        await storage.load();
+
+        const obj = adapter.objects['dev1.storage'];
+        assert.ok(obj);
+        assert.equal(obj.common.type, 'json');
+        assert.equal(obj.common.expert, true);
+        assert.equal(obj.common.write, false);
+    });
+
+    it('restores persisted values', async () => {
+        adapter.states['dev1.storage'] = { val: JSON.stringify({ offUntil: 1234, mode: 'on' }), ack: true };
+
+        const storage = new DeviceStorage(adapter, 'dev1.storage');
+        await storage.load();
+
+        assert.equal(storage.get('offUntil'), 1234);
+        assert.equal(storage.get('mode'), 'on');
+        assert.equal(storage.get('missing', 'fallback'), 'fallback');
+    });
+
+    it('discards invalid JSON', async () => {
+        adapter.states['dev1.storage'] = { val: '{broken', ack: true };
+
+        const storage = new DeviceStorage(adapter, 'dev1.storage');
+        await storage.load();
+
+        assert.equal(storage.get('anything', null), null);
+    });
+
+    it('debounces writes', async () => {
+        const storage = new DeviceStorage(adapter, 'dev1.storage', 20);
+        await storage.load();
+
+        storage.set('a', 1);
+        storage.set('b', 2);
+        storage.set('a', 3);
+        assert.equal(adapter.writes.length, 0);
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        assert.equal(adapter.writes.length, 1);
+        assert.deepEqual(JSON.parse(adapter.writes[0].val), { a: 3, b: 2 });
+        assert.equal(adapter.writes[0].ack, true);
+    });
+
+    it('flush writes pending changes immediately', async () => {
+        const storage = new DeviceStorage(adapter, 'dev1.storage', 10_000);
+        await storage.load();
+
+        storage.set('state', 'on');
+        await storage.flush();
+
+        assert.equal(adapter.writes.length, 1);
+        assert.deepEqual(JSON.parse(adapter.states['dev1.storage'].val), { state: 'on' });
+
+        // Nothing pending — no second write
+        await storage.flush();
+        assert.equal(adapter.writes.length, 1);
+    });
+
+    it('does not write unchanged primitives', async () => {
+        adapter.states['dev1.storage'] = { val: JSON.stringify({ commandedOn: true }), ack: true };
+
+        const storage = new DeviceStorage(adapter, 'dev1.storage', 10_000);
+        await storage.load();
+
+        storage.set('commandedOn', true);
+        await storage.flush();
+        assert.equal(adapter.writes.length, 0);
+    });
+
+    it('removes keys via delete and undefined', async () => {
+        const storage = new DeviceStorage(adapter, 'dev1.storage', 10_000);
+        await storage.load();
+
+        storage.set('a', 1);
+        storage.set('b', 2);
+        storage.delete('a');
+        storage.set('b', undefined);
+        await storage.flush();
+
+        assert.deepEqual(JSON.parse(adapter.states['dev1.storage'].val), {});
+    });
+});
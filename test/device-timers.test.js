@@ -0,0 +1,78 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DeviceTimers } = require('../lib/device-timers');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('DeviceTimers', () => {
+    let errors;
+    let timers;
+
+    beforeEach(() => {
+        errors = [];
+        timers = new DeviceTimers({ error: (msg) => errors.push(msg) }, 'dev1');
+    });
+
+    afterEach(() => {
+        timers.dispose();
+    });
+
+    it('runs a timeout once', async () => {
+        let calls = 0;
+        timers.setTimeout(() => { calls++; }, 10);
+        assert.equal(timers.size, 1);
+
+        await sleep(40);
+        assert.equal(calls, 1);
+        assert.equal(timers.size, 0);
+    });
+
+    it('runs an interval repeatedly until cleared', async () => {
+        let calls = 0;
+        const handle = timers.setInterval(() => { calls++; }, 10);
+
+        await sleep(55);
+        timers.clearTimer(handle);
+        const afterClear = calls;
+        assert.ok(afterClear >= 2, `Expected >= 2 calls, got ${afterClear}`);
+
+        await sleep(30);
+        assert.equal(calls, afterClear);
+        assert.equal(timers.size, 0);
+    });
+
+    it('clearTimer cancels a pending timeout and ignores unknown handles', async () => {
+        let called = false;
+        const handle = timers.setTimeout(() => { called = true; }, 10);
+        timers.clearTimer(handle);
+        timers.clearTimer(9999);
+        timers.clearTimer(null);
+
+        await sleep(30);
+        assert.equal(called, false);
+    });
+
+    it('dispose cancels everything and refuses new timers', async () => {
+        let calls = 0;
+        timers.setTimeout(() => { calls++; }, 10);
+        timers.setInterval(() => { calls++; }, 10);
+        timers.dispose();
+
+        assert.equal(timers.size, 0);
+        assert.equal(timers.setTimeout(() => { calls++; }, 1), null);
+
+        await sleep(30);
+        assert.equal(calls, 0);
+    });
+
+    it('logs errors from sync and async callbacks', async () => {
+        timers.setTimeout(() => { throw new Error('sync boom'); }, 1);
+        timers.setTimeout(async () => { throw new Error('async boom'); }, 1);
+
+        await sleep(20);
+        assert.equal(errors.length, 2);
+        assert.ok(errors.every((e) => e.includes('device=dev1')));
+    });
+});
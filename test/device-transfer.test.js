@@ -0,0 +1,199 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    buildExport,
+    includedLibraryChains,
+    parseExport,
+    planImport,
+    remapDeviceConfig,
+} = require('../lib/device-transfer');
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+const plugin = {
+    id: 'fan',
+    inputSlots: [{ id: 'humidity', name: 'Humidity', required: true, filter: {} }],
+    configSchema: { threshold: { type: 'number', min: 30, max: 95 } },
+    configDefaults: { threshold: 70 },
+    outputStates: [],
+    actionChainSlots: { on: { name: 'ON' } },
+};
+
+const resolvePlugin = (id) => (id === 'fan' ? plugin : undefined);
+
+/** @returns {any} An export document with the given devices. */
+function exportOf(...devices) {
+    return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: '2026-01-01T00:00:00.000Z', devices };
+}
+
+function fan(deviceId, extra = {}) {
+    return { deviceId, pluginId: 'fan', deviceName: `Fan ${deviceId}`, inputs: { humidity: 'zigbee.0.bath.humidity' }, config: {}, ...extra };
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('device export', () => {
+    it('builds a versioned document with the device ids', () => {
+        const native = { pluginId: 'fan', deviceName: 'Fan', room: 'enum.rooms.bath', inputs: {}, config: {}, chains: {} };
+        const doc = buildExport([{ deviceId: 'fan-1', native }]);
+
+        assert.equal(doc.format, EXPORT_FORMAT);
+        assert.equal(doc.version, EXPORT_VERSION);
+        assert.deepEqual(doc.devices, [{ deviceId: 'fan-1', ...native }]);
+        assert.equal('library' in doc, false);
+        assert.deepEqual(parseExport(JSON.stringify(doc)), doc);
+    });
+
+    it('lists the included library chains of a device', () => {
+        const native = { chains: { on: [{ objectId: '', include: 'alloff' }, { objectId: 'x', include: 'dim' }], off: [{ objectId: '', include: 'alloff' }] } };
+        assert.deepEqual(includedLibraryChains(/** @type {any} */ (native)), ['alloff', 'dim']);
+    });
+
+    it('rejects foreign documents and newer versions', () => {
+        assert.throws(() => parseExport('{'), /Not valid JSON/);
+        assert.throws(() => parseExport({ devices: [] }), /Not a virtual-devices export/);
+        assert.throws(() => parseExport({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, devices: [] }), /Unsupported export version/);
+        assert.throws(() => parseExport({ format: EXPORT_FORMAT, version: 1 }), /no device list/);
+    });
+});
+
+describe('object id remapping', () => {
+    it('replaces prefixes in inputs, settings and chain steps', () => {
+        const native = {
+            pluginId: 'fan',
+            deviceName: 'Fan',
+            inputs: { humidity: 'zigbee.0.bath.humidity', door: 'zigbee.01.door' },
+            config: {
+                conditions: [{ objectId: 'zigbee.0.window', note: 'zigbee.0.window' }],
+                sensor: 'zigbee.0.temp',
+                label: 'zigbee.0.bath',
+            },
+            chains: {
+                on: [{
+                    objectId: 'zigbee.0.relay',
+                    value: 'zigbee.0.x',
+                    waitBefore: { type: 'state', objectId: 'zigbee.0.power', value: 5 },
+                    condition: { objectId: 'zigbee.0', value: 1 },
+                }],
+            },
+        };
+
+        const withObjectIds = {
+            ...plugin,
+            configSchema: {
+                conditions: { type: 'table', items: [{ type: 'text', attr: 'objectId' }, { type: 'text', attr: 'note' }] },
+                sensor: { type: 'objectId' },
+                label: { type: 'text' },
+            },
+        };
+        const remapped = remapDeviceConfig(/** @type {any} */ (withObjectIds), /** @type {any} */ (native), [{ from: 'zigbee.0', to: 'zigbee.1' }]);
+
+        assert.deepEqual(remapped.inputs, { humidity: 'zigbee.1.bath.humidity', door: 'zigbee.01.door' });
+        assert.deepEqual(remapped.config, {
+            conditions: [{ objectId: 'zigbee.1.window', note: 'zigbee.0.window' }],
+            sensor: 'zigbee.1.temp',
+            label: 'zigbee.0.bath',
+        }, 'only settings declared as object ids are remapped');
+        assert.deepEqual(remapped.chains.on[0], {
+            objectId: 'zigbee.1.relay',
+            value: 'zigbee.0.x',
+            waitBefore: { type: 'state', objectId: 'zigbee.1.power', value: 5 },
+            condition: { objectId: 'zigbee.1', value: 1 },
+        });
+        assert.equal(native.inputs.humidity, 'zigbee.0.bath.humidity');
+    });
+});
+
+describe('planImport', () => {
+    it('creates new devices with defaults and remapped ids', () => {
+        const plan = planImport(exportOf(fan('fan-1')), {
+            resolvePlugin,
+            existingIds: new Set(),
+            mappings: [{ from: 'zigbee.0', to: 'zigbee.1' }],
+        });
+
+        assert.equal(plan.devices.length, 1);
+        assert.deepEqual(plan.devices[0], {
+            deviceId: 'fan-1',
+            sourceId: 'fan-1',
+            replaces: false,
+            native: {
+                pluginId: 'fan',
+                configVersion: 1,
+                deviceName: 'Fan fan-1',
+                room: '',
+                inputs: { humidity: 'zigbee.1.bath.humidity' },
+                config: { threshold: 70 },
+                chains: {},
+            },
+        });
+    });
+
+    it('migrates devices exported with an older plugin version', () => {
+        const versioned = {
+            ...plugin,
+            configVersion: 2,
+            migrateConfig: (fromVersion, native) => ({ ...native, config: { threshold: native.config.limit } }),
+        };
+        const plan = planImport(exportOf(
+            fan('fan-1', { config: { limit: 60 } }),
+            fan('fan-2', { configVersion: 3 }),
+        ), { resolvePlugin: () => versioned, existingIds: new Set() });
+
+        assert.deepEqual(plan.devices.map((d) => [d.deviceId, d.native.configVersion, d.native.config]), [['fan-1', 2, { threshold: 60 }]]);
+        assert.deepEqual(plan.invalid, [
+            { deviceId: 'fan-2', errors: ['configVersion: Config version 3 is newer than the plugin supports (2)'] },
+        ]);
+    });
+
+    it('reports invalid devices with their errors', () => {
+        const plan = planImport(exportOf(
+            fan('fan-1', { config: { threshold: 10 } }),
+            fan('bad id'),
+            fan('library'),
+            { deviceId: 'x', pluginId: 'heater', deviceName: 'Heater' },
+        ), { resolvePlugin, existingIds: new Set() });
+
+        assert.equal(plan.devices.length, 0);
+        assert.deepEqual(plan.invalid, [
+            { deviceId: 'fan-1', errors: ['config.threshold: 10 is below the minimum 30'] },
+            { deviceId: 'bad id', errors: ['deviceId: letters, digits, _ and - only'] },
+            { deviceId: 'library', errors: ['deviceId: "library" is reserved'] },
+            { deviceId: 'x', errors: ['pluginId: unknown plugin "heater"'] },
+        ]);
+    });
+
+    it('skips existing ids by default', () => {
+        const plan = planImport(exportOf(fan('fan-1'), fan('fan-2')), { resolvePlugin, existingIds: new Set(['fan-1']) });
+
+        assert.deepEqual(plan.devices.map((d) => d.deviceId), ['fan-2']);
+        assert.deepEqual(plan.skipped, [{ deviceId: 'fan-1', reason: 'a device with this id exists' }]);
+    });
+
+    it('overwrites existing ids', () => {
+        const plan = planImport(exportOf(fan('fan-1')), { resolvePlugin, existingIds: new Set(['fan-1']), strategy: 'overwrite' });
+
+        assert.deepEqual(plan.devices.map((d) => [d.deviceId, d.replaces]), [['fan-1', true]]);
+    });
+
+    it('imports under new ids, also for duplicates within the document', () => {
+        const plan = planImport(exportOf(fan('fan-1'), fan('fan-1')), {
+            resolvePlugin,
+            existingIds: new Set(['fan-1', 'fan-1-2']),
+            strategy: 'rename',
+        });
+
+        assert.deepEqual(plan.devices.map((d) => [d.sourceId, d.deviceId, d.replaces]), [
+            ['fan-1', 'fan-1-3', false],
+            ['fan-1', 'fan-1-4', false],
+        ]);
+    });
+});
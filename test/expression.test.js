@@ -0,0 +1,75 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExpression, parseTemplate, renderTemplate } = require('../lib/expression');
+
+/**
+ * @param {Record<string, any>} values
+ * @returns {(path: string) => Promise<any>}
+ */
+function resolver(values) {
+    return async (path) => {
+        if (!(path in values)) throw new Error(`Unknown variable "${path}"`);
+        return values[path];
+    };
+}
+
+describe('expression', () => {
+    describe('renderTemplate', () => {
+        it('keeps the type of a single placeholder', async () => {
+            const resolve = resolver({ 'out.power': true, 'config.volumeDefault': 30 });
+
+            assert.equal(await renderTemplate('{{out.power}}', resolve), true);
+            assert.equal(await renderTemplate(' {{ config.volumeDefault }} ', resolve), 30);
+        });
+
+        it('interpolates placeholders inside text', async () => {
+            const resolve = resolver({ 'in.mode': 'movie', 'out.volume': 42 });
+
+            assert.equal(await renderTemplate('{{in.mode}} at {{out.volume}}%', resolve), 'movie at 42%');
+            assert.equal(await renderTemplate('no placeholders', resolve), 'no placeholders');
+        });
+
+        it('calculates with precedence, parentheses and functions', async () => {
+            const resolve = resolver({ 'config.volumeDefault': 30, 'out.volume': '45' });
+
+            assert.equal(await renderTemplate('{{config.volumeDefault + 10 * 2}}', resolve), 50);
+            assert.equal(await renderTemplate('{{(config.volumeDefault + 10) * 2}}', resolve), 80);
+            assert.equal(await renderTemplate('{{-out.volume % 10}}', resolve), -5);
+            assert.equal(await renderTemplate('{{min(out.volume + 10, 50)}}', resolve), 50);
+            assert.equal(await renderTemplate('{{round(out.volume / 7, 1)}}', resolve), 6.4);
+        });
+
+        it('concatenates with + when an operand is not numeric', async () => {
+            const resolve = resolver({ 'in.mode': 'movie' });
+
+            assert.equal(await renderTemplate('{{"mode-" + in.mode}}', resolve), 'mode-movie');
+            assert.equal(await renderTemplate("{{'1' + 2}}", resolve), 3);
+        });
+
+        it('rejects unknown variables and non-numeric arithmetic', async () => {
+            const resolve = resolver({ 'in.mode': 'movie' });
+
+            await assert.rejects(() => renderTemplate('{{out.nope}}', resolve), /Unknown variable "out.nope"/);
+            await assert.rejects(() => renderTemplate('{{in.mode * 2}}', resolve), /"movie" is not a number/);
+        });
+    });
+
+    describe('parser', () => {
+        it('reports syntax errors', () => {
+            assert.throws(() => parseExpression(''), /Empty expression/);
+            assert.throws(() => parseExpression('1 +'), /Unexpected end/);
+            assert.throws(() => parseExpression('(1 + 2'), /Expected "\)"/);
+            assert.throws(() => parseExpression('1 2'), /Unexpected "2"/);
+            assert.throws(() => parseTemplate('{{1 + 1'), /Unterminated/);
+        });
+
+        it('cannot call anything but the built-in functions', () => {
+            assert.throws(() => parseExpression('process.exit(1)'), /Unknown function "process.exit"/);
+            assert.throws(() => parseExpression('constructor("x")'), /Unknown function "constructor"/);
+            assert.throws(() => parseExpression('a[0]'), /Unexpected "\["/);
+            assert.throws(() => parseExpression('a = 1'), /Unexpected "="/);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSunTimes } = require('../lib/sun-times');
+
+/**
+ * Assert that two dates are at most `minutes` apart.
+ */
+function assertNear(actual, expected, minutes = 3) {
+    const diff = Math.abs(actual.getTime() - new Date(expected).getTime()) / 60_000;
+    assert.ok(diff <= minutes, `${actual.toISOString()} is ${diff.toFixed(1)} min away from ${expected}`);
+}
+
+describe('getSunTimes', () => {
+    it('calculates summer solstice in Berlin', () => {
+        const { sunrise, sunset } = getSunTimes(new Date('2024-06-21T12:00:00Z'), 52.52, 13.405);
+        assertNear(sunrise, '2024-06-21T02:43:00Z');
+        assertNear(sunset, '2024-06-21T19:33:00Z');
+    });
+
+    it('calculates winter solstice in Berlin', () => {
+        const { sunrise, sunset } = getSunTimes(new Date('2024-12-21T12:00:00Z'), 52.52, 13.405);
+        assertNear(sunrise, '2024-12-21T07:15:00Z');
+        assertNear(sunset, '2024-12-21T14:54:00Z');
+    });
+
+    it('works west of Greenwich', () => {
+        const { sunrise, sunset } = getSunTimes(new Date('2024-03-20T12:00:00Z'), 40.71, -74.01);
+        assertNear(sunrise, '2024-03-20T11:00:00Z');
+        assertNear(sunset, '2024-03-20T23:10:00Z');
+    });
+
+    it('returns null during polar day', () => {
+        assert.deepEqual(getSunTimes(new Date('2024-06-21T12:00:00Z'), 78.2, 15.6), { sunrise: null, sunset: null });
+    });
+});
@@ -20,6 +20,101 @@ tests.unit(path.join(__dirname, '..'), {
                 assert.strictEqual(dehum.id, 'smart-dehumidifier');
             });
 
+            it('should load external plugins from a directory and report errors per plugin', async () => {
+                const fs = require('fs');
+                const os = require('os');
+                const { loadExternalPlugins, getPlugin, getPluginSource } = require('../lib/plugin-registry');
+
+                const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vd-plugins-'));
+                const pluginSource = (id) => `
+                    class ExtPlugin {
+                        constructor() {
+                            this.id = '${id}';
+                            this.name = 'External';
+                            this.inputSlots = [];
+                            this.outputStates = [];
+                            this.configSchema = {};
+                            this.configDefaults = {};
+                        }
+                        async onInit() {}
+                        async onInputChange() {}
+                        async onDestroy() {}
+                    }
+                    module.exports = { ExtPlugin };
+                `;
+                fs.writeFileSync(path.join(dir, 'good.js'), pluginSource('ext-good'));
+                fs.writeFileSync(path.join(dir, 'collision.js'), pluginSource('smart-dehumidifier'));
+                fs.writeFileSync(path.join(dir, 'broken.js'), 'throw new Error("boom");');
+                fs.writeFileSync(path.join(dir, 'invalid.js'), 'module.exports = { id: "ext-invalid" };');
+                fs.writeFileSync(path.join(dir, 'helpers.js'), 'module.exports = { reset() { global.vdHelperCalled = true; } };');
+
+                try {
+                    const results = await loadExternalPlugins({ directory: dir, npm: false });
+                    const bySource = Object.fromEntries(results.map((r) => [r.source, r]));
+
+                    assert.strictEqual(bySource['good.js'].error, undefined);
+                    assert(getPlugin('ext-good'), 'ext-good should be registered');
+                    assert.strictEqual(getPluginSource('ext-good'), 'good.js');
+
+                    assert.match(bySource['collision.js'].error, /already registered/);
+                    assert.strictEqual(getPluginSource('smart-dehumidifier'), 'built-in');
+                    assert.match(bySource['broken.js'].error, /boom/);
+                    assert.match(bySource['invalid.js'].error, /Invalid plugin/);
+                    assert(!getPlugin('ext-invalid'), 'invalid plugin must not be registered');
+                    const helperErrors = results.filter((r) => r.source === 'helpers.js').map((r) => r.error);
+                    assert.deepStrictEqual(helperErrors, ['Export "reset" is not a plugin class', 'Module does not export a plugin']);
+                    assert.strictEqual(global.vdHelperCalled, undefined, 'helper functions must not be called');
+                } finally {
+                    fs.rmSync(dir, { recursive: true, force: true });
+                }
+            });
+
+            it('should report an unreadable plugin directory and continue', async () => {
+                const fs = require('fs');
+                const os = require('os');
+                const { loadExternalPlugins } = require('../lib/plugin-registry');
+
+                const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'vd-plugins-')), 'not-a-directory');
+                fs.writeFileSync(file, '');
+                try {
+                    const results = await loadExternalPlugins({ directory: file, searchPaths: [] });
+                    assert.strictEqual(results.length, 1);
+                    assert.strictEqual(results[0].source, file);
+                    assert.match(results[0].error, /Cannot read plugin directory/);
+                } finally {
+                    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+                }
+            });
+
+            it('should discover npm plugin packages by naming convention', async () => {
+                const fs = require('fs');
+                const os = require('os');
+                const { loadExternalPlugins, getPlugin, getPluginSource } = require('../lib/plugin-registry');
+
+                const nodeModules = fs.mkdtempSync(path.join(os.tmpdir(), 'vd-node-modules-'));
+                const pkgDir = path.join(nodeModules, '@acme', 'iobroker.virtual-devices-plugin-test');
+                fs.mkdirSync(pkgDir, { recursive: true });
+                fs.mkdirSync(path.join(nodeModules, 'unrelated-package'));
+                fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({ name: '@acme/iobroker.virtual-devices-plugin-test', main: 'index.js' }));
+                fs.writeFileSync(path.join(pkgDir, 'index.js'), `
+                    module.exports = {
+                        id: 'ext-npm', name: 'npm plugin', inputSlots: [], outputStates: [],
+                        configSchema: {}, configDefaults: {},
+                        onInit: async () => {}, onInputChange: async () => {}, onDestroy: async () => {},
+                    };
+                `);
+
+                try {
+                    const results = await loadExternalPlugins({ searchPaths: [nodeModules] });
+                    assert.strictEqual(results.length, 1);
+                    assert.strictEqual(results[0].id, 'ext-npm');
+                    assert(getPlugin('ext-npm'), 'ext-npm should be registered');
+                    assert.strictEqual(getPluginSource('ext-npm'), '@acme/iobroker.virtual-devices-plugin-test');
+                } finally {
+                    fs.rmSync(nodeModules, { recursive: true, force: true });
+                }
+            });
+
             it('should validate plugin structure', () => {
                 const { validatePlugin } = require('../lib/plugin-interface');
                 const { SmartDehumidifierPlugin } = require('../plugins/smart-dehumidifier');
@@ -88,6 +183,24 @@ tests.unit(path.join(__dirname, '..'), {
                 assert.strictEqual(plugin.configDefaults.tankFullDelay, 60);
             });
 
+            it('should check the hysteresis and schedule windows of the dehumidifier', () => {
+                const { SmartDehumidifierPlugin } = require('../plugins/smart-dehumidifier');
+                const plugin = new SmartDehumidifierPlugin();
+                const config = { ...plugin.configDefaults };
+
+                assert.deepStrictEqual(plugin.validateConfig(config), []);
+                assert.deepStrictEqual(plugin.validateConfig({ ...config, targetHumidity: 5, humidityHysteresis: 8 }), [
+                    'config.humidityHysteresis: must be smaller than the target humidity',
+                ]);
+                assert.deepStrictEqual(plugin.validateConfig({ ...config, targetHumidity: 95, humidityHysteresis: 5 }), [
+                    'config.humidityHysteresis: switching on above 100% is never reached',
+                ]);
+                assert.deepStrictEqual(plugin.validateConfig({ ...config, scheduleMonStart: '08:00', scheduleTueStart: '09:00', scheduleTueEnd: '09:00' }), [
+                    'config.scheduleMonEnd: required together with the other time of the day',
+                    'config.scheduleTueEnd: must differ from the start time',
+                ]);
+            });
+
             it('should reject invalid plugins', () => {
                 const { validatePlugin } = require('../lib/plugin-interface');
 
@@ -95,6 +208,79 @@ tests.unit(path.join(__dirname, '..'), {
                 assert(!validatePlugin({}), 'empty object should fail');
                 assert(!validatePlugin({ id: 'test' }), 'missing arrays should fail');
                 assert(!validatePlugin({ id: 'test', inputSlots: [], outputStates: [] }), 'missing functions should fail');
+
+                const noop = async () => {};
+                const minimal = { id: 'test', inputSlots: [], outputStates: [], onInit: noop, onInputChange: noop, onDestroy: noop };
+                assert(validatePlugin(minimal), 'optional hooks should not be required');
+                assert(!validatePlugin({ ...minimal, onOutputWrite: 'nope' }), 'non-function onOutputWrite should fail');
+                assert(!validatePlugin({ ...minimal, configVersion: 2 }), 'configVersion > 1 without migrateConfig should fail');
+                assert(validatePlugin({ ...minimal, configVersion: 2, migrateConfig: (v, native) => native }), 'versioned plugin should pass');
+            });
+        });
+
+        describe('Message API', () => {
+            /**
+             * Load the adapter class on top of a stub adapter-core so its message
+             * handlers can be called without a running js-controller.
+             *
+             * @param {Record<string, any>} foreignObjects Objects returned by getForeignObjectAsync
+             */
+            function createAdapter(foreignObjects) {
+                const EventEmitter = require('events');
+                const corePath = require.resolve('@iobroker/adapter-core');
+                const mainPath = require.resolve('../lib/main');
+                const savedCore = require.cache[corePath];
+                require.cache[corePath] = { id: corePath, filename: corePath, loaded: true, exports: { Adapter: class extends EventEmitter {} } };
+                delete require.cache[mainPath];
+                let adapter;
+                try {
+                    adapter = require('../lib/main')({});
+                } finally {
+                    if (savedCore) require.cache[corePath] = savedCore;
+                    else delete require.cache[corePath];
+                    delete require.cache[mainPath];
+                }
+                adapter.log = { debug() {}, info() {}, warn() {}, error() {} };
+                adapter.getObjectAsync = async () => null;
+                adapter.getForeignObjectAsync = async (id) => foreignObjects[id] || null;
+                return adapter;
+            }
+
+            it('createDevice should reject mapped objects that do not exist', async () => {
+                const adapter = createAdapter({
+                    'zigbee.0.humidity': { type: 'state', common: { type: 'number', role: 'value.humidity' } },
+                });
+
+                const response = await adapter._onApiMessage({
+                    command: 'createDevice',
+                    message: {
+                        pluginId: 'smart-dehumidifier',
+                        deviceName: 'Basement',
+                        inputs: { humiditySensor: 'zigbee.0.humidity', powerSwitch: 'zigbee.0.missing' },
+                    },
+                });
+
+                assert.strictEqual(response.error, 'Invalid device config');
+                assert.deepStrictEqual(response.errors, ['inputs.powerSwitch: object zigbee.0.missing does not exist']);
+            });
+
+            it('runChain should answer once the chain has started, not when it ends', async () => {
+                const adapter = createAdapter({});
+                let started = 0;
+                adapter.devices.set('fan1', {
+                    ctx: {
+                        chains: { on: [{ objectId: 'zigbee.0.fan', value: true }] },
+                        executeChain: () => {
+                            started++;
+                            return { promise: new Promise(() => {}) };
+                        },
+                    },
+                });
+
+                const response = await adapter._onApiMessage({ command: 'runChain', message: { deviceId: 'fan1', slotId: 'on' } });
+
+                assert.deepStrictEqual(response, { result: 'ok', started: true });
+                assert.strictEqual(started, 1);
             });
         });
 
@@ -304,6 +490,32 @@ tests.unit(path.join(__dirname, '..'), {
                 await plugin.onDestroy(ctx);
             });
 
+            it('should reset tank-full alarm when re-enabled via output write', async () => {
+                const { SmartDehumidifierPlugin } = require('../plugins/smart-dehumidifier');
+                const plugin = new SmartDehumidifierPlugin();
+                const states = {};
+
+                const ctx = {
+                    deviceId: 'test-dehum-7',
+                    config: { targetHumidity: 55, humidityHysteresis: 3, tankFullPowerThreshold: 5, tankFullDelay: 60 },
+                    inputs: { humiditySensor: 'sensor.0.humidity', powerSwitch: 'switch.0.power' },
+                    getInputState: async () => null,
+                    setOutputState: async (id, val) => { states[id] = val; },
+                    getOutputState: async (id) => (states[id] !== undefined ? { val: states[id] } : null),
+                    log: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} },
+                    adapter: { setForeignStateAsync: async () => {} },
+                };
+
+                await plugin.onInit(ctx);
+                states.tankFull = true;
+
+                const result = await plugin.onOutputWrite(ctx, 'enabled', true, { val: true, ack: false });
+                assert.strictEqual(result, undefined, 'Write should be acknowledged as-is');
+                assert.strictEqual(states.tankFull, false, 'tankFull should be reset');
+
+                await plugin.onDestroy(ctx);
+            });
+
             it('should not turn on outside per-day schedule window', async () => {
                 const { SmartDehumidifierPlugin } = require('../plugins/smart-dehumidifier');
                 const plugin = new SmartDehumidifierPlugin();
@@ -398,6 +610,43 @@ tests.unit(path.join(__dirname, '..'), {
                 assert.strictEqual(states.running, false, 'Should NOT turn on — today has no schedule while other days do');
                 await plugin.onDestroy(ctx);
             });
+
+            it('should migrate the global schedule window and weekday checkboxes to per-day windows', () => {
+                const { SmartDehumidifierPlugin } = require('../plugins/smart-dehumidifier');
+                const { migrateDeviceConfig } = require('../lib/device-config');
+                const plugin = new SmartDehumidifierPlugin();
+
+                const stored = {
+                    pluginId: 'smart-dehumidifier',
+                    deviceName: 'Cellar',
+                    inputs: {},
+                    config: { targetHumidity: 60, scheduleStart: '22:00', scheduleEnd: '06:00', scheduleSat: false, scheduleSun: false },
+                };
+                const { native, changes } = migrateDeviceConfig(plugin, stored);
+
+                assert.strictEqual(native.configVersion, 2);
+                assert.strictEqual(native.config.targetHumidity, 60);
+                assert.strictEqual(native.config.scheduleMonStart, '22:00');
+                assert.strictEqual(native.config.scheduleFriEnd, '06:00');
+                assert.strictEqual(native.config.scheduleSatStart, '');
+                assert.strictEqual(native.config.scheduleSunEnd, '');
+                for (const key of ['scheduleStart', 'scheduleEnd', 'scheduleSat', 'scheduleSun']) {
+                    assert(!(key in native.config), `${key} should be removed`);
+                }
+                assert(changes.includes('config.scheduleStart: removed (was "22:00")'));
+            });
+
+            it('should keep per-day windows of configs saved before versioning', () => {
+                const { SmartDehumidifierPlugin } = require('../plugins/smart-dehumidifier');
+                const { migrateDeviceConfig } = require('../lib/device-config');
+                const plugin = new SmartDehumidifierPlugin();
+
+                const config = { ...plugin.configDefaults, scheduleMonStart: '08:00', scheduleMonEnd: '20:00' };
+                const { native, changes } = migrateDeviceConfig(plugin, { pluginId: 'smart-dehumidifier', deviceName: 'Cellar', inputs: {}, config });
+
+                assert.deepStrictEqual(native.config, config);
+                assert.deepStrictEqual(changes, []);
+            });
         });
 
         describe('Conditional Switch Logic', () => {